@@ -12,6 +12,16 @@ declare namespace RailroadDiagrams {
         readonly WEST: 'west';
     }
 
+    /**
+     * How the text of a terminal matches input:
+     * 'literal' - the text itself, case-insensitive when the recognizer ignores case (EBNF and ABNF strings);
+     * 'exact' - the text itself, always case-sensitive (ABNF %s strings);
+     * 'pattern' - an EBNF character class or #xN, or an ABNF %x, %d or %b value;
+     * 'prose' - an ABNF prose value, which no input matches.
+     * Terminals without one are read as notation: quoted strings, patterns, or else the text itself.
+     */
+    type TerminalMatch = 'literal' | 'exact' | 'pattern' | 'prose';
+
     /**
      * Layout box interface for diagram elements
      */
@@ -24,8 +34,282 @@ declare namespace RailroadDiagrams {
         baselineY: number;
         /** Render method */
         render(group: any, trackBuilder: TrackBuilder, renderChild: RenderChildFunction): void;
+        /** Y position where the rail leaves the box, when it differs from the baseline (wrapped sequences) */
+        exitBaseline?: number;
+        /** Factory that built the box, e.g. 'textBox', 'sequence', 'loop' */
+        kind?: 'textBox' | 'sequence' | 'stack' | 'bypass' | 'loop' | 'repeat' | 'optional' | 'oneOrMore' | 'zeroOrMore' | 'wrappedSequence';
+        /** Child layouts; for a loop with a separator, the item followed by the separator; rows for a wrapped sequence */
+        children?: LayoutBox[];
+        /** Text of a textBox */
+        text?: string;
+        /** CSS class of a textBox */
+        className?: string;
+        /** How the text of a terminal matches input, when set (the grammar parsers set it) */
+        match?: TerminalMatch;
+        /** Bounds of a repeat */
+        min?: number;
+        max?: number;
+        /** Whether an optional keeps its skip path on the main line */
+        skipOnMain?: boolean;
+        /** Inner oneOrMore layout of a zeroOrMore */
+        repetition?: LayoutBox;
+    }
+
+    /**
+     * Additional Diagram layout options
+     */
+    interface DiagramOptions {
+        /** Maximum diagram width in grid units; wider top-level sequences wrap onto several rows */
+        maxWidth?: number;
+        /** Event handlers, registered before the first render */
+        on?: DiagramEventHandlers;
+        /** Preview referenced rules while their nonterminals are hovered or focused */
+        preview?: boolean | RulePreviewOptions | RulePreview;
+        /** Zoom, pan and minimap for large diagrams */
+        viewer?: boolean | DiagramViewerOptions;
+        /** Theme name, custom theme, or 'auto' for none (default: the theme applied with applyTheme to the container, an ancestor or the page) */
+        theme?: ThemeName | Theme | null;
+    }
+
+    /** Built-in themes; 'auto' follows diagram.css and prefers-color-scheme */
+    type ThemeName = 'light' | 'dark' | 'high-contrast' | 'auto';
+
+    /** Shape drawn at the start and end of a rule */
+    type TerminatorShape = 'circle' | 'square' | 'bar' | 'none';
+
+    /**
+     * Colors of a theme, as CSS colors
+     */
+    interface ThemeColors {
+        /** Background of themed diagrams and exported images */
+        background: string;
+        /** Background of rule sections, previews and the minimap */
+        panel: string;
+        /** Border of rule sections, previews and the minimap */
+        panelBorder: string;
+        /** Rule titles */
+        panelText: string;
+        track: string;
+        terminator: string;
+        /** Box borders, unless a box class sets its own */
+        boxStroke: string;
+        /** Box text, unless a box class sets its own */
+        text: string;
+        /** Hovered and focused nonterminals */
+        link: string;
+        /** Traced rails and boxes */
+        highlight: string;
+        /** Undefined rules and the border of expected boxes */
+        error: string;
+        /** Boxes expected where a trace stopped matching */
+        expectedFill: string;
+    }
+
+    /**
+     * Style of the boxes of one class, e.g. terminal, nonterminal or keyword
+     */
+    interface ThemeBoxStyle {
+        fill?: string;
+        stroke?: string;
+        /** Text color */
+        text?: string;
+        /** Corner radius in grid units */
+        radius?: number;
+    }
+
+    /**
+     * Colors, sizes and shapes of diagrams; custom themes are merged over the theme they extend
+     */
+    interface Theme {
+        /** Built-in theme to start from (default: 'light') */
+        extends?: 'light' | 'dark' | 'high-contrast';
+        colors?: Partial<ThemeColors>;
+        /** Rail width in pixels (default: --rail-track-width) */
+        trackWidth?: number;
+        /** Box border width in pixels (default: --rail-text-border) */
+        textBorder?: number;
+        /** Font family of box text and labels */
+        fontFamily?: string;
+        terminator?: TerminatorShape;
+        /** Box styles by the class given to textBox */
+        boxes?: { [className: string]: ThemeBoxStyle };
+    }
+
+    /**
+     * Apply a theme to the diagrams inside an element through the --rail-* custom properties;
+     * diagrams created later inside the element, without a theme of their own, take it
+     * @param theme - Theme name, custom theme, or 'auto' or null to remove a previous theme
+     * @param element - Element to apply the theme to (default: document.documentElement)
+     * @returns The resolved theme, null for 'auto'
+     */
+    function applyTheme(theme: ThemeName | Theme | null, element?: Element): Theme | null;
+
+    /** The built-in themes by name */
+    const themes: { [name in Exclude<ThemeName, 'auto'>]: Theme };
+
+    /** Built-in box shapes */
+    type BoxShapeName = 'rectangle' | 'pill' | 'hexagon' | 'ellipse';
+
+    /**
+     * Outline of a text box
+     */
+    interface BoxShape {
+        /** Room added on each side of the text in grid units, or a function of the text width in grid units */
+        padding?: number | ((textWidth: number) => number);
+        /**
+         * Append the outline to the box's group and return it; the box is given in pixels, with the corner
+         * radius of its class. The outline gets the textbox classes.
+         */
+        draw(group: any, box: { x: number; y: number; width: number; height: number; radius: number }): any;
+    }
+
+    /**
+     * Choose the shape of the boxes of a class; text boxes built afterwards are sized for it
+     * @param className - Class given to Expression.textBox
+     * @param shape - Built-in shape name, custom shape, or null to restore the rectangle
+     */
+    function setBoxShape(className: string, shape: BoxShapeName | BoxShape | null): void;
+
+    /** The built-in box shapes by name, frozen; spread one into a custom shape to change it */
+    const builtInBoxShapes: { readonly [name in BoxShapeName]: Readonly<BoxShape> };
+
+    /**
+     * Options of the zoom and pan viewer
+     */
+    interface DiagramViewerOptions {
+        /** Smallest zoom factor (default: 0.1) */
+        minScale?: number;
+        /** Largest zoom factor (default: 8) */
+        maxScale?: number;
+        /** Show an overview of the diagram with the visible area (default: true) */
+        minimap?: boolean;
+        /** Show zoom in, zoom out, fit to width and reset buttons (default: true) */
+        controls?: boolean;
     }
 
+    /**
+     * Zoom, pan and minimap of a diagram, created with the viewer option
+     */
+    interface DiagramViewer {
+        /** Current zoom transform: a diagram point p is shown at p * k + (x, y) */
+        readonly transform: { x: number; y: number; k: number };
+        /** Zoom by a factor around the center of the frame */
+        zoomBy(factor: number): void;
+        /** Scale the diagram to the width of its container */
+        fitToWidth(): void;
+        /** Show the diagram at its natural size from the top left corner */
+        reset(): void;
+        /** Pan so that a point, in diagram pixels, is at the top left corner */
+        panTo(x: number, y: number): void;
+        /**
+         * Pan to a rule of the diagram
+         * @returns Whether the diagram has the rule
+         */
+        showRule(title: string): boolean;
+    }
+
+    /**
+     * Options of rule previews
+     */
+    interface RulePreviewOptions {
+        /** Milliseconds the pointer or focus rests on a nonterminal before its preview opens (default: 400) */
+        delay?: number;
+        /** Milliseconds before a preview closes once left (default: 200) */
+        hideDelay?: number;
+        /** Size of the miniature relative to the diagram it was opened from (default: 0.6) */
+        scale?: number;
+        /** Maximum number of nested previews (default: 3) */
+        maxDepth?: number;
+        /** Rules to preview (default: the rules rendered on the page) */
+        rules?: () => Rule[];
+    }
+
+    /**
+     * Shows a miniature of the referenced rule's diagram while a nonterminal is hovered or focused
+     */
+    class RulePreview {
+        constructor(options?: RulePreviewOptions);
+
+        /** Options in effect, with their defaults filled in */
+        delay: number;
+        hideDelay: number;
+        scale: number;
+        maxDepth: number;
+        rules: () => Rule[];
+
+        /** Open previews, outermost first */
+        readonly popovers: Array<{ element: HTMLElement; diagram: Diagram; anchor: Element }>;
+
+        /**
+         * Open previews from the nonterminals of a diagram
+         * @param diagram - A diagram rendered into the page
+         * @param depth - Number of previews the diagram is nested in (default: 0)
+         */
+        attach(diagram: Diagram, depth?: number): void;
+
+        /** Close all previews */
+        close(): void;
+    }
+
+    /**
+     * Event types emitted by a Diagram
+     */
+    type DiagramEventType = 'nonterminalClick' | 'terminalClick' | 'hover' | 'render';
+
+    /**
+     * Event object passed to Diagram event handlers
+     */
+    interface DiagramEvent {
+        type: DiagramEventType;
+        diagram: Diagram;
+        /** Whether a handler called preventDefault() */
+        defaultPrevented: boolean;
+        /** Suppress the default action: navigation to the rule of a clicked nonterminal */
+        preventDefault(): void;
+    }
+
+    /**
+     * Event of a clicked or hovered text box
+     */
+    interface DiagramBoxEvent extends DiagramEvent {
+        /** Title of the rule whose diagram contains the box */
+        rule: string;
+        /** Box text; for nonterminals the referenced rule */
+        text: string;
+        /** 'terminal' or 'nonterminal' */
+        className: string;
+        /** SVG group holding the box's rectangle and text */
+        element: SVGGElement;
+        /** Layout of the box */
+        layout: LayoutBox;
+        /** The DOM event that triggered this event */
+        originalEvent: MouseEvent;
+        /** For hover events: whether the pointer entered or left the box */
+        hovered?: boolean;
+    }
+
+    /**
+     * Event emitted after rules were drawn or moved
+     */
+    interface DiagramRenderEvent extends DiagramEvent {
+        /** Titles of all rules of the diagram */
+        rules: string[];
+    }
+
+    interface DiagramEventMap {
+        nonterminalClick: DiagramBoxEvent;
+        terminalClick: DiagramBoxEvent;
+        hover: DiagramBoxEvent;
+        render: DiagramRenderEvent;
+    }
+
+    /**
+     * Event handlers by event type
+     */
+    type DiagramEventHandlers = {
+        [K in DiagramEventType]?: (this: Diagram, event: DiagramEventMap[K]) => void;
+    };
+
     /**
      * Function type for rendering child elements
      */
@@ -87,17 +371,40 @@ declare namespace RailroadDiagrams {
         getCurrentPosition(): { x: number; y: number; direction: keyof Direction };
     }
 
+    interface SVGExportOptions {
+        /** Keep the background grid pattern (default: false) */
+        includeGrid?: boolean;
+    }
+
+    interface PNGExportOptions extends SVGExportOptions {
+        /** Pixels per SVG pixel (default: 2) */
+        scale?: number;
+        /** Background fill, null for transparent (default: the theme background, --rail-background, or 'white') */
+        background?: string | null;
+    }
+
     /**
      * Diagram class for managing SVG railroad diagrams
      */
     class Diagram {
         /**
          * Create a Diagram instance
-         * @param containerId - Container element ID or element reference
+         * @param containerId - Container element ID or element reference; null renders headless
          * @param gridSize - Grid size in pixels
-         * @param debugMode - Enable debug mode
+         * @param showGrid - Show the background grid
+         * @param showBounds - Show layout bounding boxes
+         * @param options - Additional layout options
          */
-        constructor(containerId: string | HTMLElement, gridSize: number, debugMode?: boolean);
+        constructor(containerId: string | HTMLElement | null, gridSize: number, showGrid?: boolean, showBounds?: boolean, options?: DiagramOptions);
+
+        /** Rules rendered by this diagram */
+        rules: Rule[];
+
+        /** Zoom and pan viewer, when enabled with the viewer option */
+        readonly viewer: DiagramViewer | null;
+
+        /** Theme of the diagram, null when it follows diagram.css */
+        readonly theme: Theme | null;
         
         /**
          * Add a rule to the diagram
@@ -105,6 +412,97 @@ declare namespace RailroadDiagrams {
          * @param expression - Expression layout box
          */
         addRule(title: string, expression: LayoutBox): void;
+
+        /**
+         * Insert a rule at a position; the rules below it are shifted down
+         * @param index - Position from 0 to rules.length
+         * @param title - Rule title
+         * @param expression - Expression layout box
+         * @throws Error when the index is out of range
+         */
+        insertRule(index: number, title: string, expression: LayoutBox): void;
+
+        /**
+         * Replace a rule's expression, re-rendering only that rule
+         * @param title - Rule title
+         * @param expression - New expression layout box
+         * @throws Error when there is no rule with that title
+         */
+        updateRule(title: string, expression: LayoutBox): void;
+
+        /**
+         * Remove a rule; the rules below it are shifted up
+         * @param title - Rule title
+         * @throws Error when there is no rule with that title
+         */
+        removeRule(title: string): void;
+
+        /**
+         * Apply several rule changes in one update
+         * @param callback - Makes changes with addRule, insertRule, updateRule and removeRule
+         * @returns The callback's return value
+         */
+        batch<T>(callback: (diagram: Diagram) => T): T;
+
+        /**
+         * Register an event handler
+         * @param type - Event type
+         * @param handler - Called with the event object
+         * @returns This diagram, for chaining
+         * @throws Error when the event type is unknown
+         */
+        on<K extends DiagramEventType>(type: K, handler: (this: Diagram, event: DiagramEventMap[K]) => void): this;
+
+        /**
+         * Remove an event handler registered with on()
+         * @param type - Event type
+         * @param handler - The registered handler
+         * @returns This diagram, for chaining
+         */
+        off<K extends DiagramEventType>(type: K, handler: (this: Diagram, event: DiagramEventMap[K]) => void): this;
+
+        /**
+         * Serialize the rules; JSON.stringify(diagram) gives a grammar JSON document
+         */
+        toJSON(): GrammarJSON;
+
+        /**
+         * Export a self-contained SVG document with computed styles inlined and debug markup removed
+         * @param options - Export options
+         */
+        toSVGString(options?: SVGExportOptions): string;
+
+        /**
+         * Rasterize the exported SVG to a PNG image (browser only)
+         * @param options - Export options
+         */
+        toPNGBlob(options?: PNGExportOptions): Promise<Blob>;
+
+        /**
+         * Download the exported SVG as a file
+         * @param filename - Suggested file name (default: 'diagram.svg')
+         * @param options - Export options
+         */
+        downloadSVG(filename?: string, options?: SVGExportOptions): void;
+
+        /**
+         * Download the diagram as a PNG file
+         * @param filename - Suggested file name (default: 'diagram.png')
+         * @param options - Export options
+         */
+        downloadPNG(filename?: string, options?: PNGExportOptions): Promise<void>;
+
+        /**
+         * Highlight the path of a match or generated sentence (.highlight),
+         * or the terminals expected where matching failed (.trace-expected)
+         * @param result - Result of recognize(), generateSentence() or enumerateSentences()
+         */
+        highlightTrace(result: RecognizeResult | GeneratedSentence): void;
+
+        /**
+         * Remove all trace highlights
+         */
+        clearHighlight(): void;
     }
 
     /**
@@ -115,8 +513,9 @@ declare namespace RailroadDiagrams {
          * Create a text box (terminal or non-terminal)
          * @param text - Text content
          * @param className - CSS class ("terminal" or "nonterminal")
+         * @param match - How a terminal's text matches input (default: read the text as notation)
          */
-        static textBox(text: string, className: string): LayoutBox;
+        static textBox(text: string, className: string, match?: TerminalMatch): LayoutBox;
         
         /**
          * Create a sequence of elements laid out horizontally
@@ -137,10 +536,165 @@ declare namespace RailroadDiagrams {
         static bypass(child: LayoutBox): LayoutBox;
         
         /**
-         * Create a loop around an element (optional repetition path above)
+         * Create a loop around an element (repetition path above), or with a separator
+         * drawn right-to-left on a return path below the element
          * @param child - Element to loop
+         * @param separator - Optional element between repetitions, e.g. a comma
+         */
+        static loop(child: LayoutBox, separator?: LayoutBox): LayoutBox;
+
+        /**
+         * Create a bounded repetition: a loop whose return path is labelled with the allowed count
+         * @param child - Element to repeat
+         * @param min - Minimum number of repetitions (at least 1)
+         * @param max - Maximum number of repetitions, or Infinity (default: min)
+         */
+        static repeat(child: LayoutBox, min: number, max?: number): LayoutBox;
+
+        /**
+         * Create an optional element
+         * @param child - Optional element
+         * @param skipOnMain - Put the skip path on the main line and the element below it (default: false)
+         */
+        static optional(child: LayoutBox, skipOnMain?: boolean): LayoutBox;
+
+        /**
+         * Create a one-or-more repetition with the return path below the element
+         * @param child - Element to repeat
+         * @param separator - Optional element between repetitions
          */
-        static loop(child: LayoutBox): LayoutBox;
+        static oneOrMore(child: LayoutBox, separator?: LayoutBox): LayoutBox;
+
+        /**
+         * Create a zero-or-more repetition with the skip path on the main line, drawn and sized as
+         * optional(oneOrMore(child, separator), true) but kept as one zeroOrMore construct
+         * @param child - Element to repeat
+         * @param separator - Optional element between repetitions
+         */
+        static zeroOrMore(child: LayoutBox, separator?: LayoutBox): LayoutBox;
+
+        /**
+         * Convert a layout to its JSON form
+         * @param layout - Layout built by the Expression factories
+         * @param options - Serialization options
+         */
+        static toJSON(layout: LayoutBox, options?: GrammarToJSONOptions): ExpressionJSON;
+
+        /**
+         * Rebuild a layout from its JSON form
+         * @param node - JSON node
+         * @param options - Deserialization options
+         * @throws Error naming the offending path when the node is malformed
+         */
+        static fromJSON(node: ExpressionJSON, options?: GrammarFromJSONOptions): LayoutBox;
+    }
+
+    /**
+     * Node of the grammar JSON format
+     */
+    type ExpressionJSON = (
+        | { kind: 'textBox'; text: string; className: string; match?: TerminalMatch }
+        | { kind: 'sequence' | 'stack' | 'bypass'; children: ExpressionJSON[] }
+        | { kind: 'optional'; children: [ExpressionJSON]; skipOnMain?: true }
+        | { kind: 'loop' | 'oneOrMore' | 'zeroOrMore'; children: [ExpressionJSON] | [ExpressionJSON, ExpressionJSON] }
+        | { kind: 'repeat'; children: [ExpressionJSON]; min: number; max: number | null }
+    ) & {
+        /** Present with includeLayout */
+        width?: number;
+        height?: number;
+        baseline?: number;
+    };
+
+    /**
+     * Grammar JSON document
+     */
+    interface GrammarJSON {
+        format: 'railroad-diagrams';
+        version: 1;
+        rules: Array<{ name: string; expression: ExpressionJSON }>;
+    }
+
+    interface GrammarToJSONOptions {
+        /** Store width, height and baseline of every node (default: false) */
+        includeLayout?: boolean;
+    }
+
+    interface GrammarFromJSONOptions {
+        /** Take text box and repeat widths from the stored layout instead of measuring text (default: false) */
+        useStoredLayout?: boolean;
+    }
+
+    /**
+     * Serialize rules to a grammar JSON document
+     * @param rules - Rules built by the Expression factories or parsers
+     * @param options - Serialization options
+     */
+    function grammarToJSON(rules: Rule[], options?: GrammarToJSONOptions): GrammarJSON;
+
+    /**
+     * Rebuild rules from a grammar JSON document or its text
+     * @param json - Grammar JSON document
+     * @param options - Deserialization options
+     * @throws Error when the document is malformed or has an unsupported version
+     */
+    function grammarFromJSON(json: string | GrammarJSON, options?: GrammarFromJSONOptions): Rule[];
+
+    /** Grammar notations formatGrammar can print */
+    type GrammarExportSyntax = 'railroad' | 'ebnf' | 'abnf' | 'json';
+
+    interface FormatOptions {
+        /** One level of indentation (default: four spaces) */
+        indent?: string;
+        /** Calls that would run past this column are broken up (default: 80) */
+        maxLineWidth?: number;
+    }
+
+    /**
+     * Print rules as grammar text that parseGrammar reads back
+     * @param rules - Rules to print
+     * @param syntax - Target notation (default: 'railroad')
+     * @param options - Formatting options for the script syntax
+     * @throws Error when a terminal cannot be written in the target notation
+     */
+    function formatGrammar(rules: Rule[], syntax?: GrammarExportSyntax, options?: FormatOptions): string;
+
+    /**
+     * Print a layout as indented expression code
+     * @param expression - Layout built by the Expression factories
+     * @param options - Formatting options
+     */
+    function formatExpression(expression: LayoutBox, options?: FormatOptions): string;
+
+    /**
+     * Re-format expression code
+     * @param code - Expression code
+     * @param options - Formatting options
+     * @throws Error on syntax or type errors
+     */
+    function formatExpressionCode(code: string, options?: FormatOptions): string;
+
+    /**
+     * A named syntax rule
+     */
+    interface Rule {
+        /** Rule name */
+        title: string;
+        /** Expression layout box */
+        expression: LayoutBox;
+    }
+
+    /**
+     * Configuration for headless SVG string rendering
+     */
+    interface SVGStringConfig {
+        /** Grid size in pixels; must match the size used to measure the expressions (default: 16) */
+        gridSize?: number;
+        /** Include the background grid pattern (default: false) */
+        showGrid?: boolean;
+        /** Maximum width in grid units; long top-level sequences wrap */
+        maxWidth?: number;
+        /** Theme of the embedded stylesheet (default: light, dark under prefers-color-scheme: dark) */
+        theme?: ThemeName | Theme;
     }
 
     /**
@@ -157,6 +711,45 @@ declare namespace RailroadDiagrams {
         gridSize?: number;
         /** Enable debug mode (default: false) */
         debugMode?: boolean;
+        /** Maximum diagram width in grid units; long top-level sequences wrap */
+        maxWidth?: number;
+        /** Diagram event handlers */
+        on?: DiagramEventHandlers;
+        /** Preview referenced rules on hover and focus */
+        preview?: boolean | RulePreviewOptions | RulePreview;
+        /** Zoom, pan and minimap */
+        viewer?: boolean | DiagramViewerOptions;
+        /** Theme of the diagram (default: the page theme) */
+        theme?: ThemeName | Theme | null;
+    }
+
+    /**
+     * Configuration for rendering a grammar block
+     */
+    interface GrammarRenderConfig {
+        /** Grid size in pixels (default: from CSS) */
+        gridSize?: number;
+        /** Show the background grid (default: false) */
+        showGrid?: boolean;
+        /** Show layout bounding boxes (default: false) */
+        showBounds?: boolean;
+        /** Maximum diagram width in grid units; long top-level sequences wrap */
+        maxWidth?: number;
+        /** Render each rule's diagram only while it is near the viewport (default: false) */
+        lazy?: boolean | LazyRenderOptions;
+        /** Event handlers registered on each rule's diagram */
+        on?: DiagramEventHandlers;
+        /** Preview referenced rules on hover and focus */
+        preview?: boolean | RulePreviewOptions | RulePreview;
+        /** Zoom, pan and minimap */
+        viewer?: boolean | DiagramViewerOptions;
+    }
+
+    interface LazyRenderOptions {
+        /** Distance from the viewport, in CSS margin syntax, at which diagrams are rendered (default: '100%') */
+        margin?: string;
+        /** Distance beyond which rendered diagrams are released again (default: '300%') */
+        releaseMargin?: string;
     }
 
     /**
@@ -167,6 +760,20 @@ declare namespace RailroadDiagrams {
         gridSize?: number;
         /** Enable debug mode (default: false) */
         debugMode?: boolean;
+        /** Maximum diagram width in grid units; long top-level sequences wrap */
+        maxWidth?: number;
+        /** Analyze the page's rules after rendering, warn about issues and mark undefined references */
+        validate?: boolean | GrammarAnalysisOptions;
+        /** Render diagrams only while they are near the viewport (default: false, or true with data-lazy on the library's script tag) */
+        lazy?: boolean | LazyRenderOptions;
+        /** Event handlers registered on every diagram */
+        on?: DiagramEventHandlers;
+        /** Preview referenced rules on hover and focus (default: false, or true with data-preview on the library's script tag) */
+        preview?: boolean | RulePreviewOptions | RulePreview;
+        /** Zoom, pan and minimap for every diagram (default: false, or true with data-viewer on the library's script tag) */
+        viewer?: boolean | DiagramViewerOptions;
+        /** Theme of the page and all its diagrams (default: 'auto', or the data-theme attribute of the library's script tag) */
+        theme?: ThemeName | Theme;
     }
 
     /**
@@ -176,10 +783,355 @@ declare namespace RailroadDiagrams {
     function renderRailroadDiagram(config: RenderConfig): Diagram;
 
     /**
-     * Automatically discover and render all diagram script tags
+     * Describe an expression in words, e.g. 'sequence of A, then optionally B, then one of C or D'
+     * @param layout - Expression layout
+     */
+    function describeExpression(layout: LayoutBox): string;
+
+    /**
+     * Replace the navigation that follows clicked nonterminals in all diagrams; null restores the default,
+     * which scrolls to the rule in the same diagram, else to #syntax-rule-NAME or to a <railroad-diagram rule="NAME"> element
+     * @param handler - Called with the referenced rule name and the click event
+     */
+    function setNavigationHandler(handler: ((ruleName: string, event: DiagramBoxEvent) => void) | null): void;
+
+    /**
+     * Automatically discover and render all diagram script tags not marked data-rendered by an earlier call
      * @param config - Script render configuration
      */
     function renderDiagramScripts(config?: ScriptRenderConfig): void;
+
+    /**
+     * Render rules to a complete SVG document string without D3 or a DOM
+     * @param rules - Rules to render
+     * @param config - Rendering options
+     */
+    function renderToSVGString(rules: Rule[], config?: SVGStringConfig): string;
+
+    interface TextMetricsTable {
+        /** Advance width per character in 1/1000 em */
+        widths?: { [character: string]: number };
+        /** Width of characters missing from widths, in 1/1000 em (default: 556) */
+        defaultWidth?: number;
+        /** Font size in pixels (default: --rail-font-size, or 14 outside the browser) */
+        fontSize?: number;
+    }
+
+    /**
+     * Use other font metrics for text box widths; null restores the default measurement
+     * @param metrics - Metrics table, or a function returning the width of a text in pixels
+     */
+    function setTextMetrics(metrics: TextMetricsTable | ((text: string, className: string) => number) | null): void;
+
+    /**
+     * Re-read --rail-grid-size, --rail-font-size and the fonts of the text classes, dropping cached text
+     * widths if they changed; needed after changing them other than through applyTheme
+     */
+    function invalidateTextMeasurements(): void;
+
+    interface TextRenderOptions {
+        /** 'unicode' for box-drawing characters, 'ascii' for -|+/\ (default: 'unicode') */
+        charset?: 'unicode' | 'ascii';
+        /** Maximum width in characters; long top-level sequences wrap */
+        maxWidth?: number;
+        /** Print each rule's name above its diagram (default: true) */
+        showTitles?: boolean;
+    }
+
+    /**
+     * Render rules as text diagrams, one character per grid unit, without a DOM
+     * @param rules - Rules to render
+     * @param options - Rendering options
+     */
+    function renderToText(rules: Rule[], options?: TextRenderOptions): string;
+
+    /**
+     * Error thrown for syntax problems in grammar or expression text
+     */
+    interface GrammarSyntaxError extends Error {
+        /** 1-based line of the problem */
+        line: number;
+        /** 1-based column of the problem */
+        column: number;
+        /** Character offset of the problem */
+        position: number;
+    }
+
+    /**
+     * Parse a W3C-style EBNF grammar into one rule per definition
+     * @param source - EBNF grammar text
+     * @throws GrammarSyntaxError
+     */
+    function parseEBNF(source: string): Rule[];
+
+    /**
+     * Parse an ABNF grammar (RFC 5234) into one rule per name, merging `=/` alternatives
+     * @param source - ABNF grammar text
+     * @throws GrammarSyntaxError
+     */
+    function parseABNF(source: string): Rule[];
+
+    /**
+     * AST node produced by parseExpressionCode
+     */
+    type ExpressionNode =
+        | { type: 'call'; name: string; args: ExpressionNode[]; position: number }
+        | { type: 'string'; value: string; position: number }
+        | { type: 'number'; value: number; position: number }
+        | { type: 'boolean'; value: boolean; position: number };
+
+    /**
+     * Parse and type-check expression code without evaluating it
+     * @param code - Expression code
+     * @throws GrammarSyntaxError
+     */
+    function parseExpressionCode(code: string): ExpressionNode;
+
+    /**
+     * Build a layout box from expression code without eval (CSP-safe)
+     * @param code - Expression code
+     * @throws GrammarSyntaxError
+     */
+    function evaluateExpressionCode(code: string): LayoutBox;
+
+    /**
+     * Parse and type-check a grammar of `name = expression` rules without evaluating it
+     * @param code - Grammar code
+     * @throws GrammarSyntaxError
+     */
+    function parseGrammarCode(code: string): Array<{ name: string; node: ExpressionNode; position: number }>;
+
+    /**
+     * Parse a multi-rule grammar in the script syntax, W3C EBNF, ABNF or grammar JSON
+     * @param source - Grammar text
+     * @param syntax - Notation (default: 'railroad')
+     * @throws GrammarSyntaxError
+     */
+    function parseGrammar(source: string, syntax?: 'railroad' | 'ebnf' | 'abnf' | 'json'): Rule[];
+
+    /**
+     * Render a <script type="text/railroad-grammar"> element as a rule index plus one container per rule;
+     * rule ids already taken in the document get a -2, -3, ... suffix
+     * @param scriptTag - The grammar script element
+     * @param config - Rendering options
+     */
+    function renderGrammarScript(scriptTag: HTMLScriptElement, config?: GrammarRenderConfig): Array<{ title: string; diagram: Diagram | null }>;
+
+    /**
+     * Issue types reported by analyzeGrammar
+     */
+    interface GrammarIssueType {
+        readonly UNDEFINED_REFERENCE: 'undefined-reference';
+        readonly UNUSED_RULE: 'unused-rule';
+        readonly UNREACHABLE_RULE: 'unreachable-rule';
+        readonly LEFT_RECURSION: 'left-recursion';
+        readonly DUPLICATE_RULE: 'duplicate-rule';
+    }
+
+    /**
+     * Options for analyzeGrammar
+     */
+    interface GrammarAnalysisOptions {
+        /** Rule reachability is computed from (default: the first rule) */
+        startRule?: string;
+        /** Match rule names case-insensitively, as ABNF does (default: false) */
+        ignoreCase?: boolean;
+    }
+
+    /**
+     * A single finding of analyzeGrammar
+     */
+    interface GrammarIssue {
+        type: GrammarIssueType[keyof GrammarIssueType];
+        /** Rule the issue belongs to */
+        rule: string;
+        /** Human-readable description */
+        message: string;
+        /** Missing rule name, for undefined references */
+        reference?: string;
+        /** Rule names of the left-recursion cycle, for left recursion */
+        cycle?: string[];
+    }
+
+    /**
+     * Structured result of analyzeGrammar
+     */
+    interface GrammarReport {
+        startRule: string | undefined;
+        undefinedReferences: Array<{ rule: string; reference: string }>;
+        /** Rules no other rule references (the start rule excepted) */
+        unusedRules: string[];
+        unreachableRules: string[];
+        /** Left-recursive rules with the shortest cycle, e.g. ['expr', 'term', 'expr'] */
+        leftRecursion: Array<{ rule: string; direct: boolean; cycle: string[] }>;
+        duplicateRules: string[];
+        /** All findings as a flat list; empty for a clean grammar */
+        issues: GrammarIssue[];
+    }
+
+    /**
+     * Analyze rules for undefined, unused, unreachable, left-recursive and duplicate rules
+     * @param rules - Rules to analyze
+     * @param options - Analysis options
+     * @throws Error when the start rule is not defined
+     */
+    function analyzeGrammar(rules: Rule[], options?: GrammarAnalysisOptions): GrammarReport;
+
+    /**
+     * Collect the rules defined by the page's diagram script tags without rendering them
+     * @param root - Where to look for script tags (default: document)
+     */
+    function collectDocumentRules(root?: Document | Element): Rule[];
+
+    /**
+     * Mark rendered nonterminal boxes that reference undefined rules
+     * @param report - Report from analyzeGrammar
+     * @param root - Where the diagrams are rendered (default: document)
+     * @returns Number of boxes marked
+     */
+    function markGrammarIssues(report: GrammarReport, root?: Document | Element): number;
+
+    /**
+     * Options for recognize and traceInput
+     */
+    interface RecognizeOptions {
+        /** Match rule names and quoted terminals case-insensitively; %s"..." stays case-sensitive (default: false) */
+        ignoreCase?: boolean;
+        /** Give up on inputs that need more matching steps (default: 100000) */
+        maxSteps?: number;
+    }
+
+    /**
+     * Node of a match tree: one per layout passed
+     */
+    interface TraceNode {
+        node: LayoutBox;
+        /** Sequence items */
+        children?: TraceNode[];
+        /** Chosen alternative of a stack */
+        choice?: number;
+        /** Whether an optional part was taken */
+        taken?: boolean;
+        /** Chosen alternative, optional content or invoked rule's trace */
+        child?: TraceNode;
+        /** Repetition passes and the separators between them */
+        items?: TraceNode[];
+        separators?: Array<TraceNode | null>;
+        /** Invoked rule, for nonterminals */
+        rule?: string;
+        /** Matched input range, for text boxes */
+        start?: number;
+        end?: number;
+    }
+
+    /**
+     * Result of recognize and traceInput
+     */
+    interface RecognizeResult {
+        matched: boolean;
+        rule: string;
+        input: string;
+        /** Match tree, when matched */
+        trace: TraceNode | null;
+        /** Input length when matched, otherwise the furthest position reached */
+        position: number;
+        /** Terminal texts, undefined rule names or 'end of input' expected at position */
+        expected: string[];
+        /** Text boxes behind the expected entries */
+        expectedBoxes: LayoutBox[];
+        message: string;
+    }
+
+    /**
+     * Match input against a rule, interpreting the rules' layouts as a grammar
+     * @param rules - Rules to match against
+     * @param ruleName - Rule the whole input has to match
+     * @param input - Input text
+     * @param options - Matching options
+     * @throws Error when the rule is not defined or the input is too complex
+     */
+    function recognize(rules: Rule[], ruleName: string, input: string, options?: RecognizeOptions): RecognizeResult;
+
+    /**
+     * Match input against the rules rendered on the page and highlight the result in their diagrams
+     * @param ruleName - Rule the whole input has to match
+     * @param input - Input text
+     * @param options - Matching options
+     */
+    function traceInput(ruleName: string, input: string, options?: RecognizeOptions): RecognizeResult;
+
+    /**
+     * Options for generateSentence and enumerateSentences
+     */
+    interface GeneratorOptions {
+        /** Seed for reproducible random sentences (default: 1) */
+        seed?: number;
+        /** Nesting depth of rule expansions before taking the shortest way out (default: 8) */
+        maxDepth?: number;
+        /** Most passes through a loop (default: 3) */
+        maxRepeat?: number;
+        /** Match rule names case-insensitively (default: false) */
+        ignoreCase?: boolean;
+    }
+
+    /**
+     * A generated sentence with the path it takes through the diagrams
+     */
+    interface GeneratedSentence {
+        rule: string;
+        /** Sentence text; nonterminals without a rule appear as <name> */
+        text: string;
+        trace: TraceNode;
+    }
+
+    /**
+     * Generate a random example sentence for a rule
+     * @param rules - Rules to expand nonterminals with
+     * @param ruleName - Rule to start from
+     * @param options - Generation options
+     * @throws Error when the rule is not defined, or every expansion of it recurses without end or needs a character no terminal allows
+     */
+    function generateSentence(rules: Rule[], ruleName: string, options?: GeneratorOptions): GeneratedSentence;
+
+    /**
+     * Enumerate distinct example sentences for a rule, simplest first
+     * @param rules - Rules to expand nonterminals with
+     * @param ruleName - Rule to start from
+     * @param options - Generation options plus the number of sentences (default: 20) and a step budget
+     * @throws Error when the rule is not defined
+     */
+    function enumerateSentences(rules: Rule[], ruleName: string, options?: GeneratorOptions & { limit?: number; maxSteps?: number }): GeneratedSentence[];
+
+    /**
+     * Generate a random sentence from the rules rendered on the page and highlight its path
+     * @param ruleName - Rule to start from
+     * @param options - Generation options
+     */
+    function traceExample(ruleName: string, options?: GeneratorOptions): GeneratedSentence;
+
+    /**
+     * Validate expression code by parsing and type-checking it
+     * @param code - Expression code
+     * @throws GrammarSyntaxError
+     */
+    function validateExpressionCode(code: string): boolean;
+
+    /**
+     * <railroad-diagram> custom element
+     * Renders its text content (expression code, or a grammar when the syntax attribute is set) or the
+     * grammar file named by src; rule selects the rule, max-width wraps long sequences, theme names a
+     * built-in theme
+     */
+    class RailroadDiagramElement extends HTMLElement {
+        /** The rendered diagram, or null before rendering and after errors */
+        readonly diagram: Diagram | null;
+
+        /**
+         * Render now instead of after the next attribute or content change
+         * @returns The diagram, or null when the content could not be rendered
+         */
+        render(): Promise<Diagram | null>;
+    }
 }
 
 /**
@@ -192,6 +1144,40 @@ declare const RailroadDiagrams: {
     Expression: typeof RailroadDiagrams.Expression;
     renderRailroadDiagram: typeof RailroadDiagrams.renderRailroadDiagram;
     renderDiagramScripts: typeof RailroadDiagrams.renderDiagramScripts;
+    renderToSVGString: typeof RailroadDiagrams.renderToSVGString;
+    renderToText: typeof RailroadDiagrams.renderToText;
+    setTextMetrics: typeof RailroadDiagrams.setTextMetrics;
+    invalidateTextMeasurements: typeof RailroadDiagrams.invalidateTextMeasurements;
+    parseEBNF: typeof RailroadDiagrams.parseEBNF;
+    parseABNF: typeof RailroadDiagrams.parseABNF;
+    parseExpressionCode: typeof RailroadDiagrams.parseExpressionCode;
+    evaluateExpressionCode: typeof RailroadDiagrams.evaluateExpressionCode;
+    validateExpressionCode: typeof RailroadDiagrams.validateExpressionCode;
+    parseGrammarCode: typeof RailroadDiagrams.parseGrammarCode;
+    parseGrammar: typeof RailroadDiagrams.parseGrammar;
+    renderGrammarScript: typeof RailroadDiagrams.renderGrammarScript;
+    RailroadDiagramElement: typeof RailroadDiagrams.RailroadDiagramElement | null;
+    setNavigationHandler: typeof RailroadDiagrams.setNavigationHandler;
+    describeExpression: typeof RailroadDiagrams.describeExpression;
+    RulePreview: typeof RailroadDiagrams.RulePreview;
+    applyTheme: typeof RailroadDiagrams.applyTheme;
+    themes: typeof RailroadDiagrams.themes;
+    setBoxShape: typeof RailroadDiagrams.setBoxShape;
+    builtInBoxShapes: typeof RailroadDiagrams.builtInBoxShapes;
+    analyzeGrammar: typeof RailroadDiagrams.analyzeGrammar;
+    GrammarIssueType: RailroadDiagrams.GrammarIssueType;
+    collectDocumentRules: typeof RailroadDiagrams.collectDocumentRules;
+    markGrammarIssues: typeof RailroadDiagrams.markGrammarIssues;
+    recognize: typeof RailroadDiagrams.recognize;
+    traceInput: typeof RailroadDiagrams.traceInput;
+    traceExample: typeof RailroadDiagrams.traceExample;
+    grammarToJSON: typeof RailroadDiagrams.grammarToJSON;
+    grammarFromJSON: typeof RailroadDiagrams.grammarFromJSON;
+    formatGrammar: typeof RailroadDiagrams.formatGrammar;
+    formatExpression: typeof RailroadDiagrams.formatExpression;
+    formatExpressionCode: typeof RailroadDiagrams.formatExpressionCode;
+    generateSentence: typeof RailroadDiagrams.generateSentence;
+    enumerateSentences: typeof RailroadDiagrams.enumerateSentences;
 };
 
 /**
@@ -199,4 +1185,8 @@ declare const RailroadDiagrams: {
  */
 declare interface Window {
     RailroadDiagrams: typeof RailroadDiagrams;
+}
+
+declare interface HTMLElementTagNameMap {
+    'railroad-diagram': RailroadDiagrams.RailroadDiagramElement;
 }
\ No newline at end of file
@@ -7,7 +7,8 @@
  * Dependencies: D3.js (loaded from CDN)
  * Usage: Include this script after D3.js and access via window.RailroadDiagrams
  * 
- * Security: Expression code is validated to prevent code injection attacks
+ * Security: Expression code is parsed and interpreted by the library itself (no eval), so only
+ *           calls to the Expression factories with literal arguments can run
  */
 
 (function(global) {
@@ -19,6 +20,15 @@
      * @property {number} height - Height in grid units  
      * @property {number} baseline - Y coordinate of the main rail line in grid units
      * @property {function(RenderContext): void} render - Function to render this layout using the given context
+     * @property {string} kind - Factory that built the layout: 'textBox', 'sequence', 'stack', 'bypass', 'loop',
+     *   'repeat', 'optional', 'oneOrMore' or 'zeroOrMore'
+     * @property {LayoutBox[]} [children] - Child layouts of container kinds (for loops: the item, then the separator if any)
+     * @property {string} [text] - Text of a textBox
+     * @property {string} [className] - CSS class of a textBox
+     * @property {number} [min] - Minimum repetitions of a repeat
+     * @property {number} [max] - Maximum repetitions of a repeat
+     * @property {boolean} [skipOnMain] - Whether an optional keeps its skip path on the main line
+     * @property {LayoutBox} [repetition] - Inner oneOrMore layout of a zeroOrMore
      */
 
     /**
@@ -243,7 +253,8 @@
 
             this.paths.push({
                 element: pathElement,
-                data: this.currentPath
+                data: this.currentPath,
+                debugId: debugId
             });
 
             this.currentPath = null;
@@ -264,6 +275,139 @@
         }
     }
 
+    /**
+     * @typedef {Object} BoxShape
+     * @property {number|function(number): number} padding - Room added on each side of the text, in grid units,
+     *   or a function of the text width in grid units returning it
+     * @property {function(d3.Selection, {x: number, y: number, width: number, height: number, radius: number}): d3.Selection} draw -
+     *   Append the outline of a box to a group and return it; the box is given in pixels, with the corner
+     *   radius of its class. The outline gets the textbox classes.
+     */
+
+    /**
+     * Built-in box shapes by name, frozen: every class set to a shape shares its object
+     * @type {Object<string, BoxShape>}
+     */
+    const BOX_SHAPES = Object.freeze({
+        // Rounded rectangle with the corner radius of the box class (see RenderContext.cornerRadius)
+        rectangle: Object.freeze({
+            padding: 0,
+            draw: (group, { x, y, width, height, radius }) => group.append("rect")
+                .attr("x", x)
+                .attr("y", y)
+                .attr("rx", radius)
+                .attr("ry", radius)
+                .attr("width", width)
+                .attr("height", height)
+        }),
+        // Rectangle with semicircular ends, the classic shape of terminals
+        pill: Object.freeze({
+            padding: 0.5,
+            draw: (group, { x, y, width, height }) => group.append("rect")
+                .attr("x", x)
+                .attr("y", y)
+                .attr("rx", height / 2)
+                .attr("ry", height / 2)
+                .attr("width", width)
+                .attr("height", height)
+        }),
+        // Pointed ends, e.g. for character classes and special sequences
+        hexagon: Object.freeze({
+            padding: 0.5,
+            draw: (group, { x, y, width, height }) => {
+                const tip = height * 0.3;
+                const middle = y + height / 2;
+                return group.append("path").attr("d",
+                    `M ${x} ${middle} L ${x + tip} ${y} L ${x + width - tip} ${y} L ${x + width} ${middle} ` +
+                    `L ${x + width - tip} ${y + height} L ${x + tip} ${y + height} Z`);
+            }
+        }),
+        // The curved sides come closer to the text the longer it is, so padding grows with the text
+        ellipse: Object.freeze({
+            padding: textWidth => 0.5 + textWidth * 0.1,
+            draw: (group, { x, y, width, height }) => group.append("ellipse")
+                .attr("cx", x + width / 2)
+                .attr("cy", y + height / 2)
+                .attr("rx", width / 2)
+                .attr("ry", height / 2)
+        })
+    });
+
+    /**
+     * Shapes of box classes set with setBoxShape(); other classes are rectangles
+     * @type {Map<string, BoxShape>}
+     */
+    const boxShapes = new Map();
+
+    /**
+     * Shape of the boxes of a class
+     * @param {string} className - Class of the box, e.g. 'terminal'
+     * @returns {BoxShape} The shape
+     */
+    function boxShapeFor(className) {
+        return boxShapes.get(className) || BOX_SHAPES.rectangle;
+    }
+
+    /**
+     * Choose the shape of the boxes of a class, e.g. pills for terminals and rectangles for nonterminals as in
+     * classic syntax diagrams. Text boxes built afterwards are sized for the shape; existing layouts keep
+     * their widths.
+     * @param {string} className - Class given to Expression.textBox, e.g. 'terminal', 'nonterminal' or 'charset'
+     * @param {string|BoxShape|null} shape - 'rectangle', 'pill', 'hexagon', 'ellipse', a custom shape, or null
+     *   to restore the rectangle
+     * @throws {Error} When the shape is unknown or has no draw function
+     * @example
+     * setBoxShape('terminal', 'pill');
+     * setBoxShape('charset', 'hexagon');
+     * setBoxShape('note', { padding: 1, draw: (group, box) => group.append('rect').attr('x', box.x) ... });
+     */
+    function setBoxShape(className, shape) {
+        if (shape === null || shape === undefined) {
+            boxShapes.delete(className);
+            return;
+        }
+        if (typeof shape === 'string') {
+            if (!BOX_SHAPES[shape]) throw new Error(`Unknown box shape: ${shape}`);
+            shape = BOX_SHAPES[shape];
+        } else if (typeof shape.draw !== 'function') {
+            throw new Error(`Box shape for ${className} needs a draw function`);
+        }
+        boxShapes.set(className, shape);
+    }
+
+    /**
+     * Horizontal padding of a shape for a text, rounded up so that both sides together take whole grid units
+     * and text box widths stay even
+     * @param {BoxShape} shape - Shape of the box
+     * @param {number} textWidth - Text width in grid units
+     * @returns {number} Padding of both sides together, in grid units
+     */
+    function shapePadding(shape, textWidth) {
+        const padding = typeof shape.padding === 'function' ? shape.padding(textWidth) : (shape.padding || 0);
+        return Math.ceil(2 * padding);
+    }
+
+    /**
+     * Length held by a custom property, in pixels; values such as calc(var(--rail-grid-size) * 0.9) are
+     * resolved by the browser through a hidden probe element inside the element
+     * @param {Element|null} element - Element whose computed style holds the property
+     * @param {string} name - Name of the custom property, e.g. '--rail-terminal-radius'
+     * @returns {number} Length in pixels, NaN without a DOM or a value
+     */
+    function customPropertyPixels(element, name) {
+        if (!element) return NaN;
+        const value = getComputedStyle(element).getPropertyValue(name).trim();
+        if (!value) return NaN;
+        if (/^-?[\d.]+px$/.test(value)) return parseFloat(value);
+
+        const probe = element.ownerDocument.createElement('div');
+        probe.style.cssText = `position: absolute; visibility: hidden; width: var(${name});`;
+        element.appendChild(probe);
+        const width = parseFloat(getComputedStyle(probe).width);
+        probe.remove();
+        return width;
+    }
+
     /**
      * RenderContext class - provides optimized rendering interface with cached CSS properties
      * Manages coordinate transformations, child rendering, and CSS property caching for performance
@@ -276,33 +420,45 @@
          * @param {number} gridSize - Size of grid units in pixels
          * @param {boolean} showBounds - Whether to show debug bounding boxes
          * @param {RenderContext|null} parentContext - Parent context for CSS property inheritance
+         * @param {Theme|null} [theme=null] - Theme of the diagram; child contexts inherit it from their parent
+         * @param {Element|null} [styleElement=null] - Element whose custom properties style the diagram, its
+         *   container; child contexts inherit it from their parent
          */
-        constructor(group, gridSize, showBounds, parentContext = null) {
+        constructor(group, gridSize, showBounds, parentContext = null, theme = null, styleElement = null) {
             this.group = group;
             this.gridSize = gridSize;
             this.showBounds = showBounds;
             this.trackBuilder = new TrackBuilder(group, gridSize);
-            
-            // Cache CSS properties: either inherit from parent or read from CSS
-            if (parentContext) {
-                // Inherit cached values from parent context (optimization)
-                this.terminalRadius = parentContext.terminalRadius;
-                this.nonterminalRadius = parentContext.nonterminalRadius;
-            } else {
-                // Read CSS properties once at root level
-                this._cacheCSSProperties();
-            }
+            // Layout -> RenderContext for every box rendered under the same root, used to highlight traces
+            this.renderedLayouts = parentContext ? parentContext.renderedLayouts : new Map();
+            this.theme = parentContext ? parentContext.theme : theme;
+            this.styleElement = parentContext ? parentContext.styleElement : styleElement;
+
+            // Corner radius per box class, resolved once per root context and shared with its children
+            this.cornerRadii = parentContext ? parentContext.cornerRadii : new Map();
         }
 
-        _cacheCSSProperties() {
-            const rootStyle = getComputedStyle(document.documentElement);
-            
-            // Cache corner radius values
-            const terminalRadiusStr = rootStyle.getPropertyValue('--rail-terminal-radius').trim();
-            const nonterminalRadiusStr = rootStyle.getPropertyValue('--rail-nonterminal-radius').trim();
-            
-            this.terminalRadius = parseInt(terminalRadiusStr) || (this.gridSize * 0.9);
-            this.nonterminalRadius = parseInt(nonterminalRadiusStr) || (this.gridSize * 0.6);
+        /**
+         * Corner radius of the boxes of a class: from the theme, else from the --rail-<class>-radius custom
+         * property of the style element (any CSS length), else the terminal default (the nonterminal one for
+         * nonterminals)
+         * @param {string} className - Class of the box, e.g. 'terminal' or 'keyword'
+         * @returns {number} Radius in pixels
+         */
+        cornerRadius(className) {
+            let radius = this.cornerRadii.get(className);
+            if (radius === undefined) {
+                const box = this.theme && this.theme.boxes[className];
+                if (box && box.radius !== undefined) {
+                    radius = box.radius * this.gridSize;
+                } else {
+                    // Without a DOM there are no custom properties to read; fall through to the defaults
+                    radius = customPropertyPixels(this.styleElement, `--rail-${className}-radius`);
+                    if (!(radius >= 0)) radius = this.gridSize * (className === 'nonterminal' ? 0.6 : 0.9);
+                }
+                this.cornerRadii.set(className, radius);
+            }
+            return radius;
         }
 
         renderChild(child, x, y) {
@@ -322,12 +478,13 @@
 
             // Create RenderContext for this child's context, inheriting cached values
             const childRenderContext = new RenderContext(childGroup, this.gridSize, this.showBounds, this);
+            this.renderedLayouts.set(child, childRenderContext);
 
             // Call child's render method with new context
             child.render(childRenderContext);
         }
 
-        renderTextBox(textContent, className, width) {
+        renderTextBox(textContent, className, width, shape = boxShapeFor(className)) {
             const height = 2;
             const adjustedWidth = width; // Width should already be adjusted by caller
 
@@ -343,20 +500,16 @@
                 .forward(1)
                 .finish("textbox-right");
 
-            // Add the rectangle for the text-box (offset by 1 unit from left) - coordinates in pixels
+            // Add the outline of the text-box in the shape of its class (offset by 1 unit from left) - coordinates in pixels
             const textboxWidth = adjustedWidth - 2; // Full width minus the 2 rail units (1 left + 1 right)
             
-            // Use cached corner radius value
-            const cornerRadius = className === 'nonterminal' ? this.nonterminalRadius : this.terminalRadius;
-            
-            const rect = this.group.append("rect")
-                .attr("x", 1 * this.gridSize)
-                .attr("y", 0)
-                .attr("rx", cornerRadius)
-                .attr("ry", cornerRadius)
-                .attr("width", textboxWidth * this.gridSize) // Use calculated text-box width
-                .attr("height", height * this.gridSize)
-                .attr("class", `textbox ${className}`);
+            shape.draw(this.group, {
+                x: 1 * this.gridSize,
+                y: 0,
+                width: textboxWidth * this.gridSize, // Use calculated text-box width
+                height: height * this.gridSize,
+                radius: this.cornerRadius(className)
+            }).attr("class", `textbox ${className}`);
 
             // Add the text centered in the rectangle (offset by 1 unit from left) - coordinates in pixels
             const text = this.group.append("text")
@@ -370,847 +523,6255 @@
             // Add data attribute for nonterminals to enable click navigation
             if (className === 'nonterminal') {
                 text.attr("data-rule", textContent);
+                // Nonterminals are links to their rule: focusable, and followed with Enter (see Diagram)
+                this.group
+                    .attr("class", "rule-link")
+                    .attr("tabindex", 0)
+                    .attr("role", "link")
+                    .attr("aria-label", textContent);
+            } else {
+                // Screen readers get terminals from the rule description
+                this.group.attr("aria-hidden", "true");
             }
         }
+
+        /**
+         * Render a free-standing annotation label centered on a grid position
+         * @param {string} textContent - Label text
+         * @param {string} className - CSS class for the text element
+         * @param {number} x - Center X coordinate in grid units
+         * @param {number} y - Center Y coordinate in grid units
+         */
+        renderLabel(textContent, className, x, y) {
+            this.group.append("text")
+                .attr("x", x * this.gridSize)
+                .attr("y", y * this.gridSize)
+                .attr("text-anchor", "middle")
+                .attr("dominant-baseline", "middle")
+                .attr("class", className)
+                .attr("aria-hidden", "true")
+                .text(textContent);
+        }
+
+        /**
+         * Mark a rail that runs right to left, back to the start of a repetition
+         * SVG rails show the way back through their turns, so only text output draws a marker
+         * @param {number} x - X coordinate of a straight stretch of the rail, in grid units
+         * @param {number} y - Y coordinate of the rail in grid units
+         */
+        renderReturnMarker(x, y) {
+        }
     }
 
     /**
-     * Diagram class - main class for creating and rendering railroad diagrams
-     * Manages SVG creation, rule layout, and coordinate system for multiple syntax rules
+     * SvgElement class - minimal stand-in for a D3 selection used when no DOM is available
+     * Implements the subset of the selection API that Diagram, RenderContext and TrackBuilder
+     * rely on and serializes the resulting tree to SVG markup
      * @class
      */
-    class Diagram {
+    class SvgElement {
         /**
-         * Create a new Diagram instance
-         * @param {string|HTMLElement} containerId - CSS selector, element ID, or DOM element for container
-         * @param {number} grid - Size of grid units in pixels
-         * @param {boolean} showGrid - Whether to show background grid pattern
-         * @param {boolean} showBounds - Whether to show debug bounding boxes
-         * @throws {Error} When container element cannot be found
+         * Create a new SvgElement instance
+         * @param {string} tagName - SVG tag name, e.g. 'g', 'path' or 'text'
+         * @param {SvgElement|null} [parent=null] - Parent element, used by remove()
          */
-        constructor(containerId, grid, showGrid, showBounds) {
-            this.container = typeof containerId === 'string'
-                ? (containerId.startsWith('#')
-                    ? document.querySelector(containerId)
-                    : document.getElementById(containerId))
-                : containerId; // If not a string, assume it's already a DOM element
-            if (!this.container) throw new Error('Container not found');
+        constructor(tagName, parent = null) {
+            this.tagName = tagName;
+            this.parent = parent;
+            this.attributes = new Map();
+            this.styles = new Map();
+            this.children = [];
+            this.textContent = null;
+        }
 
-            this.gridSize = grid;
-            this.showGrid = showGrid;
-            this.showBounds = showBounds;
+        append(tagName) {
+            const child = new SvgElement(tagName, this);
+            this.children.push(child);
+            return child;
+        }
 
-            // Remove previous SVG if any
-            d3.select(this.container).select("svg").remove();
+        insert(tagName, before) {
+            // ":first-child" or a function returning the next sibling, as Diagram uses them; anything else appends
+            const child = new SvgElement(tagName, this);
+            const index = before === ':first-child' ? 0
+                : typeof before === 'function' ? this.children.indexOf(before())
+                : -1;
+            if (index >= 0) {
+                this.children.splice(index, 0, child);
+            } else {
+                this.children.push(child);
+            }
+            return child;
+        }
 
-            // Create SVG element
-            this.svg = d3.select(this.container)
-                .append("svg")
-                .attr("width", 800)
-                .attr("height", 600)
-                .attr("class", "diagram-svg");
+        attr(name, value) {
+            if (arguments.length < 2) {
+                return this.attributes.has(name) ? this.attributes.get(name) : null;
+            }
+            this.attributes.set(name, String(value));
+            return this;
+        }
 
-            /**
-             * Array of rules to render
-             * @type {Array<{title: string, expression: LayoutBox}>}
-             */
-            this.rules = [];
+        classed(className, enabled) {
+            const classes = (this.attr('class') || '').split(/\s+/).filter(Boolean);
+            const index = classes.indexOf(className);
+            if (enabled && index < 0) {
+                classes.push(className);
+            } else if (!enabled && index >= 0) {
+                classes.splice(index, 1);
+            }
+            return this.attr('class', classes.join(' '));
+        }
 
-            this._invalidate();
+        style(name, value) {
+            this.styles.set(name, String(value));
+            return this;
+        }
+
+        text(value) {
+            this.textContent = String(value);
+            return this;
         }
 
         /**
-         * Add a syntax rule to the diagram
-         * @param {string} title - Name of the syntax rule
-         * @param {LayoutBox} expression - Layout expression for the rule
+         * Find the first descendant matching a tag name, '#id' or '.class' selector
+         * @param {string} selector - Tag name, id or class selector
+         * @returns {SvgElement} Matching element, or an empty element when nothing matches
          */
-        addRule(title, expression) {
-            this.rules.push({ title, expression });
-            this._invalidate();
+        select(selector) {
+            return this._find(selector) || new SvgElement(null);
         }
 
-        _invalidate() {
-            this.svg.selectAll("*").remove();
-
-            // Add background grid first if showGrid is enabled (before any content)
-            if (this.showGrid) {
-                this._addBackgroundGridPattern();
+        /**
+         * Select descendants; only '*' (all children) is supported
+         * @param {string} selector - Must be '*'
+         * @returns {{remove: function(): void}} Selection-like object
+         */
+        selectAll(selector) {
+            if (selector !== '*') {
+                throw new Error(`Unsupported selector for SvgElement: ${selector}`);
             }
+            return {
+                remove: () => {
+                    this.children.forEach(child => { child.parent = null; });
+                    this.children = [];
+                }
+            };
+        }
 
-            const x = 1;
-            let currentY = 1
-            let maxWidth = 0;
+        remove() {
+            if (this.parent) {
+                this.parent.children = this.parent.children.filter(child => child !== this);
+                this.parent = null;
+            }
+            return this;
+        }
 
-            this.rules.forEach(rule => {
-                const result = this._renderRule(rule, x, currentY);
-                maxWidth = Math.max(maxWidth, result.totalRuleWidth + 2); // +2 for side padding
-                currentY += result.ruleHeight;
-            });
+        empty() {
+            return this.tagName === null;
+        }
 
-            // Update SVG dimensions
-            // Width: max content width with padding
-            // Height: current Y position + bottom padding
-            this.svg
-                .attr("width", maxWidth * this.gridSize)
-                .attr("height", (currentY + 2) * this.gridSize); // Add 2 grid units padding at bottom
+        node() {
+            return this;
+        }
 
-            // Update background grid dimensions and add debug overlay
-            if (this.showGrid) {
-                this._updateBackgroundGridSize();
-            }
-            if (this.showBounds) {
-                this._addDebugOverlay();
+        _find(selector) {
+            for (const child of this.children) {
+                const matches = selector.startsWith('#') ? child.attributes.get('id') === selector.slice(1)
+                    : selector.startsWith('.') ? (child.attributes.get('class') || '').split(/\s+/).includes(selector.slice(1))
+                    : child.tagName === selector;
+                if (matches) return child;
+                const found = child._find(selector);
+                if (found) return found;
             }
+            return null;
         }
 
         /**
-         * Render a single syntax rule with terminals and rails
-         * @param {Object} rule - Rule object with title and expression properties
-         * @param {number} x - X position in grid units for rule placement
-         * @param {number} currentY - Y position in grid units for rule placement
-         * @returns {{totalRuleWidth: number, ruleHeight: number}} Rule dimensions for layout calculation
-         * @private
+         * Serialize this element and its descendants to SVG markup
+         * @returns {string} SVG markup
          */
-        _renderRule(rule, x, currentY) {
-            // Create rule container with translation
-            const ruleGroup = this.svg.append("g")
-                .attr("class", "rule-group")
-                .attr("transform", `translate(${x * this.gridSize}, ${currentY * this.gridSize})`);
+        toString() {
+            let markup = `<${this.tagName}`;
+            this.attributes.forEach((value, name) => {
+                markup += ` ${name}="${escapeXml(value)}"`;
+            });
+            if (this.styles.size > 0) {
+                const style = Array.from(this.styles, ([name, value]) => `${name}: ${value}`).join('; ');
+                markup += ` style="${escapeXml(style)}"`;
+            }
 
-            // Setup layout constants
-            const expressionStartX = 2; // Expression starts at grid unit 2 (terminal at 0, rail from 0-2)
-            const expressionBaseline = rule.expression.baseline;
+            if (this.children.length === 0 && this.textContent === null) {
+                return `${markup}/>`;
+            }
 
-            // Render terminals and connecting rails
-            this._renderRuleTerminals(ruleGroup, rule.expression, expressionStartX, expressionBaseline);
+            markup += '>';
+            if (this.textContent !== null) {
+                markup += escapeXml(this.textContent);
+            }
+            markup += this.children.map(child => child.toString()).join('');
+            return `${markup}</${this.tagName}>`;
+        }
+    }
 
-            // Render the core expression
-            this._renderRuleExpression(ruleGroup, rule.expression, expressionStartX);
+    /**
+     * Escape text for use in XML attribute values and character data
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 
-            // Calculate and return dimensions
-            const totalRuleWidth = 2 + rule.expression.width + 2; // start rail + expression + end rail
-            const ruleHeight = rule.expression.height;
+    /**
+     * Connection bits of a character grid cell, one per side
+     */
+    const CELL_NORTH = 1;
+    const CELL_EAST = 2;
+    const CELL_SOUTH = 4;
+    const CELL_WEST = 8;
+
+    const DIRECTION_BITS = {
+        [Direction.NORTH]: CELL_NORTH,
+        [Direction.EAST]: CELL_EAST,
+        [Direction.SOUTH]: CELL_SOUTH,
+        [Direction.WEST]: CELL_WEST
+    };
+
+    const OPPOSITE_BITS = {
+        [CELL_NORTH]: CELL_SOUTH,
+        [CELL_EAST]: CELL_WEST,
+        [CELL_SOUTH]: CELL_NORTH,
+        [CELL_WEST]: CELL_EAST
+    };
+
+    /**
+     * Characters for each combination of cell connections, indexed by connection bits
+     * Two-sided corners have a rounded variant used for rail turns and terminal boxes
+     */
+    const TEXT_CHARSETS = {
+        unicode: {
+            lines: [' ', '│', '─', '└', '│', '│', '┌', '├', '─', '┘', '─', '┴', '┐', '┤', '┬', '┼'],
+            rounded: { [CELL_NORTH | CELL_EAST]: '╰', [CELL_EAST | CELL_SOUTH]: '╭', [CELL_SOUTH | CELL_WEST]: '╮', [CELL_NORTH | CELL_WEST]: '╯' },
+            terminator: '●'
+        },
+        ascii: {
+            lines: [' ', '|', '-', '+', '|', '|', '+', '+', '-', '+', '-', '+', '+', '+', '+', '+'],
+            rounded: { [CELL_NORTH | CELL_EAST]: '\\', [CELL_EAST | CELL_SOUTH]: '/', [CELL_SOUTH | CELL_WEST]: '\\', [CELL_NORTH | CELL_WEST]: '/' },
+            terminator: 'o',
+            // Typographic characters of repeat labels and return rails
+            replacements: { '×': 'x', '–': '-', '◂': '<' }
+        }
+    };
+
+    /**
+     * CharacterGrid class - grid of character cells that rails, boxes and text are drawn into
+     * Each grid point of the layout is one cell; rails record which sides of a cell they leave
+     * through, so crossings and junctions combine into the right box-drawing character
+     * @class
+     */
+    class CharacterGrid {
+        constructor() {
+            this.rows = [];
+        }
 
-            return { totalRuleWidth, ruleHeight };
+        _cell(x, y) {
+            const row = this.rows[y] || (this.rows[y] = []);
+            return row[x] || (row[x] = { bits: 0, square: false, text: null });
         }
 
         /**
-         * Render start and end terminals with connecting rails for a rule
-         * @param {d3.Selection} ruleGroup - SVG group for the rule
-         * @param {LayoutBox} expression - The rule's expression layout
-         * @param {number} expressionStartX - X position where expression starts
-         * @param {number} baseline - Y position of the main rail line
-         * @private
+         * Connect a cell to its neighbours on the given sides
+         * @param {number} x - Column
+         * @param {number} y - Row
+         * @param {number} bits - CELL_* bits
+         * @param {boolean} [square=false] - Draw a two-sided corner square instead of rounded
          */
-        _renderRuleTerminals(ruleGroup, expression, expressionStartX, baseline) {
-            const terminalRadius = this.gridSize * 0.75; // Radius = 3/4 grid unit
-            const endTerminalX = expressionStartX + expression.width + 2; // +2 for end rail length
+        connect(x, y, bits, square = false) {
+            const cell = this._cell(x, y);
+            cell.bits |= bits;
+            cell.square = cell.square || square;
+        }
 
-            // Add start terminal (black circle at grid point 0)
-            ruleGroup.append("circle")
-                .attr("cx", 0)
-                .attr("cy", baseline * this.gridSize)
-                .attr("r", terminalRadius)
-                .attr("fill", "black")
-                .attr("class", "start-terminal");
-
-            // Add end terminal (black circle at calculated end position)
-            ruleGroup.append("circle")
-                .attr("cx", endTerminalX * this.gridSize)
-                .attr("cy", baseline * this.gridSize)
-                .attr("r", terminalRadius)
-                .attr("fill", "black")
-                .attr("class", "end-terminal");
+        /**
+         * Connect the cells of a straight line, both ends included
+         */
+        line(x1, y1, x2, y2, square = false) {
+            const horizontal = y1 === y2;
+            const [from, to] = horizontal ? [Math.min(x1, x2), Math.max(x1, x2)] : [Math.min(y1, y2), Math.max(y1, y2)];
+            for (let position = from; position <= to; position++) {
+                const bits = (position > from ? (horizontal ? CELL_WEST : CELL_NORTH) : 0) |
+                    (position < to ? (horizontal ? CELL_EAST : CELL_SOUTH) : 0);
+                if (horizontal) {
+                    this.connect(position, y1, bits, square);
+                } else {
+                    this.connect(x1, position, bits, square);
+                }
+            }
+        }
 
-            // Add connecting rails
-            const trackBuilder = new TrackBuilder(ruleGroup, this.gridSize);
-            
-            // Start rail: from terminal to expression start
-            trackBuilder
-                .start(0, baseline, Direction.EAST)
-                .forward(2)
-                .finish("start-rail");
+        /**
+         * Write text into consecutive cells, replacing any lines there
+         */
+        write(x, y, text) {
+            Array.from(text).forEach((character, index) => {
+                this._cell(x + index, y).text = character;
+            });
+        }
 
-            // End rail: from expression end to terminal
-            trackBuilder
-                .start(expressionStartX + expression.width, baseline, Direction.EAST)
-                .forward(2)
-                .finish("end-rail");
+        /**
+         * Render the grid with the given character set, without trailing spaces
+         * @param {Object} charset - Entry of TEXT_CHARSETS
+         * @returns {string[]} Lines of text
+         */
+        toLines(charset) {
+            const replacements = charset.replacements || {};
+            return Array.from(this.rows, (row = []) => Array.from(row, (cell) => {
+                if (!cell) return ' ';
+                if (cell.text !== null) return replacements[cell.text] || cell.text;
+                return (!cell.square && charset.rounded[cell.bits]) || charset.lines[cell.bits];
+            }).join('').replace(/\s+$/, ''));
         }
+    }
 
+    /**
+     * TextTrackBuilder class - TrackBuilder that draws rails into a CharacterGrid
+     * Keeps the turtle state and turn geometry of TrackBuilder: a turn passes through
+     * the corner cell one unit ahead and ends one unit to the side
+     * @class
+     */
+    class TextTrackBuilder extends TrackBuilder {
         /**
-         * Render the rule's expression content within the rule container
-         * @param {d3.Selection} ruleGroup - SVG group for the rule
-         * @param {LayoutBox} expression - The rule's expression layout
-         * @param {number} expressionStartX - X position where expression starts
-         * @private
+         * Create a new TextTrackBuilder instance
+         * @param {CharacterGrid} grid - Grid to draw into
+         * @param {number} originX - Column of the layout's x = 0
+         * @param {number} originY - Row of the layout's y = 0
          */
-        _renderRuleExpression(ruleGroup, expression, expressionStartX) {
-            // Create expression group with translation offset
-            const expressionGroup = ruleGroup.append("g")
-                .attr("transform", `translate(${expressionStartX * this.gridSize}, 0)`);
-            
-            // Add debug data attributes if enabled
-            if (this.showBounds) {
-                expressionGroup
-                    .attr("data-debug", "true")
-                    .attr("data-width", expression.width)
-                    .attr("data-height", expression.height)
-                    .attr("data-baseline-y", expression.baseline)
-                    .attr("data-grid-size", this.gridSize);
+        constructor(grid, originX, originY) {
+            super(null, 1);
+            this.grid = grid;
+            this.originX = originX;
+            this.originY = originY;
+        }
+
+        forward(units) {
+            const { currentX, currentY } = this;
+            super.forward(units);
+            if (units > 0) {
+                this.grid.line(this.originX + currentX, this.originY + currentY, this.originX + this.currentX, this.originY + this.currentY);
             }
+            return this;
+        }
 
-            // Create RenderContext and render the expression
-            const expressionRenderContext = new RenderContext(expressionGroup, this.gridSize, this.showBounds);
-            expression.render(expressionRenderContext);
+        _addArcTransition(fromDirection, toDirection) {
+            const fromBits = DIRECTION_BITS[fromDirection];
+            const toBits = DIRECTION_BITS[toDirection];
+            const fromDelta = this._getDirectionDelta(fromDirection);
+
+            this.grid.connect(this.originX + this.currentX, this.originY + this.currentY, fromBits);
+            this.grid.connect(this.originX + this.currentX + fromDelta.x, this.originY + this.currentY + fromDelta.y, OPPOSITE_BITS[fromBits] | toBits);
+            super._addArcTransition(fromDirection, toDirection);
+            this.grid.connect(this.originX + this.currentX, this.originY + this.currentY, OPPOSITE_BITS[toBits]);
         }
 
-        _addBackgroundGridPattern() {
-            // Create defs section if it doesn't exist
-            let defs = this.svg.select("defs");
-            if (defs.empty()) {
-                defs = this.svg.append("defs");
+        finish(debugId = null) {
+            if (!this.currentPath) {
+                throw new Error('No path to finish. Call start() first.');
             }
+            this.paths.push({ element: null, data: this.currentPath, debugId: debugId });
+            this.currentPath = null;
+            return this;
+        }
+    }
 
-            // Remove any existing pattern
-            defs.select("#grid-pattern").remove();
+    /**
+     * TextRenderContext class - RenderContext counterpart that renders layouts into a CharacterGrid
+     * Layouts render themselves through the same renderChild/renderTextBox/renderLabel/trackBuilder
+     * interface, so text output uses the grid-unit geometry of the SVG output
+     * @class
+     */
+    class TextRenderContext {
+        /**
+         * Create a new TextRenderContext instance
+         * @param {CharacterGrid} grid - Grid to draw into
+         * @param {number} x - Column of the layout's x = 0
+         * @param {number} y - Row of the layout's y = 0
+         * @param {TextRenderContext|null} [parentContext=null] - Parent context
+         */
+        constructor(grid, x, y, parentContext = null) {
+            this.grid = grid;
+            this.x = x;
+            this.y = y;
+            this.trackBuilder = new TextTrackBuilder(grid, x, y);
+            this.renderedLayouts = parentContext ? parentContext.renderedLayouts : new Map();
+        }
 
-            // Create grid pattern with small crosses at grid points
-            const pattern = defs.append("pattern")
-                .attr("id", "grid-pattern")
-                .attr("x", -this.gridSize / 2) // Offset pattern by half grid size
-                .attr("y", -this.gridSize / 2) // Offset pattern by half grid size
-                .attr("width", this.gridSize)
-                .attr("height", this.gridSize)
-                .attr("patternUnits", "userSpaceOnUse");
+        renderChild(child, x, y) {
+            const childRenderContext = new TextRenderContext(this.grid, this.x + x, this.y + y, this);
+            this.renderedLayouts.set(child, childRenderContext);
+            child.render(childRenderContext);
+        }
 
-            // Cross size (small lines extending from center)
-            const crossSize = 4; // 4 pixels in each direction from center            
-            // Place cross at the center of the pattern tile
-            const centerX = this.gridSize / 2;
-            const centerY = this.gridSize / 2;
-            
-            // Add horizontal line of cross
-            pattern.append("line")
-                .attr("x1", centerX - crossSize)
-                .attr("y1", centerY)
-                .attr("x2", centerX + crossSize)
-                .attr("y2", centerY)
-                .attr("stroke", "#ddd")
-                .attr("stroke-width", ".2");
+        renderTextBox(textContent, className, width) {
+            this.trackBuilder.start(0, 1, Direction.EAST).forward(1).finish("textbox-left");
+            this.trackBuilder.start(width - 1, 1, Direction.EAST).forward(1).finish("textbox-right");
+
+            // Nonterminals get square corners, terminals rounded ones, as in the SVG
+            const square = className === 'nonterminal';
+            const left = this.x + 1;
+            const right = this.x + width - 1;
+            this.grid.line(left, this.y, right, this.y, square);
+            this.grid.line(left, this.y + 2, right, this.y + 2, square);
+            this.grid.line(left, this.y, left, this.y + 2, square);
+            this.grid.line(right, this.y, right, this.y + 2, square);
+
+            const innerWidth = width - 3;
+            const text = String(textContent);
+            this.grid.write(this.x + 2 + Math.floor((innerWidth - Array.from(text).length) / 2), this.y + 1, text);
+        }
 
-            // Add vertical line of cross
-            pattern.append("line")
-                .attr("x1", centerX)
-                .attr("y1", centerY - crossSize)
-                .attr("x2", centerX)
-                .attr("y2", centerY + crossSize)
-                .attr("stroke", "#ddd")
-                .attr("stroke-width", ".2");
+        renderLabel(textContent, className, x, y) {
+            const text = String(textContent);
+            this.grid.write(this.x + x - Math.floor(Array.from(text).length / 2), this.y + y, text);
+        }
 
-            // Create background rectangle with pattern fill (will be sized later)
-            const gridGroup = this.svg.insert("g", ":first-child")
-                .attr("class", "background-grid");
+        renderReturnMarker(x, y) {
+            // Without it, loop(a) would read like bypass(a)
+            this.grid.write(this.x + x, this.y + y, '◂');
+        }
+    }
 
-            gridGroup.append("rect")
-                .attr("id", "grid-background")
-                .attr("x", 0) // No offset needed on rect - pattern handles it
-                .attr("y", 0) // No offset needed on rect - pattern handles it
-                .attr("width", 0) // Will be updated when dimensions are known
-                .attr("height", 0) // Will be updated when dimensions are known
-                .attr("fill", "url(#grid-pattern)");
+    /**
+     * Debug and bookkeeping attributes left out of exported SVG
+     */
+    const EXPORT_OMITTED_ATTRIBUTES = new Set([
+        'data-debug', 'data-width', 'data-height', 'data-baseline-y', 'data-grid-size', 'data-seq', 'data-id', 'tabindex'
+    ]);
+
+    /**
+     * Computed style properties written as presentation attributes on exported shapes and text
+     */
+    const EXPORT_STYLE_PROPERTIES = [
+        'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-dasharray', 'opacity',
+        'font-family', 'font-size', 'font-weight', 'font-style', 'text-decoration'
+    ];
+
+    const EXPORT_STYLED_TAGS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'text']);
+
+    /**
+     * Serialize a rendered SVG element (DOM element or SvgElement) for export
+     * Debug attributes, the debug bounds and, unless requested, the background grid are left out;
+     * DOM elements get their computed styles written as presentation attributes so the markup
+     * no longer depends on diagram.css
+     * @param {Element|SvgElement} node - Element to serialize
+     * @param {boolean} includeGrid - Whether to keep the background grid pattern
+     * @returns {string} SVG markup, empty when the element is left out
+     */
+    function serializeForExport(node, includeGrid) {
+        const isDomNode = !(node instanceof SvgElement);
+        const tagName = node.tagName;
+        const attributes = new Map(isDomNode
+            ? Array.from(node.attributes, attribute => [attribute.name, attribute.value])
+            : node.attributes);
+        const className = attributes.get('class') || '';
+
+        if (/\bdebug-(box|baseline)\b/.test(className) ||
+            (!includeGrid && (/\bbackground-grid\b/.test(className) || attributes.get('id') === 'grid-pattern'))) {
+            return '';
         }
 
-        _updateBackgroundGridSize() {
-            const svgWidth = parseInt(this.svg.attr("width"));
-            const svgHeight = parseInt(this.svg.attr("height")) || 600;
+        EXPORT_OMITTED_ATTRIBUTES.forEach(name => attributes.delete(name));
+        if (/\brule-link\b/.test(className)) {
+            // Without tabindex nonterminals are no links to follow; like terminals, they are read from the rule description
+            attributes.delete('role');
+            attributes.delete('aria-label');
+            attributes.set('aria-hidden', 'true');
+        }
+        if (isDomNode && EXPORT_STYLED_TAGS.has(tagName)) {
+            const computed = getComputedStyle(node);
+            EXPORT_STYLE_PROPERTIES.forEach(property => {
+                const value = computed.getPropertyValue(property).trim();
+                if (value) attributes.set(property, value);
+            });
+        } else if (!isDomNode && node.styles.size > 0) {
+            attributes.set('style', Array.from(node.styles, ([name, value]) => `${name}: ${value}`).join('; '));
+        }
 
-            // Update the background rectangle size to cover the full SVG area
-            this.svg.select("#grid-background")
-                .attr("width", svgWidth)
-                .attr("height", svgHeight);
+        const children = Array.from(node.children).map(child => serializeForExport(child, includeGrid)).join('');
+        const text = isDomNode
+            ? Array.from(node.childNodes).filter(child => child.nodeType === 3).map(child => child.data).join('')
+            : (node.textContent || '');
+        if (tagName === 'defs' && !children) {
+            return '';
         }
 
-        _addDebugOverlay() {
-            // Create debug overlay container
-            d3.select(this.container).select(".debug-overlay").remove();
+        const markup = `<${tagName}${Array.from(attributes, ([name, value]) => ` ${name}="${escapeXml(value)}"`).join('')}`;
+        return children || text ? `${markup}>${escapeXml(text)}${children}</${tagName}>` : `${markup}/>`;
+    }
 
-            const debugOverlay = d3.select(this.container)
-                .append("div")
-                .attr("class", "debug-overlay")
-                .style("position", "absolute")
-                .style("top", "0")
-                .style("left", "0")
-                .style("width", "100%")
-                .style("height", "100%")
-                .style("pointer-events", "none")
-                .style("z-index", "10");
+    /**
+     * Offer a blob as a file download through a temporary link
+     * @param {Blob} blob - File content
+     * @param {string} filename - Suggested file name
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
 
-            // Find all groups with debug data and create overlay boxes
-            this.svg.selectAll("g[data-debug]").each(function () {
-                const group = d3.select(this);
-                const width = parseInt(group.attr("data-width"));
-                const height = parseInt(group.attr("data-height"));
-                const baselineY = parseInt(group.attr("data-baseline-y"));
-                const gridSize = parseInt(group.attr("data-grid-size"));
+    /**
+     * Rasterize SVG markup to a PNG blob through an offscreen canvas
+     * @param {string} markup - Self-contained SVG markup
+     * @param {number} width - Width in pixels at scale 1
+     * @param {number} height - Height in pixels at scale 1
+     * @param {{scale: number, background: string|null}} options - Pixel ratio and background fill
+     * @returns {Promise<Blob>} PNG image
+     */
+    function rasterizeSVG(markup, width, height, { scale, background }) {
+        if (typeof Image === 'undefined') {
+            return Promise.reject(new Error('PNG export needs a browser with Image and canvas support'));
+        }
 
-                // Get the transform matrix to calculate absolute position
-                const transform = this.getCTM();
-                const x = transform.e;
-                const y = transform.f;
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('The exported SVG could not be loaded for rasterization'));
+            image.src = url;
+        }).then(image => {
+            const pixelWidth = Math.ceil(width * scale);
+            const pixelHeight = Math.ceil(height * scale);
+            // OffscreenCanvas keeps the canvas out of the document; fall back where it is missing
+            const canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(pixelWidth, pixelHeight)
+                : Object.assign(document.createElement('canvas'), { width: pixelWidth, height: pixelHeight });
+            const context = canvas.getContext('2d');
+            if (background) {
+                context.fillStyle = background;
+                context.fillRect(0, 0, pixelWidth, pixelHeight);
+            }
+            context.drawImage(image, 0, 0, pixelWidth, pixelHeight);
 
-                // Create bounding box overlay
-                debugOverlay.append("div")
-                    .attr("class", "debug-box-overlay")
-                    .style("position", "absolute")
-                    .style("left", `${x}px`)
-                    .style("top", `${y}px`)
-                    .style("width", `${width * gridSize}px`)
-                    .style("height", `${height * gridSize}px`)
-                    .style("border", "2px dashed hotpink")
-                    .style("box-sizing", "border-box")
-                    .style("pointer-events", "none");
+            return canvas.convertToBlob
+                ? canvas.convertToBlob({ type: 'image/png' })
+                : new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        }).finally(() => URL.revokeObjectURL(url));
+    }
 
-                // Create baseline indicator
-                debugOverlay.append("div")
-                    .attr("class", "debug-baseline-overlay")
-                    .style("position", "absolute")
-                    .style("left", `${x}px`)
-                    .style("top", `${y + baselineY * gridSize}px`)
-                    .style("width", `${width * gridSize}px`)
-                    .style("height", "0")
-                    .style("border-top", "1px dotted hotpink")
-                    .style("pointer-events", "none");
-            });
+    /**
+     * Wrap a top-level sequence onto multiple rows when it exceeds maxWidth
+     * @param {LayoutBox} expression - A rule's expression layout
+     * @param {number} maxWidth - Maximum diagram width in grid units
+     * @returns {LayoutBox} The expression itself, or a wrapped layout whose exitBaseline is on its last row
+     */
+    function wrapRuleExpression(expression, maxWidth) {
+        const availableWidth = maxWidth - 6; // 1 unit side padding and 2 unit terminal rails on each side
+        if (expression.width <= availableWidth || expression.kind !== 'sequence') {
+            return expression;
         }
+        return Expression._wrappedSequence(expression.children, availableWidth);
     }
 
     /**
-     * Expression class - static factory methods for creating railroad diagram expressions
-     * Provides a fluent API for building syntax diagrams using layout objects
-     * All methods return LayoutBox objects with width, height, baseline, and render() method
+     * Describe an expression in words, for screen readers and other text-only presentations
+     * Nonterminals are given by name and terminals in quotes
+     * @param {LayoutBox} layout - Expression layout
+     * @returns {string} Description
+     * @example
+     * describeExpression(evaluateExpressionCode('sequence(textBox("A", "nonterminal"), ' +
+     *     'optional(textBox("B", "nonterminal")), stack(textBox("C", "nonterminal"), textBox("D", "nonterminal")))'));
+     * // 'sequence of A, then optionally B, then one of C or D'
+     */
+    function describeExpression(layout) {
+        return describeLayout(layout, false);
+    }
+
+    // enclosed: text follows the description, so lists have to be parenthesized to keep their end clear
+    function describeLayout(layout, enclosed) {
+        const list = (children, prefix, join) => {
+            const parts = children.map((child, index) => describeLayout(child, index < children.length - 1 || enclosed));
+            const text = prefix + join(parts);
+            return enclosed ? `(${text})` : text;
+        };
+        const [child, separator] = layout.children || [];
+        const separated = separator ? ` separated by ${describeLayout(separator, enclosed)}` : '';
+
+        switch (layout.kind) {
+            case 'textBox':
+                if (layout.className === 'nonterminal') return layout.text;
+                return layout.match === 'prose' ? `<${layout.text}>` : `"${layout.text}"`;
+            case 'sequence':
+            case 'wrappedSequence': {
+                // Rows of a wrapped sequence are sequences themselves
+                const items = layout.kind === 'wrappedSequence'
+                    ? layout.children.flatMap(row => row.kind === 'sequence' ? row.children : [row])
+                    : layout.children;
+                return items.length === 1
+                    ? describeLayout(items[0], enclosed)
+                    : list(items, 'sequence of ', parts => parts.join(', then '));
+            }
+            case 'stack':
+                return layout.children.length === 1
+                    ? describeLayout(child, enclosed)
+                    : list(layout.children, 'one of ', parts => `${parts.slice(0, -1).join(', ')} or ${parts[parts.length - 1]}`);
+            case 'bypass':
+            case 'optional':
+                return `optionally ${describeLayout(child, enclosed)}`;
+            case 'loop':
+            case 'oneOrMore':
+                return `one or more of ${describeLayout(child, Boolean(separator) || enclosed)}${separated}`;
+            case 'zeroOrMore':
+                return `zero or more of ${describeLayout(child, Boolean(separator) || enclosed)}${separated}`;
+            case 'repeat': {
+                const count = layout.max === Infinity ? `at least ${layout.min}`
+                    : layout.min === layout.max ? `${layout.min}` : `${layout.min} to ${layout.max}`;
+                const lastNumber = layout.max === Infinity ? layout.min : layout.max;
+                return `${describeLayout(child, true)} repeated ${count} ${lastNumber === 1 ? 'time' : 'times'}`;
+            }
+            default:
+                return describeLayout(child, enclosed);
+        }
+    }
+
+    /**
+     * Event types a Diagram emits, see Diagram.on
+     * @type {string[]}
+     */
+    const DIAGRAM_EVENT_TYPES = ['nonterminalClick', 'terminalClick', 'hover', 'render'];
+
+    /**
+     * Diagram class - main class for creating and rendering railroad diagrams
+     * Manages SVG creation, rule layout, and coordinate system for multiple syntax rules
      * @class
      */
-    class Expression {
-        
+    class Diagram {
         /**
-         * Create a text box layout for terminal or nonterminal elements
-         * @param {string} textContent - Text to display in the box
-         * @param {string} className - CSS class: 'terminal' for literals, 'nonterminal' for rule references
-         * @returns {LayoutBox} Layout object with render method
-         * @example
-         * Expression.textBox('"SELECT"', 'terminal')     // Literal keyword
-         * Expression.textBox('column_name', 'nonterminal') // Rule reference
+         * Create a new Diagram instance
+         * @param {string|HTMLElement|null} containerId - CSS selector, element ID, or DOM element for container;
+         *   null renders headless into an in-memory SvgElement (no D3 or DOM required)
+         * @param {number} grid - Size of grid units in pixels
+         * @param {boolean} showGrid - Whether to show background grid pattern
+         * @param {boolean} showBounds - Whether to show debug bounding boxes
+         * @param {Object} [options={}] - Additional layout options
+         * @param {number} [options.maxWidth=Infinity] - Maximum diagram width in grid units; top-level
+         *   sequences that are wider are wrapped onto multiple rows
+         * @param {Object<string, Function>} [options.on] - Event handlers by event type, registered with on()
+         *   before the first render
+         * @param {boolean|Object|RulePreview} [options.preview] - Preview referenced rules while their nonterminals
+         *   are hovered or focused; an object is passed to RulePreview as options
+         * @param {boolean|Object} [options.viewer] - Zoom, pan and minimap for large diagrams; an object is passed
+         *   to DiagramViewer as options
+         * @param {string|Theme|null} [options.theme] - Theme name ('light', 'dark', 'high-contrast'), custom theme,
+         *   or 'auto' for none, applied to the container; defaults to the theme applied with applyTheme() to the
+         *   container, one of its ancestors or the page
+         * @throws {Error} When container element cannot be found or the theme is invalid
          */
-        static textBox(textContent, className) {
-            const height = 2;
-            const gridSize = getGridSizeFromCSS(); // Use actual grid size from CSS
-            const textWidth = Expression._measureText(textContent, gridSize, className);
-            const width = textWidth + 3; // Add 1 unit on each side for rails, plus 1 for original padding
-            // INVARIANT: Ensure total width is even for perfect centering in stacks (Grid Alignment Invariant)
-            const adjustedWidth = roundUpToEven(width);
+        constructor(containerId, grid, showGrid, showBounds, options = {}) {
+            this.gridSize = grid;
+            this.showGrid = showGrid;
+            this.showBounds = showBounds;
+            this.maxWidth = options.maxWidth || Infinity;
 
-            return {
-                width: adjustedWidth,
-                height: height,
-                baseline: 1,
-                render(renderContext) {
-                    renderContext.renderTextBox(textContent, className, adjustedWidth);
+            /**
+             * Theme of the diagram, null to follow diagram.css
+             * @type {Theme|null}
+             */
+            this.theme = options.theme !== undefined ? resolveTheme(options.theme) : pageTheme;
+
+            if (containerId === null) {
+                // Headless mode: render into an in-memory element tree
+                this.container = null;
+                this.svg = new SvgElement("svg")
+                    .attr("xmlns", "http://www.w3.org/2000/svg")
+                    .attr("width", 800)
+                    .attr("height", 600)
+                    .attr("class", "diagram-svg");
+            } else {
+                this.container = typeof containerId === 'string'
+                    ? (containerId.startsWith('#')
+                        ? document.querySelector(containerId)
+                        : document.getElementById(containerId))
+                    : containerId; // If not a string, assume it's already a DOM element
+                if (!this.container) throw new Error('Container not found');
+
+                // Remove previous SVG if any, with the controls of a previous viewer
+                d3.select(this.container).select("svg").remove();
+                d3.select(this.container)
+                    .classed("diagram-viewer", false)
+                    .selectAll(".diagram-minimap, .diagram-viewer-controls").remove();
+
+                // A theme of its own is applied to the container; otherwise the diagram keeps the theme applied
+                // to the container or one of its ancestors, which reaches it through inheritance
+                if (options.theme !== undefined) {
+                    this.theme = applyTheme(options.theme, this.container);
+                } else {
+                    this.theme = inheritedTheme(this.container);
                 }
-            };
-        }
 
-        /**
-         * Create a horizontal sequence of layout elements
-         * Elements are connected by rail lines with proper spacing
-         * @param {...LayoutBox} children - Variable number of layout elements to sequence
-         * @returns {LayoutBox} Layout object containing the sequence
-         * @example
-         * Expression.sequence(
-         *   Expression.textBox('SELECT', 'terminal'),
-         *   Expression.textBox('column_name', 'nonterminal')
-         * )
-         */
-        static sequence(...children) {
-            // Calculate total width and max height
-            const totalWidth = children.reduce((sum, child) => sum + child.width, 0) + (children.length - 1) * 2;
-            const maxHeight = Math.max(...children.map(child => child.height));
-            const baseline = Math.max(...children.map(child => child.baseline));
+                // Create SVG element
+                this.svg = d3.select(this.container)
+                    .append("svg")
+                    .attr("width", 800)
+                    .attr("height", 600)
+                    .attr("class", "diagram-svg");
+                // Themed diagrams bring their background, so that they read on any page
+                if (this.theme) {
+                    this.svg.style("background-color", this.theme.colors.background);
+                }
+            }
 
-            return {
-                width: totalWidth,
-                height: maxHeight,
-                baseline: baseline,
-                render(renderContext) {
-                    let currentX = 0;
+            /**
+             * Array of rules to render
+             * @type {Array<{title: string, expression: LayoutBox}>}
+             */
+            this.rules = [];
 
-                    children.forEach((child, index) => {
-                        // Calculate child Y position to align baselines (in relative coordinates)
-                        const childY = baseline - child.baseline;
+            /**
+             * Rendering state per rule object of rules, used to highlight traces; titles may repeat
+             * @type {Map<Object, {expression: LayoutBox, rendered: LayoutBox, contexts: Map, rails: Array}>}
+             * @private
+             */
+            this._renderedRules = new Map();
+            this._highlighted = [];
 
-                        // Call renderChild with child and relative coordinates
-                        renderContext.renderChild(child, currentX, childY);
+            /**
+             * Rendered group and placement of each rule, index-aligned with rules;
+             * null for rules that still need rendering
+             * @type {Array<{group: d3.Selection, y: number, width: number, height: number}|null>}
+             * @private
+             */
+            this._ruleViews = [];
+            this._batchDepth = 0;
 
-                        // Add horizontal rail connection to next child (except for the last child)
-                        if (index < children.length - 1) {
-                            const railStartX = currentX + child.width;
-                            const railY = baseline;
+            /**
+             * Event handlers by event type, see on()
+             * @type {Map<string, Set<Function>>}
+             * @private
+             */
+            this._handlers = new Map();
 
-                            renderContext.trackBuilder
-                                .start(railStartX, railY, Direction.EAST)
-                                .forward(2) // 2 unit space
-                                .finish(`seq-${index}`);
-                        }
+            /**
+             * Rendered text boxes by the DOM node of their group, used to resolve pointer events to layouts
+             * @type {WeakMap<Element, {rule: string, layout: LayoutBox}>}
+             * @private
+             */
+            this._boxes = new WeakMap();
+            this._hoveredBox = null;
 
-                        currentX += child.width + 2; // Add 2 for the unit space
-                    });
+            /**
+             * Zoom and pan viewer, when enabled with options.viewer
+             * @type {DiagramViewer|null}
+             */
+            this.viewer = null;
 
+            Object.entries(options.on || {}).forEach(([type, handler]) => this.on(type, handler));
+            if (this.container) {
+                this._listen();
+                if (options.preview) {
+                    rulePreviewFrom(options.preview).attach(this);
                 }
-            };
+                if (options.viewer) {
+                    this.viewer = new DiagramViewer(this, options.viewer === true ? {} : options.viewer);
+                }
+            }
+
+            this._invalidate();
         }
 
         /**
-         * Create a vertical stack of layout elements (choice alternatives)
-         * All alternatives share the same entry and exit points with branching rails
-         * @param {...LayoutBox} children - Variable number of alternative layout elements
-         * @returns {LayoutBox} Layout object containing the stack
+         * Register an event handler
+         * - nonterminalClick, terminalClick: a text box was clicked. Calling event.preventDefault() in a
+         *   nonterminalClick handler suppresses the default navigation to the referenced rule
+         * - hover: the pointer entered (event.hovered is true) or left (false) a text box
+         * - render: rules were drawn or moved; event.rules lists the titles of all rules
+         * Box events carry rule (title of the rule containing the box), text (for nonterminals the referenced
+         * rule), className, element (the SVG group of the box), layout (its LayoutBox) and originalEvent
+         * @param {string} type - 'nonterminalClick', 'terminalClick', 'hover' or 'render'
+         * @param {function(Object): void} handler - Called with the event object, this being the diagram
+         * @returns {Diagram} This diagram, for chaining
+         * @throws {Error} When the event type is unknown
          * @example
-         * Expression.stack(
-         *   Expression.textBox('ASC', 'terminal'),
-         *   Expression.textBox('DESC', 'terminal')
-         * )
+         * diagram.on('nonterminalClick', event => {
+         *     event.preventDefault();
+         *     router.push(`/grammar/${event.text}`);
+         * });
          */
-        static stack(...children) {
-            const maxChildWidth = roundUpToEven(Math.max(...children.map(child => child.width)));
-            const maxWidth = maxChildWidth + 4; // Add 2 units on each side
-            const totalHeight = children.reduce((sum, child) => sum + child.height, 0) + (children.length - 1) + 1;
-            const baseline = children[0].baseline;
-
-            return {
-                width: maxWidth,
-                height: totalHeight,
-                baseline: baseline,
-                render(renderContext) {
-                    let currentY = 0;
-                    const leftConnectionX = 0;
-                    const rightConnectionX = maxWidth;
-                    const mainBaseline = baseline;
+        on(type, handler) {
+            if (!DIAGRAM_EVENT_TYPES.includes(type)) {
+                throw new Error(`Unknown diagram event: ${type}`);
+            }
+            if (!this._handlers.has(type)) {
+                this._handlers.set(type, new Set());
+            }
+            this._handlers.get(type).add(handler);
+            return this;
+        }
 
-                    children.forEach((child, index) => {
-                        const xOffset = 2 + (maxChildWidth - child.width) / 2;
-                        const childX = xOffset;
-                        const childBaseline = currentY + child.baseline;
+        /**
+         * Remove an event handler registered with on()
+         * @param {string} type - Event type
+         * @param {Function} handler - The registered handler
+         * @returns {Diagram} This diagram, for chaining
+         */
+        off(type, handler) {
+            const handlers = this._handlers.get(type);
+            if (handlers) {
+                handlers.delete(handler);
+            }
+            return this;
+        }
 
-                        renderContext.renderChild(child, childX, currentY);
+        /**
+         * Call the handlers of an event; a failing handler is reported and does not stop the others
+         * @param {string} type - Event type
+         * @param {Object} detail - Event properties
+         * @returns {Object} The event object, with defaultPrevented set by the handlers
+         * @private
+         */
+        _emit(type, detail) {
+            const event = Object.assign({
+                type,
+                diagram: this,
+                defaultPrevented: false,
+                preventDefault() {
+                    this.defaultPrevented = true;
+                }
+            }, detail);
+            const handlers = this._handlers.get(type);
+            if (handlers) {
+                // Copy, so handlers can remove themselves
+                Array.from(handlers).forEach(handler => {
+                    try {
+                        handler.call(this, event);
+                    } catch (error) {
+                        console.error(`Error in diagram ${type} handler:`, error);
+                    }
+                });
+            }
+            return event;
+        }
 
-                        const childLeftX = childX;
-                        const childRightX = childX + child.width;
+        /**
+         * Listen for pointer events on the SVG and turn those on text boxes into diagram events
+         * @private
+         */
+        _listen() {
+            const svgNode = this.svg.node();
 
-                        if (index === 0) {
-                            // For first child: straight line from left connection to child
-                            renderContext.trackBuilder
-                                .start(leftConnectionX, mainBaseline, Direction.EAST)
-                                .forward(childLeftX - leftConnectionX)
-                                .finish(`child${index}-left`);
+            svgNode.addEventListener('click', event => {
+                const box = this._boxAt(event.target);
+                if (box) {
+                    this._activate(box, event);
+                }
+            });
 
-                            // For first child: straight line from child to right connection
-                            renderContext.trackBuilder
-                                .start(childRightX, childBaseline, Direction.EAST)
-                                .forward(rightConnectionX - childRightX)
-                                .finish(`child${index}-right`);
-                        } else {
-                            // For other children: create proper branching paths
-                            const verticalDistance = childBaseline - mainBaseline;
-                            const horizontalToChild = childLeftX - leftConnectionX;
+            // Nonterminals are in the tab order; arrow keys, Home and End move between them, Enter follows them
+            svgNode.addEventListener('keydown', event => {
+                const box = this._boxAt(event.target);
+                if (!box || event.altKey || event.ctrlKey || event.metaKey) return;
 
-                            // Left rail path
-                            renderContext.trackBuilder
-                                .start(leftConnectionX, mainBaseline, Direction.EAST)
-                                .turnRight()
-                                .forward(verticalDistance - 2)
-                                .turnLeft()
-                                .forward(horizontalToChild - 2)
-                                .finish(`child${index}-left`);
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this._activate(box, event);
+                    return;
+                }
+                const links = Array.from(svgNode.querySelectorAll('.rule-link'));
+                const index = links.indexOf(box.element);
+                const next = {
+                    ArrowRight: links[index + 1],
+                    ArrowDown: links[index + 1],
+                    ArrowLeft: links[index - 1],
+                    ArrowUp: links[index - 1],
+                    Home: links[0],
+                    End: links[links.length - 1]
+                }[event.key];
+                if (next) {
+                    event.preventDefault();
+                    next.focus();
+                }
+            });
 
-                            // Right rail path
-                            const horizontalFromChild = rightConnectionX - childRightX;
+            svgNode.addEventListener('mouseover', event => this._hover(this._boxAt(event.target), event));
+            svgNode.addEventListener('mouseleave', event => this._hover(null, event));
+        }
 
-                            renderContext.trackBuilder
-                                .start(rightConnectionX, mainBaseline, Direction.WEST)
-                                .turnLeft()
-                                .forward(verticalDistance - 2)
-                                .turnRight()
-                                .forward(horizontalFromChild - 2)
-                                .finish(`child${index}-right`);
-                        }
+        // Click or Enter on a text box: emit the click event, then follow nonterminals unless a handler prevented it
+        _activate(box, originalEvent) {
+            const isNonterminal = box.layout.className === 'nonterminal';
+            const diagramEvent = this._emit(isNonterminal ? 'nonterminalClick' : 'terminalClick', this._boxEventDetail(box, originalEvent));
+            if (isNonterminal && !diagramEvent.defaultPrevented) {
+                // In the viewer, rules of the same diagram are reached by panning
+                if (this.viewer && this.viewer.showRule(box.layout.text)) return;
+                navigateToRule(box.layout.text, diagramEvent);
+            }
+        }
 
-                        currentY += child.height + 1;
-                    });
-                }
+        // Emit hover events when the pointer moves from one text box (or none) to another
+        _hover(box, event) {
+            if (box === this._hoveredBox) return;
+            if (this._hoveredBox) {
+                this._emit('hover', Object.assign(this._boxEventDetail(this._hoveredBox, event), { hovered: false }));
+            }
+            this._hoveredBox = box;
+            if (box) {
+                this._emit('hover', Object.assign(this._boxEventDetail(box, event), { hovered: true }));
             }
         }
 
+        // The text box whose group contains the node, if any
+        _boxAt(node) {
+            const svgNode = this.svg.node();
+            for (let current = node; current && current !== svgNode; current = current.parentNode) {
+                const box = this._boxes.get(current);
+                if (box) return box;
+            }
+            return null;
+        }
+
+        _boxEventDetail(box, originalEvent) {
+            return {
+                rule: box.rule,
+                text: box.layout.text,
+                className: box.layout.className,
+                element: box.element,
+                layout: box.layout,
+                originalEvent
+            };
+        }
+
         /**
-         * Create a bypass layout for optional elements
-         * Adds a rail path above the element allowing it to be skipped
-         * @param {LayoutBox} child - The optional layout element
-         * @returns {LayoutBox} Layout object with bypass path
+         * Add a syntax rule to the diagram
+         * Only the new rule is rendered; the rules above it stay untouched
+         * @param {string} title - Name of the syntax rule
+         * @param {LayoutBox} expression - Layout expression for the rule
+         */
+        addRule(title, expression) {
+            this.insertRule(this.rules.length, title, expression);
+        }
+
+        /**
+         * Insert a syntax rule at a position; the rules below it are shifted down
+         * @param {number} index - Position in rules, from 0 to rules.length
+         * @param {string} title - Name of the syntax rule
+         * @param {LayoutBox} expression - Layout expression for the rule
+         * @throws {Error} When the index is out of range
+         */
+        insertRule(index, title, expression) {
+            if (!Number.isInteger(index) || index < 0 || index > this.rules.length) {
+                throw new Error(`Rule index out of range: ${index}`);
+            }
+            this._syncRuleViews();
+            this.rules.splice(index, 0, { title, expression });
+            this._ruleViews.splice(index, 0, null);
+            this._update();
+        }
+
+        /**
+         * Replace the expression of a rule, re-rendering only that rule and shifting the rules below it
+         * @param {string} title - Name of the rule to replace
+         * @param {LayoutBox} expression - New layout expression
+         * @throws {Error} When the diagram has no rule with that name
+         */
+        updateRule(title, expression) {
+            const index = this._ruleIndex(title);
+            this._discardRuleView(index);
+            this.rules[index] = { title, expression };
+            this._update();
+        }
+
+        /**
+         * Remove a rule; the rules below it are shifted up
+         * @param {string} title - Name of the rule to remove
+         * @throws {Error} When the diagram has no rule with that name
+         */
+        removeRule(title) {
+            const index = this._ruleIndex(title);
+            this._discardRuleView(index);
+            this.rules.splice(index, 1);
+            this._ruleViews.splice(index, 1);
+            this._update();
+        }
+
+        /**
+         * Group several rule changes into one update: rules are re-rendered and shifted once,
+         * after the callback returns
+         * @param {function(Diagram): *} callback - Makes changes with addRule, insertRule, updateRule and removeRule
+         * @returns {*} The callback's return value
          * @example
-         * Expression.bypass(Expression.textBox('DISTINCT', 'terminal'))
+         * diagram.batch(() => {
+         *     diagram.updateRule('expression', expression);
+         *     diagram.removeRule('term');
+         * });
          */
-        static bypass(child) {
-            const width = roundUpToEven(child.width + 4);
-            const height = child.height + 1;
-            const baseline = child.baseline + 1;
+        batch(callback) {
+            this._batchDepth++;
+            try {
+                return callback(this);
+            } finally {
+                this._batchDepth--;
+                this._update();
+            }
+        }
 
-            return {
-                width: width,
-                height: height,
-                baseline: baseline,
-                render(renderContext) {
-                    const mainBaseline = baseline;
-                    const childX = (width - child.width) / 2;
+        _ruleIndex(title) {
+            this._syncRuleViews();
+            const index = this.rules.findIndex(rule => rule.title === title);
+            if (index < 0) {
+                throw new Error(`Rule not found: ${title}`);
+            }
+            return index;
+        }
 
-                    renderContext.renderChild(child, childX, 1);
+        _syncRuleViews() {
+            // rules may have been replaced or edited directly; start from a full render then
+            if (this._ruleViews.length !== this.rules.length) {
+                this._invalidate();
+            }
+        }
 
-                    // Draw the bypass path (above the child)
-                    renderContext.trackBuilder
-                        .start(0, mainBaseline, Direction.EAST)
-                        .turnLeft()
-                        .forward(baseline - 2)
-                        .turnRight()
-                        .forward(width - 4)
-                        .turnRight()
-                        .forward(baseline - 2)
-                        .turnLeft()
-                        .finish("bypass-path");
+        _discardRuleView(index) {
+            const view = this._ruleViews[index];
+            if (view) {
+                view.group.remove();
+                this._ruleViews[index] = null;
+            }
+            this._renderedRules.delete(this.rules[index]);
+        }
 
-                    renderContext.trackBuilder
-                        .start(0, mainBaseline, Direction.EAST)
-                        .forward(2)
-                        .finish("through-path");
-                    renderContext.trackBuilder
-                        .start(width, mainBaseline, Direction.WEST)
-                        .forward(2)
-                        .finish("through-path");
-                }
+        /**
+         * Serialize the diagram's rules, so JSON.stringify(diagram) gives a grammar JSON document
+         * @returns {Object} Grammar JSON document (see grammarToJSON)
+         */
+        toJSON() {
+            return grammarToJSON(this.rules);
+        }
+
+        /**
+         * Export the diagram as a self-contained SVG document
+         * Computed styles are written into the markup (as presentation attributes in the browser, or an
+         * embedded stylesheet when rendered headless), debug attributes and the background grid are
+         * left out, and a viewBox is set so the image scales cleanly in slides and documents.
+         * Current trace highlights are kept.
+         * @param {Object} [options={}] - Export options
+         * @param {boolean} [options.includeGrid=false] - Whether to keep the background grid pattern
+         * @returns {string} SVG markup
+         */
+        toSVGString(options = {}) {
+            const { includeGrid = false } = options;
+            const root = this.svg.node();
+            const width = this.svg.attr("width");
+            const height = this.svg.attr("height");
+
+            let content = Array.from(root.children).map(child => serializeForExport(child, includeGrid)).join('');
+            if (!this.container) {
+                content = `<style>${escapeXml(getEmbeddedStylesheet(this.theme))}</style>${content}`;
             }
+            // Light rails of a dark theme need the theme's background outside the page as well
+            const style = this.theme ? ` style="background-color: ${escapeXml(this.theme.colors.background)}"` : '';
+
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+                `viewBox="0 0 ${width} ${height}" class="diagram-svg"${style}>${content}</svg>`;
         }
 
         /**
-         * Create a loop layout for repeatable elements
-         * Adds a rail path below the element allowing repetition
-         * @param {LayoutBox} child - The repeatable layout element
-         * @returns {LayoutBox} Layout object with loop path
-         * @example
-         * Expression.loop(Expression.textBox(',', 'terminal'))
+         * Export the diagram as a PNG image, rasterized from toSVGString() through an offscreen canvas
+         * @param {Object} [options={}] - Export options
+         * @param {number} [options.scale=2] - Pixels per SVG pixel; 2 keeps text sharp on high-DPI screens
+         * @param {string|null} [options.background] - Background fill, null for transparent; defaults to the
+         *   background of the theme (--rail-background), or white
+         * @returns {Promise<Blob>} PNG image
          */
-        static loop(child) {
-            const width = roundUpToEven(child.width + 4);
-            const height = child.height + 1;
-            const baseline = child.baseline + 1;
+        toPNGBlob(options = {}) {
+            const { scale = 2, background = this._backgroundColor() } = options;
+            const width = parseFloat(this.svg.attr("width"));
+            const height = parseFloat(this.svg.attr("height"));
+            return rasterizeSVG(this.toSVGString(options), width, height, { scale, background });
+        }
 
-            return {
-                width: width,
-                height: height,
-                baseline: baseline,
-                render(renderContext) {
-                    const mainBaseline = baseline;
-                    const childX = (width - child.width) / 2;
+        // Background of the theme, or of the theme the container inherits, for exported images
+        _backgroundColor() {
+            if (this.theme) return this.theme.colors.background;
+            const background = this.container
+                ? getComputedStyle(this.container).getPropertyValue('--rail-background').trim()
+                : '';
+            return background || 'white';
+        }
 
-                    renderContext.renderChild(child, childX, 1);
+        /**
+         * Download the diagram as an SVG file
+         * @param {string} [filename='diagram.svg'] - Suggested file name
+         * @param {Object} [options={}] - Export options, as for toSVGString
+         */
+        downloadSVG(filename = 'diagram.svg', options = {}) {
+            downloadBlob(new Blob([this.toSVGString(options)], { type: 'image/svg+xml' }), filename);
+        }
 
-                    // Draw the loop path
-                    renderContext.trackBuilder
-                        .start(2, mainBaseline, Direction.WEST)
-                        .turnRight()
-                        .forward(baseline - 2)
-                        .turnRight()
-                        .forward(width - 4)
-                        .turnRight()
-                        .forward(baseline - 2)
-                        .turnRight()
-                        .finish("loop-path");
+        /**
+         * Download the diagram as a PNG file
+         * @param {string} [filename='diagram.png'] - Suggested file name
+         * @param {Object} [options={}] - Export options, as for toPNGBlob
+         * @returns {Promise<void>} Resolves once the download has been offered
+         */
+        downloadPNG(filename = 'diagram.png', options = {}) {
+            return this.toPNGBlob(options).then(blob => downloadBlob(blob, filename));
+        }
 
-                    renderContext.trackBuilder
-                        .start(0, mainBaseline, Direction.EAST)
-                        .forward(2)
-                        .finish("through-path");
-                    renderContext.trackBuilder
-                        .start(width, mainBaseline, Direction.WEST)
-                        .forward(2)
-                        .finish("through-path");
-                }
+        _invalidate() {
+            this.svg.selectAll("*").remove();
+            this._renderedRules.clear();
+            this._highlighted = [];
+            this._hoveredBox = null;
+            this._ruleViews = this.rules.map(() => null);
+
+            // Add background grid first if showGrid is enabled (before any content)
+            if (this.showGrid) {
+                this._addBackgroundGridPattern();
             }
+
+            this._layoutRules();
         }
 
-        static _measureText(textContent, gridSize, className) {
-            let svg = d3.select("body").select("svg.temp-measure-svg");
-            if (svg.empty()) {
-                svg = d3.select("body")
-                    .append("svg")
-                    .attr("class", "temp-measure-svg")
-                    .style("position", "absolute")
-                    .style("visibility", "hidden");
+        _update() {
+            if (this._batchDepth === 0) {
+                this._layoutRules();
             }
+        }
 
-            const text = svg.append("text")
-                .attr("class", `textbox-text ${className}`)
-                .text(textContent);
+        /**
+         * Render the rules that have no view yet and move the others to their position
+         * Rules whose position is unchanged are not touched
+         * @private
+         */
+        _layoutRules() {
+            const x = 1;
+            let currentY = 1
+            let maxWidth = 0;
 
-            const bbox = text.node().getBBox();
-            text.remove();
-            return Math.ceil(bbox.width / gridSize);
-        }
-    }
+            this.rules.forEach((rule, index) => {
+                let view = this._ruleViews[index];
+                if (!view) {
+                    // Keep document order equal to rule order, for export and assistive technology
+                    const next = this._ruleViews.slice(index + 1).find(Boolean);
+                    const result = this._renderRule(rule, x, currentY, next ? next.group : null);
+                    view = { group: result.group, y: currentY, width: result.totalRuleWidth, height: result.ruleHeight };
+                    this._ruleViews[index] = view;
+                } else if (view.y !== currentY) {
+                    view.group.attr("transform", `translate(${x * this.gridSize}, ${currentY * this.gridSize})`);
+                    view.y = currentY;
+                }
+                maxWidth = Math.max(maxWidth, view.width + 2); // +2 for side padding
+                currentY += view.height;
+            });
 
-    /**
-     * Validate expression code for security to prevent code injection attacks
-     * Checks for allowed function names and blocks dangerous patterns
-     * @param {string} code - JavaScript code string to validate
-     * @returns {boolean} True if validation passes
-     * @throws {Error} When code contains disallowed functions or dangerous patterns
-     */
-    /**
-     * Token types for the expression language
-     * @enum {string}
-     */
-    const TokenType = {
-        IDENTIFIER: 'IDENTIFIER',
-        OPEN_PAREN: 'OPEN_PAREN',
-        CLOSE_PAREN: 'CLOSE_PAREN',
-        COMMA: 'COMMA',
-        STRING: 'STRING',
-        WHITESPACE: 'WHITESPACE',
-        EOF: 'EOF'
-    };
+            // Update SVG dimensions
+            // Width: max content width with padding
+            // Height: current Y position + bottom padding
+            this.svg
+                .attr("width", maxWidth * this.gridSize)
+                .attr("height", (currentY + 2) * this.gridSize); // Add 2 grid units padding at bottom
 
-    /**
-     * Simple tokenizer for railroad expression language using regex with named groups
-     * Handles: identifiers, parentheses, commas, double-quoted strings
-     * @param {string} code - The code to tokenize
-     * @param {boolean} [skipWhitespace=false] - Whether to skip whitespace tokens in output
-     * @returns {Array<{type: string, value: string, position: number}>} Array of tokens
-     */
-    function tokenize(code, skipWhitespace = false) {
-        const tokens = [];
-        
-        // Single regex with named capture groups for all token types
-        // Note: Order matters - more specific patterns should come first
-        const tokenRegex = /(?<string>"(?:[^"\\]|\\.)*")|(?<identifier>[a-zA-Z_][a-zA-Z0-9_]*)|(?<openParen>\()|(?<closeParen>\))|(?<comma>,)|(?<whitespace>\s+)/g;
-        
-        let lastIndex = 0;
-        let match;
-        
-        // Use exec() in a loop to get all matches with their positions
-        while ((match = tokenRegex.exec(code)) !== null) {
-            // Check if there's any unmatched content between last match and current match
-            if (match.index > lastIndex) {
-                const unmatched = code.slice(lastIndex, match.index);
-                throw new Error(`Unexpected character(s) '${unmatched}' at position ${lastIndex}`);
+            // Update background grid dimensions and add debug overlay
+            if (this.showGrid) {
+                this._updateBackgroundGridSize();
             }
+            // The debug overlay is made of HTML elements, so it needs a real container
+            if (this.showBounds && this.container) {
+                this._addDebugOverlay();
+            }
+
+            this._emit('render', { rules: this.rules.map(rule => rule.title) });
+        }
+
+        /**
+         * Render a single syntax rule with terminals and rails
+         * @param {Object} rule - Rule object with title and expression properties
+         * @param {number} x - X position in grid units for rule placement
+         * @param {number} currentY - Y position in grid units for rule placement
+         * @param {d3.Selection|null} [beforeGroup=null] - Group of the following rule, if already rendered
+         * @returns {{group: d3.Selection, totalRuleWidth: number, ruleHeight: number}} Rule group and
+         *   dimensions for layout calculation
+         * @private
+         */
+        _renderRule(rule, x, currentY, beforeGroup = null) {
+            // Create rule container with translation
+            const ruleGroup = (beforeGroup ? this.svg.insert("g", () => beforeGroup.node()) : this.svg.append("g"))
+                .attr("class", "rule-group")
+                .attr("transform", `translate(${x * this.gridSize}, ${currentY * this.gridSize})`);
+
+            // Setup layout constants
+            const expressionStartX = 2; // Expression starts at grid unit 2 (terminal at 0, rail from 0-2)
+            const expression = this._wrapExpression(rule.expression);
+            const expressionBaseline = expression.baseline;
+
+            // Accessible figure: named after the rule, described in words; the drawing itself is decoration
+            ruleGroup.attr("role", "figure");
+            ruleGroup.append("title").text(rule.title);
+            ruleGroup.append("desc").text(describeExpression(rule.expression));
+
+            // Render terminals and connecting rails
+            const rails = this._renderRuleTerminals(ruleGroup, expression, expressionStartX, expressionBaseline);
+
+            // Render the core expression
+            const contexts = this._renderRuleExpression(ruleGroup, expression, expressionStartX);
+            this._renderedRules.set(rule, { expression: rule.expression, rendered: expression, contexts, rails });
+            if (this.container) {
+                contexts.forEach((context, layout) => {
+                    if (layout.kind === 'textBox') {
+                        const element = context.group.node();
+                        this._boxes.set(element, { rule: rule.title, layout, element });
+                    }
+                });
+            }
+
+            // Calculate and return dimensions
+            const totalRuleWidth = 2 + expression.width + 2; // start rail + expression + end rail
+            const ruleHeight = expression.height;
+
+            return { group: ruleGroup, totalRuleWidth, ruleHeight };
+        }
+
+        /**
+         * Wrap a top-level sequence onto multiple rows when it exceeds maxWidth
+         * @param {LayoutBox} expression - The rule's expression layout
+         * @returns {LayoutBox} The expression itself, or a wrapped layout whose exitBaseline is on its last row
+         * @private
+         */
+        _wrapExpression(expression) {
+            return wrapRuleExpression(expression, this.maxWidth);
+        }
+
+        /**
+         * Render start and end terminals with connecting rails for a rule
+         * @param {d3.Selection} ruleGroup - SVG group for the rule
+         * @param {LayoutBox} expression - The rule's expression layout
+         * @param {number} expressionStartX - X position where expression starts
+         * @param {number} baseline - Y position of the main rail line
+         * @returns {Array<{element: d3.Selection}>} The start and end rails
+         * @private
+         */
+        _renderRuleTerminals(ruleGroup, expression, expressionStartX, baseline) {
+            const endTerminalX = expressionStartX + expression.width + 2; // +2 for end rail length
+            // Wrapped sequences leave on their last row rather than on the entry baseline
+            const exitBaseline = expression.exitBaseline !== undefined ? expression.exitBaseline : baseline;
+
+            // Start terminal at grid point 0, end terminal at the calculated end position; filled by the
+            // theme's terminator color
+            const shape = this._terminatorShape();
+            this._renderTerminator(ruleGroup, shape, 0, baseline, "start-terminal");
+            this._renderTerminator(ruleGroup, shape, endTerminalX, exitBaseline, "end-terminal");
+
+            // Add connecting rails
+            const trackBuilder = new TrackBuilder(ruleGroup, this.gridSize);
             
-            // Determine which named group matched
-            const groups = match.groups;
-            let tokenType, tokenValue;
-            
-            if (groups.string) {
-                tokenType = TokenType.STRING;
-                tokenValue = groups.string;
-            } else if (groups.identifier) {
-                tokenType = TokenType.IDENTIFIER;
-                tokenValue = groups.identifier;
-            } else if (groups.openParen) {
-                tokenType = TokenType.OPEN_PAREN;
-                tokenValue = groups.openParen;
-            } else if (groups.closeParen) {
-                tokenType = TokenType.CLOSE_PAREN;
-                tokenValue = groups.closeParen;
-            } else if (groups.comma) {
-                tokenType = TokenType.COMMA;
-                tokenValue = groups.comma;
-            } else if (groups.whitespace) {
-                tokenType = TokenType.WHITESPACE;
-                tokenValue = groups.whitespace;
+            // Start rail: from terminal to expression start
+            trackBuilder
+                .start(0, baseline, Direction.EAST)
+                .forward(2)
+                .finish("start-rail");
+
+            // End rail: from expression end to terminal
+            trackBuilder
+                .start(expressionStartX + expression.width, exitBaseline, Direction.EAST)
+                .forward(2)
+                .finish("end-rail");
+
+            return trackBuilder.paths;
+        }
+
+        /**
+         * Shape of the rule terminators: from the theme, else the --rail-terminator-shape custom property
+         * @returns {string} 'circle', 'square', 'bar' or 'none'
+         * @private
+         */
+        _terminatorShape() {
+            if (this.theme) return this.theme.terminator;
+            const shape = this.container
+                ? getComputedStyle(this.container).getPropertyValue('--rail-terminator-shape').trim()
+                : '';
+            return TERMINATOR_SHAPES.includes(shape) ? shape : 'circle';
+        }
+
+        /**
+         * Draw a rule terminator centered on a point of the main rail
+         * @param {d3.Selection} ruleGroup - SVG group for the rule
+         * @param {string} shape - 'circle', 'square', 'bar' or 'none'
+         * @param {number} x - X position in grid units
+         * @param {number} y - Y position in grid units
+         * @param {string} className - 'start-terminal' or 'end-terminal'
+         * @private
+         */
+        _renderTerminator(ruleGroup, shape, x, y, className) {
+            const cx = x * this.gridSize;
+            const cy = y * this.gridSize;
+            if (shape === 'circle') {
+                ruleGroup.append("circle")
+                    .attr("cx", cx)
+                    .attr("cy", cy)
+                    .attr("r", this.gridSize * 0.75) // Radius = 3/4 grid unit
+                    .attr("class", className);
+            } else if (shape === 'square' || shape === 'bar') {
+                // A square as wide as the circle, or a bar one third of a grid unit wide and two units high
+                const width = this.gridSize * (shape === 'square' ? 1.5 : 1 / 3);
+                const height = this.gridSize * (shape === 'square' ? 1.5 : 2);
+                ruleGroup.append("rect")
+                    .attr("x", cx - width / 2)
+                    .attr("y", cy - height / 2)
+                    .attr("width", width)
+                    .attr("height", height)
+                    .attr("class", className);
             }
+        }
+
+        /**
+         * Render the rule's expression content within the rule container
+         * @param {d3.Selection} ruleGroup - SVG group for the rule
+         * @param {LayoutBox} expression - The rule's expression layout
+         * @param {number} expressionStartX - X position where expression starts
+         * @returns {Map<LayoutBox, RenderContext>} Render context of every box in the expression
+         * @private
+         */
+        _renderRuleExpression(ruleGroup, expression, expressionStartX) {
+            // Create expression group with translation offset
+            const expressionGroup = ruleGroup.append("g")
+                .attr("transform", `translate(${expressionStartX * this.gridSize}, 0)`);
             
-            // Skip whitespace tokens if requested
-            if (!skipWhitespace || tokenType !== TokenType.WHITESPACE) {
-                tokens.push({ 
-                    type: tokenType, 
-                    value: tokenValue, 
-                    position: match.index 
+            // Add debug data attributes if enabled
+            if (this.showBounds) {
+                expressionGroup
+                    .attr("data-debug", "true")
+                    .attr("data-width", expression.width)
+                    .attr("data-height", expression.height)
+                    .attr("data-baseline-y", expression.baseline)
+                    .attr("data-grid-size", this.gridSize);
+            }
+
+            // Create RenderContext and render the expression
+            // Headless diagrams in a browser follow the custom properties of the page
+            const styleElement = this.container || (typeof document !== 'undefined' ? document.documentElement : null);
+            const expressionRenderContext = new RenderContext(expressionGroup, this.gridSize, this.showBounds, null,
+                this.theme, styleElement);
+            expressionRenderContext.renderedLayouts.set(expression, expressionRenderContext);
+            expression.render(expressionRenderContext);
+            return expressionRenderContext.renderedLayouts;
+        }
+
+        /**
+         * Highlight the rails and boxes taken by a recognizer match or generated sentence,
+         * or the terminals expected at the point where matching failed
+         * Only rules rendered in this diagram are affected, found by the layouts the trace was made from (pass
+         * diagram.rules to recognize() and the generators); previous highlights are cleared
+         * @param {{rule: string, trace: Object|null, expectedBoxes?: LayoutBox[]}} result - Result of
+         *   recognize(), generateSentence() or enumerateSentences()
+         */
+        highlightTrace(result) {
+            this.clearHighlight();
+
+            if (result.trace) {
+                // Each invocation walked the expression of one rule, which tells apart rules of the same name
+                collectRuleTraces(result.rule, result.trace).forEach(({ trace }) => {
+                    this._renderedRules.forEach(rendered => {
+                        if (rendered.expression === trace.node) {
+                            this._highlightRule(rendered, trace);
+                        }
+                    });
+                });
+            } else {
+                (result.expectedBoxes || []).forEach(box => {
+                    this._renderedRules.forEach(({ contexts }) => {
+                        const context = contexts.get(box);
+                        if (context) {
+                            this._mark(context.group.select(".textbox"), "trace-expected");
+                        }
+                    });
                 });
             }
-            
-            lastIndex = tokenRegex.lastIndex;
         }
-        
-        // Check if there's any unmatched content at the end
-        if (lastIndex < code.length) {
-            const unmatched = code.slice(lastIndex);
-            throw new Error(`Unexpected character(s) '${unmatched}' at position ${lastIndex}`);
+
+        /**
+         * Remove all trace highlights from the diagram
+         */
+        clearHighlight() {
+            this._highlighted.forEach(({ element, className }) => element.classed(className, false));
+            this._highlighted = [];
+        }
+
+        _mark(element, className = "highlight") {
+            element.classed(className, true);
+            this._highlighted.push({ element, className });
+        }
+
+        _markRails(context, ...debugIds) {
+            context.trackBuilder.paths
+                .filter(path => debugIds.length === 0 || debugIds.includes(path.debugId))
+                .forEach(path => this._mark(path.element));
+        }
+
+        _highlightRule({ expression, rendered, contexts, rails }, trace) {
+            rails.forEach(rail => this._mark(rail.element));
+
+            if (rendered === expression) {
+                this._highlightLayout(contexts, trace);
+                return;
+            }
+
+            // Wrapped rule: the row sequences and connectors are all on the path
+            this._markRails(contexts.get(rendered));
+            rendered.children
+                .filter(row => row.kind === 'sequence')
+                .forEach(row => this._markRails(contexts.get(row)));
+            const flatten = itemTrace => itemTrace.node.kind === 'sequence'
+                ? itemTrace.children.flatMap(flatten)
+                : [itemTrace];
+            flatten(trace).forEach(itemTrace => this._highlightLayout(contexts, itemTrace));
+        }
+
+        _highlightLayout(contexts, trace) {
+            const node = trace.node;
+            const context = contexts.get(node);
+            if (!context) return;
+
+            const passes = trace.items ? trace.items.length : 0;
+            switch (node.kind) {
+                case 'textBox':
+                    this._markRails(context);
+                    this._mark(context.group.select(".textbox"));
+                    return;
+                case 'sequence':
+                    this._markRails(context);
+                    break;
+                case 'stack':
+                    this._markRails(context, `child${trace.choice}-left`, `child${trace.choice}-right`);
+                    break;
+                case 'bypass':
+                    this._markRails(context, trace.taken ? "through-path" : "bypass-path");
+                    break;
+                case 'optional':
+                    if (!trace.taken) {
+                        this._markRails(context, "skip-path");
+                    } else if (node.skipOnMain) {
+                        this._markRails(context, "optional-left", "optional-right");
+                    } else {
+                        this._markRails(context, "through-path");
+                    }
+                    break;
+                case 'zeroOrMore':
+                    this._markRails(context, ...(trace.taken ? ["optional-left", "optional-right"] : ["skip-path"]));
+                    if (trace.taken) {
+                        this._highlightRepetition(contexts.get(node.repetition), passes);
+                    }
+                    break;
+                case 'repeat':
+                    this._markRails(context, "through-path", ...(passes > 1 ? ["repeat-path"] : []));
+                    break;
+                default: // loop, oneOrMore
+                    if (node.kind === 'loop' && node.children.length === 1) {
+                        this._markRails(context, "through-path", ...(passes > 1 ? ["loop-path"] : []));
+                    } else {
+                        this._highlightRepetition(context, passes);
+                    }
+            }
+
+            traceChildren(trace).forEach(childTrace => this._highlightLayout(contexts, childTrace));
+        }
+
+        _highlightRepetition(context, passes) {
+            if (!context) return;
+            this._markRails(context, "through-path", ...(passes > 1 ? ["loop-return-right", "loop-return-left"] : []));
+        }
+
+        _addBackgroundGridPattern() {
+            // Create defs section if it doesn't exist
+            let defs = this.svg.select("defs");
+            if (defs.empty()) {
+                defs = this.svg.append("defs");
+            }
+
+            // Remove any existing pattern
+            defs.select("#grid-pattern").remove();
+
+            // Create grid pattern with small crosses at grid points
+            const pattern = defs.append("pattern")
+                .attr("id", "grid-pattern")
+                .attr("x", -this.gridSize / 2) // Offset pattern by half grid size
+                .attr("y", -this.gridSize / 2) // Offset pattern by half grid size
+                .attr("width", this.gridSize)
+                .attr("height", this.gridSize)
+                .attr("patternUnits", "userSpaceOnUse");
+
+            // Cross size (small lines extending from center)
+            const crossSize = 4; // 4 pixels in each direction from center            
+            // Place cross at the center of the pattern tile
+            const centerX = this.gridSize / 2;
+            const centerY = this.gridSize / 2;
+            
+            // Add horizontal line of cross
+            pattern.append("line")
+                .attr("x1", centerX - crossSize)
+                .attr("y1", centerY)
+                .attr("x2", centerX + crossSize)
+                .attr("y2", centerY)
+                .attr("stroke", "#ddd")
+                .attr("stroke-width", ".2");
+
+            // Add vertical line of cross
+            pattern.append("line")
+                .attr("x1", centerX)
+                .attr("y1", centerY - crossSize)
+                .attr("x2", centerX)
+                .attr("y2", centerY + crossSize)
+                .attr("stroke", "#ddd")
+                .attr("stroke-width", ".2");
+
+            // Create background rectangle with pattern fill (will be sized later)
+            const gridGroup = this.svg.insert("g", ":first-child")
+                .attr("class", "background-grid");
+
+            gridGroup.append("rect")
+                .attr("id", "grid-background")
+                .attr("x", 0) // No offset needed on rect - pattern handles it
+                .attr("y", 0) // No offset needed on rect - pattern handles it
+                .attr("width", 0) // Will be updated when dimensions are known
+                .attr("height", 0) // Will be updated when dimensions are known
+                .attr("fill", "url(#grid-pattern)");
+        }
+
+        _updateBackgroundGridSize() {
+            const svgWidth = parseInt(this.svg.attr("width"));
+            const svgHeight = parseInt(this.svg.attr("height")) || 600;
+
+            // Update the background rectangle size to cover the full SVG area
+            this.svg.select("#grid-background")
+                .attr("width", svgWidth)
+                .attr("height", svgHeight);
+        }
+
+        _addDebugOverlay() {
+            // Create debug overlay container
+            d3.select(this.container).select(".debug-overlay").remove();
+
+            const debugOverlay = d3.select(this.container)
+                .append("div")
+                .attr("class", "debug-overlay")
+                .style("position", "absolute")
+                .style("top", "0")
+                .style("left", "0")
+                .style("width", "100%")
+                .style("height", "100%")
+                .style("pointer-events", "none")
+                .style("z-index", "10");
+
+            // Find all groups with debug data and create overlay boxes
+            this.svg.selectAll("g[data-debug]").each(function () {
+                const group = d3.select(this);
+                const width = parseInt(group.attr("data-width"));
+                const height = parseInt(group.attr("data-height"));
+                const baselineY = parseInt(group.attr("data-baseline-y"));
+                const gridSize = parseInt(group.attr("data-grid-size"));
+
+                // Get the transform matrix to calculate absolute position
+                const transform = this.getCTM();
+                const x = transform.e;
+                const y = transform.f;
+
+                // Create bounding box overlay
+                debugOverlay.append("div")
+                    .attr("class", "debug-box-overlay")
+                    .style("position", "absolute")
+                    .style("left", `${x}px`)
+                    .style("top", `${y}px`)
+                    .style("width", `${width * gridSize}px`)
+                    .style("height", `${height * gridSize}px`)
+                    .style("border", "2px dashed hotpink")
+                    .style("box-sizing", "border-box")
+                    .style("pointer-events", "none");
+
+                // Create baseline indicator
+                debugOverlay.append("div")
+                    .attr("class", "debug-baseline-overlay")
+                    .style("position", "absolute")
+                    .style("left", `${x}px`)
+                    .style("top", `${y + baselineY * gridSize}px`)
+                    .style("width", `${width * gridSize}px`)
+                    .style("height", "0")
+                    .style("border-top", "1px dotted hotpink")
+                    .style("pointer-events", "none");
+            });
+        }
+    }
+
+    /**
+     * How the text of a terminal matches input, as given to Expression.textBox:
+     * 'literal' - the text itself; case-insensitive when the recognizer ignores case (EBNF and ABNF strings)
+     * 'exact' - the text itself, always case-sensitive (ABNF %s strings)
+     * 'pattern' - an EBNF character class or #xN, or an ABNF %x, %d or %b value
+     * 'prose' - an ABNF prose value: a description in words that no input matches
+     * @type {string[]}
+     */
+    const TERMINAL_MATCHES = ['literal', 'exact', 'pattern', 'prose'];
+
+    /**
+     * Expression class - static factory methods for creating railroad diagram expressions
+     * Provides a fluent API for building syntax diagrams using layout objects
+     * All methods return LayoutBox objects with width, height, baseline, and render() method
+     * @class
+     */
+    class Expression {
+        
+        /**
+         * Create a text box layout for terminal or nonterminal elements
+         * Without a match kind, the text of a terminal is read as notation when matching input:
+         * quoted strings, EBNF character classes and #xN, ABNF %x/%d/%b values, or else the text itself
+         * @param {string} textContent - Text to display in the box
+         * @param {string} className - CSS class: 'terminal' for literals, 'nonterminal' for rule references
+         * @param {string} [match] - How a terminal's text matches input: 'literal', 'exact', 'pattern' or 'prose'
+         *   (see TERMINAL_MATCHES); the grammar parsers set it
+         * @returns {LayoutBox} Layout object with render method
+         * @throws {Error} On an unknown match kind, or a 'pattern' whose text is not one
+         * @example
+         * Expression.textBox('"SELECT"', 'terminal')     // Literal keyword
+         * Expression.textBox('[a-z]', 'terminal', 'literal') // The five characters "[a-z]"
+         * Expression.textBox('column_name', 'nonterminal') // Rule reference
+         */
+        static textBox(textContent, className, match) {
+            const gridSize = getGridSizeFromCSS(); // Use actual grid size from CSS
+            const textWidth = Expression._measureText(textContent, gridSize, className);
+            const shape = boxShapeFor(className);
+            // Add 1 unit on each side for rails, plus 1 for original padding and whatever the shape needs
+            const width = textWidth + 3 + shapePadding(shape, textWidth);
+            return Expression._sizedTextBox(textContent, className, width, match, shape);
+        }
+
+        static _sizedTextBox(textContent, className, width, match, shape = boxShapeFor(className)) {
+            if (match !== undefined && !TERMINAL_MATCHES.includes(match)) {
+                throw new Error(`Unknown terminal match: ${match}`);
+            }
+            if (match === 'pattern' && !parseTerminalPattern(textContent)) {
+                throw new Error(`Not a terminal pattern: ${textContent}`);
+            }
+            const height = 2;
+            // INVARIANT: Ensure total width is even for perfect centering in stacks (Grid Alignment Invariant)
+            const adjustedWidth = roundUpToEven(width);
+
+            return {
+                width: adjustedWidth,
+                height: height,
+                baseline: 1,
+                kind: 'textBox',
+                text: textContent,
+                className: className,
+                match: match,
+                render(renderContext) {
+                    renderContext.renderTextBox(textContent, className, adjustedWidth, shape);
+                }
+            };
+        }
+
+        /**
+         * Create a horizontal sequence of layout elements
+         * Elements are connected by rail lines with proper spacing
+         * @param {...LayoutBox} children - Variable number of layout elements to sequence
+         * @returns {LayoutBox} Layout object containing the sequence
+         * @example
+         * Expression.sequence(
+         *   Expression.textBox('SELECT', 'terminal'),
+         *   Expression.textBox('column_name', 'nonterminal')
+         * )
+         */
+        static sequence(...children) {
+            // Calculate total width and max height
+            const totalWidth = children.reduce((sum, child) => sum + child.width, 0) + (children.length - 1) * 2;
+            const baseline = Math.max(...children.map(child => child.baseline));
+            // Children are shifted down to align baselines, so measure the part below the baseline
+            const maxHeight = baseline + Math.max(...children.map(child => child.height - child.baseline));
+
+            return {
+                width: totalWidth,
+                height: maxHeight,
+                baseline: baseline,
+                kind: 'sequence',
+                children: children,
+                render(renderContext) {
+                    let currentX = 0;
+
+                    children.forEach((child, index) => {
+                        // Calculate child Y position to align baselines (in relative coordinates)
+                        const childY = baseline - child.baseline;
+
+                        // Call renderChild with child and relative coordinates
+                        renderContext.renderChild(child, currentX, childY);
+
+                        // Add horizontal rail connection to next child (except for the last child)
+                        if (index < children.length - 1) {
+                            const railStartX = currentX + child.width;
+                            const railY = baseline;
+
+                            renderContext.trackBuilder
+                                .start(railStartX, railY, Direction.EAST)
+                                .forward(2) // 2 unit space
+                                .finish(`seq-${index}`);
+                        }
+
+                        currentX += child.width + 2; // Add 2 for the unit space
+                    });
+
+                }
+            };
+        }
+
+        /**
+         * Lay out sequence items on several rows no wider than maxWidth
+         * Rows are joined by return-and-drop connectors: down on the right, back west below the row,
+         * and down again into the next row. Nested sequences are flattened so they can break too.
+         * The result exits at exitBaseline (on the last row) instead of at its baseline
+         * @param {LayoutBox[]} children - Sequence items
+         * @param {number} maxWidth - Maximum width of the result in grid units
+         * @returns {LayoutBox} Layout object with an additional exitBaseline property
+         * @private
+         */
+        static _wrappedSequence(children, maxWidth) {
+            const flatten = items => items.flatMap(item => item.kind === 'sequence' ? flatten(item.children) : [item]);
+            const items = flatten(children);
+            const maxRowWidth = maxWidth - 4; // 2 units on each side for the connector turns
+
+            // Greedy line breaking; every row holds at least one item
+            const rows = [];
+            let currentRow = [];
+            let currentWidth = 0;
+            items.forEach(item => {
+                const widthWithItem = currentRow.length === 0 ? item.width : currentWidth + 2 + item.width;
+                if (currentRow.length > 0 && widthWithItem > maxRowWidth) {
+                    rows.push(currentRow);
+                    currentRow = [item];
+                    currentWidth = item.width;
+                } else {
+                    currentRow.push(item);
+                    currentWidth = widthWithItem;
+                }
+            });
+            rows.push(currentRow);
+
+            const rowBoxes = rows.map(row => row.length === 1 ? row[0] : Expression.sequence(...row));
+            const width = roundUpToEven(Math.max(...rowBoxes.map(row => row.width))) + 4;
+
+            // Vertical placement: each connector runs 1 unit below its row, the next row follows
+            const rowTops = [];
+            const connectorYs = [];
+            let currentY = 0;
+            rowBoxes.forEach((row, index) => {
+                rowTops.push(currentY);
+                const rowBaseline = currentY + row.baseline;
+                if (index < rowBoxes.length - 1) {
+                    // Leave room for two turns between the row baseline and the connector
+                    const connectorY = Math.max(currentY + row.height + 1, rowBaseline + 2);
+                    connectorYs.push(connectorY);
+                    // ...and between the connector and the next row's baseline
+                    currentY = connectorY + Math.max(1, 2 - rowBoxes[index + 1].baseline);
+                }
+            });
+
+            const lastIndex = rowBoxes.length - 1;
+            const height = rowTops[lastIndex] + rowBoxes[lastIndex].height;
+            const baseline = rowBoxes[0].baseline;
+            const exitBaseline = rowTops[lastIndex] + rowBoxes[lastIndex].baseline;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                exitBaseline: exitBaseline,
+                kind: 'wrappedSequence',
+                children: rowBoxes,
+                render(renderContext) {
+                    rowBoxes.forEach((row, index) => {
+                        const rowBaseline = rowTops[index] + row.baseline;
+                        const rowRightX = 2 + row.width;
+
+                        renderContext.renderChild(row, 2, rowTops[index]);
+
+                        if (index === 0) {
+                            renderContext.trackBuilder
+                                .start(0, rowBaseline, Direction.EAST)
+                                .forward(2)
+                                .finish("wrap-entry");
+                        }
+
+                        if (index < lastIndex) {
+                            const connectorY = connectorYs[index];
+                            const nextBaseline = rowTops[index + 1] + rowBoxes[index + 1].baseline;
+
+                            renderContext.trackBuilder
+                                .start(rowRightX, rowBaseline, Direction.EAST)
+                                .forward(width - 2 - rowRightX)
+                                .turnRight()
+                                .forward(connectorY - rowBaseline - 2)
+                                .turnRight()
+                                .forward(width - 4)
+                                .turnLeft()
+                                .forward(nextBaseline - connectorY - 2)
+                                .turnLeft()
+                                .finish(`wrap-connector-${index}`);
+                        } else {
+                            renderContext.trackBuilder
+                                .start(rowRightX, rowBaseline, Direction.EAST)
+                                .forward(width - rowRightX)
+                                .finish("wrap-exit");
+                        }
+                    });
+                }
+            };
+        }
+
+        /**
+         * Create a vertical stack of layout elements (choice alternatives)
+         * All alternatives share the same entry and exit points with branching rails
+         * @param {...LayoutBox} children - Variable number of alternative layout elements
+         * @returns {LayoutBox} Layout object containing the stack
+         * @example
+         * Expression.stack(
+         *   Expression.textBox('ASC', 'terminal'),
+         *   Expression.textBox('DESC', 'terminal')
+         * )
+         */
+        static stack(...children) {
+            const maxChildWidth = roundUpToEven(Math.max(...children.map(child => child.width)));
+            const maxWidth = maxChildWidth + 4; // Add 2 units on each side
+            const totalHeight = children.reduce((sum, child) => sum + child.height, 0) + (children.length - 1) + 1;
+            const baseline = children[0].baseline;
+
+            return {
+                width: maxWidth,
+                height: totalHeight,
+                baseline: baseline,
+                kind: 'stack',
+                children: children,
+                render(renderContext) {
+                    let currentY = 0;
+                    const leftConnectionX = 0;
+                    const rightConnectionX = maxWidth;
+                    const mainBaseline = baseline;
+
+                    children.forEach((child, index) => {
+                        const xOffset = 2 + (maxChildWidth - child.width) / 2;
+                        const childX = xOffset;
+                        const childBaseline = currentY + child.baseline;
+
+                        renderContext.renderChild(child, childX, currentY);
+
+                        const childLeftX = childX;
+                        const childRightX = childX + child.width;
+
+                        if (index === 0) {
+                            // For first child: straight line from left connection to child
+                            renderContext.trackBuilder
+                                .start(leftConnectionX, mainBaseline, Direction.EAST)
+                                .forward(childLeftX - leftConnectionX)
+                                .finish(`child${index}-left`);
+
+                            // For first child: straight line from child to right connection
+                            renderContext.trackBuilder
+                                .start(childRightX, childBaseline, Direction.EAST)
+                                .forward(rightConnectionX - childRightX)
+                                .finish(`child${index}-right`);
+                        } else {
+                            // For other children: create proper branching paths
+                            const verticalDistance = childBaseline - mainBaseline;
+                            const horizontalToChild = childLeftX - leftConnectionX;
+
+                            // Left rail path
+                            renderContext.trackBuilder
+                                .start(leftConnectionX, mainBaseline, Direction.EAST)
+                                .turnRight()
+                                .forward(verticalDistance - 2)
+                                .turnLeft()
+                                .forward(horizontalToChild - 2)
+                                .finish(`child${index}-left`);
+
+                            // Right rail path
+                            const horizontalFromChild = rightConnectionX - childRightX;
+
+                            renderContext.trackBuilder
+                                .start(rightConnectionX, mainBaseline, Direction.WEST)
+                                .turnLeft()
+                                .forward(verticalDistance - 2)
+                                .turnRight()
+                                .forward(horizontalFromChild - 2)
+                                .finish(`child${index}-right`);
+                        }
+
+                        currentY += child.height + 1;
+                    });
+                }
+            }
+        }
+
+        /**
+         * Create a bypass layout for optional elements
+         * Adds a rail path above the element allowing it to be skipped
+         * @param {LayoutBox} child - The optional layout element
+         * @returns {LayoutBox} Layout object with bypass path
+         * @example
+         * Expression.bypass(Expression.textBox('DISTINCT', 'terminal'))
+         */
+        static bypass(child) {
+            const width = roundUpToEven(child.width + 4);
+            const height = child.height + 1;
+            const baseline = child.baseline + 1;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                kind: 'bypass',
+                children: [child],
+                render(renderContext) {
+                    const mainBaseline = baseline;
+                    const childX = (width - child.width) / 2;
+
+                    renderContext.renderChild(child, childX, 1);
+
+                    // Draw the bypass path (above the child)
+                    renderContext.trackBuilder
+                        .start(0, mainBaseline, Direction.EAST)
+                        .turnLeft()
+                        .forward(baseline - 2)
+                        .turnRight()
+                        .forward(width - 4)
+                        .turnRight()
+                        .forward(baseline - 2)
+                        .turnLeft()
+                        .finish("bypass-path");
+
+                    renderContext.trackBuilder
+                        .start(0, mainBaseline, Direction.EAST)
+                        .forward(2)
+                        .finish("through-path");
+                    renderContext.trackBuilder
+                        .start(width, mainBaseline, Direction.WEST)
+                        .forward(2)
+                        .finish("through-path");
+                }
+            }
+        }
+
+        /**
+         * Create a loop layout for repeatable elements
+         * Without a separator, adds an empty rail path above the element allowing repetition.
+         * With a separator, the return path runs below the element, right to left, through the separator
+         * (the usual shape for comma-separated lists)
+         * @param {LayoutBox} child - The repeatable layout element
+         * @param {LayoutBox} [separator] - Optional element placed on the return path between repetitions
+         * @returns {LayoutBox} Layout object with loop path
+         * @example
+         * Expression.loop(Expression.textBox('digit', 'nonterminal'))
+         * Expression.loop(Expression.textBox('item', 'nonterminal'), Expression.textBox(',', 'terminal'))
+         */
+        static loop(child, separator) {
+            if (separator) {
+                return Object.assign(Expression._separatedLoop(child, separator), { kind: 'loop', children: [child, separator] });
+            }
+
+            const width = roundUpToEven(child.width + 4);
+            const height = child.height + 1;
+            const baseline = child.baseline + 1;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                kind: 'loop',
+                children: [child],
+                render(renderContext) {
+                    const mainBaseline = baseline;
+                    const childX = (width - child.width) / 2;
+
+                    renderContext.renderChild(child, childX, 1);
+
+                    // Draw the loop path
+                    renderContext.trackBuilder
+                        .start(2, mainBaseline, Direction.WEST)
+                        .turnRight()
+                        .forward(baseline - 2)
+                        .turnRight()
+                        .forward(width - 4)
+                        .turnRight()
+                        .forward(baseline - 2)
+                        .turnRight()
+                        .finish("loop-path");
+                    renderContext.renderReturnMarker(width / 2, 0);
+
+                    renderContext.trackBuilder
+                        .start(0, mainBaseline, Direction.EAST)
+                        .forward(2)
+                        .finish("through-path");
+                    renderContext.trackBuilder
+                        .start(width, mainBaseline, Direction.WEST)
+                        .forward(2)
+                        .finish("through-path");
+                }
+            }
+        }
+
+        static _separatedLoop(child, separator) {
+            // Without a separator the return path is a plain rail along the bottom edge
+            const separatorWidth = separator ? separator.width : 0;
+            const innerWidth = roundUpToEven(Math.max(child.width, separatorWidth));
+            const width = innerWidth + 4; // Add 2 units on each side for the turns
+            const separatorY = child.height + 1; // 1 unit gap between child and separator
+            const height = separator ? separatorY + separator.height : separatorY;
+            const baseline = child.baseline;
+            // The return rail runs right to left, so the separator is drawn mirrored to read in that direction
+            const separatorOriginals = new Map();
+            const drawnSeparator = separator ? Expression._mirrored(separator, separatorOriginals) : null;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                render(renderContext) {
+                    const mainBaseline = baseline;
+                    const childX = (width - child.width) / 2;
+                    const separatorX = (width - separatorWidth) / 2;
+                    const separatorBaseline = separator ? separatorY + separator.baseline : separatorY;
+                    const verticalDistance = separatorBaseline - mainBaseline;
+
+                    renderContext.renderChild(child, childX, 0);
+                    if (separator) {
+                        renderContext.renderChild(drawnSeparator, separatorX, separatorY);
+                        // Traces refer to the separator as built, so its boxes resolve to the mirrored drawing
+                        separatorOriginals.forEach((original, mirror) => {
+                            renderContext.renderedLayouts.set(original, renderContext.renderedLayouts.get(mirror));
+                        });
+                    }
+
+                    // Main line into and out of the repeated element
+                    renderContext.trackBuilder
+                        .start(0, mainBaseline, Direction.EAST)
+                        .forward(childX)
+                        .finish("through-path");
+                    renderContext.trackBuilder
+                        .start(width, mainBaseline, Direction.WEST)
+                        .forward(width - childX - child.width)
+                        .finish("through-path");
+
+                    // Return path: down on the right, west into the separator...
+                    renderContext.trackBuilder
+                        .start(width - 2, mainBaseline, Direction.EAST)
+                        .turnRight()
+                        .forward(verticalDistance - 2)
+                        .turnRight()
+                        .forward(width - 2 - separatorX - separatorWidth)
+                        .finish("loop-return-right");
+
+                    // ...and from the separator west, then up to rejoin the main line
+                    renderContext.trackBuilder
+                        .start(separatorX, separatorBaseline, Direction.WEST)
+                        .forward(separatorX - 2)
+                        .turnRight()
+                        .forward(verticalDistance - 2)
+                        .turnRight()
+                        .finish("loop-return-left");
+                    // A separator on the return rail reads right to left already
+                    if (!separator) {
+                        renderContext.renderReturnMarker(width / 2, separatorBaseline);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Rebuild a layout to be read from right to left: sequences list their children in reverse, recursively
+         * Text boxes, and layouts without sequences of several items, are returned as they are
+         * @param {LayoutBox} layout - Layout to mirror
+         * @param {Map<LayoutBox, LayoutBox>} originals - Filled with the layout each rebuilt layout mirrors
+         * @returns {LayoutBox} The mirrored layout
+         * @private
+         */
+        static _mirrored(layout, originals) {
+            if (!layout.children) return layout;
+            const children = layout.children.map(child => Expression._mirrored(child, originals));
+            if (layout.kind !== 'sequence' && children.every((child, index) => child === layout.children[index])) {
+                return layout;
+            }
+
+            let mirrored;
+            switch (layout.kind) {
+                case 'sequence':
+                    if (children.length === 1) return children[0] === layout.children[0] ? layout : children[0];
+                    mirrored = Expression.sequence(...children.reverse());
+                    break;
+                case 'stack':
+                    mirrored = Expression.stack(...children);
+                    break;
+                case 'bypass':
+                    mirrored = Expression.bypass(children[0]);
+                    break;
+                case 'optional':
+                    mirrored = Expression.optional(children[0], layout.skipOnMain);
+                    break;
+                case 'repeat':
+                    mirrored = Expression._sizedRepeat(children[0], layout.min, layout.max, layout.width - 4);
+                    break;
+                default: // loop, oneOrMore, zeroOrMore
+                    mirrored = Expression[layout.kind](children[0], children[1]);
+                    if (layout.repetition) {
+                        originals.set(mirrored.repetition, layout.repetition);
+                    }
+            }
+            originals.set(mirrored, layout);
+            return mirrored;
+        }
+
+        /**
+         * Create an optional element
+         * By default the element sits on the main line with the skip path above it (like bypass).
+         * With skipOnMain, the skip path is the straight main line and the element branches off below,
+         * which keeps rarely used clauses out of the way
+         * @param {LayoutBox} child - The optional layout element
+         * @param {boolean} [skipOnMain=false] - Whether the skip path (rather than the element) is on the main line
+         * @returns {LayoutBox} Layout object with skip path
+         * @example
+         * Expression.optional(Expression.textBox('DISTINCT', 'terminal'))
+         * Expression.optional(Expression.textBox('WHERE clause', 'nonterminal'), true)
+         */
+        static optional(child, skipOnMain = false) {
+            const width = roundUpToEven(child.width + 4);
+            const height = child.height + 1;
+            const childY = 1; // below either the skip arch or the skip line
+            // Skip on main: the main line runs along the top edge and the element hangs below it
+            const baseline = skipOnMain ? 0 : child.baseline + 1;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                kind: 'optional',
+                children: [child],
+                skipOnMain: skipOnMain,
+                render(renderContext) {
+                    const mainBaseline = baseline;
+                    const childX = (width - child.width) / 2;
+
+                    renderContext.renderChild(child, childX, childY);
+
+                    if (skipOnMain) {
+                        const verticalDistance = childY + child.baseline - mainBaseline;
+
+                        renderContext.trackBuilder
+                            .start(0, mainBaseline, Direction.EAST)
+                            .forward(width)
+                            .finish("skip-path");
+
+                        renderContext.trackBuilder
+                            .start(0, mainBaseline, Direction.EAST)
+                            .turnRight()
+                            .forward(verticalDistance - 2)
+                            .turnLeft()
+                            .forward(childX - 2)
+                            .finish("optional-left");
+                        renderContext.trackBuilder
+                            .start(width, mainBaseline, Direction.WEST)
+                            .turnLeft()
+                            .forward(verticalDistance - 2)
+                            .turnRight()
+                            .forward(width - childX - child.width - 2)
+                            .finish("optional-right");
+                    } else {
+                        // Skip path arches over the element
+                        renderContext.trackBuilder
+                            .start(0, mainBaseline, Direction.EAST)
+                            .turnLeft()
+                            .forward(mainBaseline - 2)
+                            .turnRight()
+                            .forward(width - 4)
+                            .turnRight()
+                            .forward(mainBaseline - 2)
+                            .turnLeft()
+                            .finish("skip-path");
+
+                        renderContext.trackBuilder
+                            .start(0, mainBaseline, Direction.EAST)
+                            .forward(childX)
+                            .finish("through-path");
+                        renderContext.trackBuilder
+                            .start(width, mainBaseline, Direction.WEST)
+                            .forward(width - childX - child.width)
+                            .finish("through-path");
+                    }
+                }
+            }
+        }
+
+        /**
+         * Create a one-or-more repetition
+         * The element sits on the main line; the return path runs below it, right to left,
+         * optionally through a separator
+         * @param {LayoutBox} child - The repeated layout element
+         * @param {LayoutBox} [separator] - Optional element between repetitions, e.g. a comma
+         * @returns {LayoutBox} Layout object with return path
+         * @example
+         * Expression.oneOrMore(Expression.textBox('digit', 'nonterminal'))
+         */
+        static oneOrMore(child, separator) {
+            const layout = Expression._separatedLoop(child, separator || null);
+            return Object.assign(layout, { kind: 'oneOrMore', children: separator ? [child, separator] : [child] });
+        }
+
+        /**
+         * Create a zero-or-more repetition
+         * The skip path is the main line; the repetition (as in oneOrMore) branches off below it,
+         * avoiding the double arch of bypass(loop(...)). It is drawn as optional(oneOrMore(child, separator), true),
+         * so its size and baseline are those of that composition. The layout is still one construct with kind
+         * 'zeroOrMore' and the children of oneOrMore: interpreters, printers and descriptions read it as a
+         * repetition, and the inner oneOrMore, kept as repetition, only serves to highlight its return path.
+         * @param {LayoutBox} child - The repeated layout element
+         * @param {LayoutBox} [separator] - Optional element between repetitions, e.g. a comma
+         * @returns {LayoutBox} Layout object with skip and return paths
+         * @example
+         * Expression.zeroOrMore(Expression.textBox('item', 'nonterminal'), Expression.textBox(',', 'terminal'))
+         */
+        static zeroOrMore(child, separator) {
+            const repetition = Expression.oneOrMore(child, separator);
+            const layout = Expression.optional(repetition, true);
+            return Object.assign(layout, { kind: 'zeroOrMore', children: separator ? [child, separator] : [child], repetition });
+        }
+
+        /**
+         * Create a bounded repetition layout
+         * Draws a loop like loop() and labels the return path with the allowed number of passes
+         * @param {LayoutBox} child - The repeatable layout element
+         * @param {number} min - Minimum number of repetitions (at least 1)
+         * @param {number} [max=min] - Maximum number of repetitions, or Infinity for no upper bound
+         * @returns {LayoutBox} Layout object with labelled loop path
+         * @example
+         * Expression.repeat(Expression.textBox('HEXDIG', 'nonterminal'), 1, 4) // labelled "1–4×"
+         */
+        static repeat(child, min, max = min) {
+            const label = Expression._formatRepeatLabel(min, max);
+            const gridSize = getGridSizeFromCSS();
+            const labelWidth = Expression._measureText(label, gridSize, 'repeat-label');
+            return Expression._sizedRepeat(child, min, max, labelWidth);
+        }
+
+        static _sizedRepeat(child, min, max, labelWidth) {
+            const label = Expression._formatRepeatLabel(min, max);
+            const width = roundUpToEven(Math.max(child.width, labelWidth) + 4);
+            const height = child.height + 2; // extra unit between return path and child holds the label
+            const baseline = child.baseline + 2;
+
+            return {
+                width: width,
+                height: height,
+                baseline: baseline,
+                kind: 'repeat',
+                children: [child],
+                min: min,
+                max: max,
+                render(renderContext) {
+                    const mainBaseline = baseline;
+                    const childX = (width - child.width) / 2;
+
+                    renderContext.renderChild(child, childX, 2);
+                    renderContext.renderLabel(label, 'repeat-label', width / 2, 1);
+
+                    // Draw the loop path (same routing as loop, one unit further from the child)
+                    renderContext.trackBuilder
+                        .start(2, mainBaseline, Direction.WEST)
+                        .turnRight()
+                        .forward(baseline - 2)
+                        .turnRight()
+                        .forward(width - 4)
+                        .turnRight()
+                        .forward(baseline - 2)
+                        .turnRight()
+                        .finish("repeat-path");
+                    renderContext.renderReturnMarker(width / 2, 0);
+
+                    renderContext.trackBuilder
+                        .start(0, mainBaseline, Direction.EAST)
+                        .forward(2)
+                        .finish("through-path");
+                    renderContext.trackBuilder
+                        .start(width, mainBaseline, Direction.WEST)
+                        .forward(2)
+                        .finish("through-path");
+                }
+            }
+        }
+
+        /**
+         * Convert a layout to its JSON form (see grammarToJSON for the format)
+         * @param {LayoutBox} layout - Layout built by the Expression factories
+         * @param {Object} [options={}] - Serialization options
+         * @param {boolean} [options.includeLayout=false] - Also store width, height and baseline of every node
+         * @returns {Object} JSON node: {kind, text?, className?, match?, children?, min?, max?, skipOnMain?}
+         * @throws {Error} When the layout was not built by a factory that records its structure
+         * @example
+         * Expression.toJSON(Expression.bypass(Expression.textBox('DISTINCT', 'terminal')))
+         * // { kind: 'bypass', children: [{ kind: 'textBox', text: 'DISTINCT', className: 'terminal' }] }
+         */
+        static toJSON(layout, options = {}) {
+            if (!JSON_NODE_KINDS.includes(layout.kind)) {
+                throw new Error(`Cannot serialize layout of kind ${layout.kind}`);
+            }
+
+            const node = { kind: layout.kind };
+            if (layout.kind === 'textBox') {
+                node.text = layout.text;
+                node.className = layout.className;
+                if (layout.match !== undefined) {
+                    node.match = layout.match;
+                }
+            } else {
+                node.children = layout.children.map(child => Expression.toJSON(child, options));
+            }
+            if (layout.kind === 'repeat') {
+                node.min = layout.min;
+                node.max = layout.max === Infinity ? null : layout.max; // JSON has no Infinity
+            }
+            if (layout.kind === 'optional' && layout.skipOnMain) {
+                node.skipOnMain = true;
+            }
+            if (options.includeLayout) {
+                node.width = layout.width;
+                node.height = layout.height;
+                node.baseline = layout.baseline;
+            }
+            return node;
+        }
+
+        /**
+         * Rebuild a layout from its JSON form
+         * @param {Object} node - JSON node as produced by Expression.toJSON
+         * @param {Object} [options={}] - Deserialization options
+         * @param {boolean} [options.useStoredLayout=false] - Take text box and repeat widths from the stored
+         *   layout instead of measuring text (everything else is derived from them)
+         * @returns {LayoutBox} The rebuilt layout
+         * @throws {Error} When the node is malformed, naming the offending path
+         */
+        static fromJSON(node, options = {}) {
+            return Expression._fromJSON(node, options, 'expression');
+        }
+
+        static _fromJSON(node, options, path) {
+            const fail = message => {
+                throw new Error(`Invalid grammar JSON at ${path}: ${message}`);
+            };
+            if (node === null || typeof node !== 'object' || Array.isArray(node)) fail('expected an object');
+            if (!JSON_NODE_KINDS.includes(node.kind)) fail(`unknown kind ${JSON.stringify(node.kind)}`);
+
+            const storedWidth = options.useStoredLayout && typeof node.width === 'number' ? node.width : undefined;
+
+            if (node.kind === 'textBox') {
+                if (typeof node.text !== 'string') fail('text must be a string');
+                if (typeof node.className !== 'string') fail('className must be a string');
+                if (node.match !== undefined && !TERMINAL_MATCHES.includes(node.match)) {
+                    fail(`unknown match ${JSON.stringify(node.match)}`);
+                }
+                if (node.match === 'pattern' && !parseTerminalPattern(node.text)) fail(`not a terminal pattern: ${node.text}`);
+                return storedWidth !== undefined
+                    ? Expression._sizedTextBox(node.text, node.className, storedWidth, node.match)
+                    : Expression.textBox(node.text, node.className, node.match);
+            }
+
+            const [minChildren, maxChildren] = {
+                sequence: [1, Infinity],
+                stack: [1, Infinity],
+                bypass: [1, 1],
+                optional: [1, 1],
+                repeat: [1, 1],
+                loop: [1, 2],
+                oneOrMore: [1, 2],
+                zeroOrMore: [1, 2]
+            }[node.kind];
+            if (!Array.isArray(node.children) || node.children.length < minChildren || node.children.length > maxChildren) {
+                fail(`${node.kind} takes ${minChildren === maxChildren ? minChildren : `${minChildren} to ${maxChildren}`} ${maxChildren === 1 ? 'child' : 'children'}`);
+            }
+            const children = node.children.map((child, index) => Expression._fromJSON(child, options, `${path}.children[${index}]`));
+
+            switch (node.kind) {
+                case 'sequence':
+                    return Expression.sequence(...children);
+                case 'stack':
+                    return Expression.stack(...children);
+                case 'bypass':
+                    return Expression.bypass(children[0]);
+                case 'optional':
+                    return Expression.optional(children[0], node.skipOnMain === true);
+                case 'loop':
+                    return Expression.loop(children[0], children[1]);
+                case 'oneOrMore':
+                    return Expression.oneOrMore(children[0], children[1]);
+                case 'zeroOrMore':
+                    return Expression.zeroOrMore(children[0], children[1]);
+                default: {
+                    const max = node.max === null ? Infinity : node.max;
+                    if (!Number.isInteger(node.min) || !(max === Infinity || Number.isInteger(max))) {
+                        fail('min must be an integer and max an integer or null');
+                    }
+                    return storedWidth !== undefined
+                        ? Expression._sizedRepeat(children[0], node.min, max, storedWidth - 4)
+                        : Expression.repeat(children[0], node.min, max);
+                }
+            }
+        }
+
+        static _formatRepeatLabel(min, max) {
+            if (!Number.isInteger(min) || min < 1 || !(max === Infinity || (Number.isInteger(max) && max >= min))) {
+                throw new Error(`Invalid repetition bounds: ${min}..${max}`);
+            }
+            if (max === Infinity) return `${min}+×`;
+            if (min === max) return `${min}×`;
+            return `${min}–${max}×`;
+        }
+
+        static _measureText(textContent, gridSize, className) {
+            return Math.ceil(textMeasurer.measure(textContent, className) / gridSize);
+        }
+    }
+
+    /**
+     * Token types for the expression language
+     * @enum {string}
+     */
+    const TokenType = {
+        IDENTIFIER: 'IDENTIFIER',
+        OPEN_PAREN: 'OPEN_PAREN',
+        CLOSE_PAREN: 'CLOSE_PAREN',
+        COMMA: 'COMMA',
+        EQUALS: 'EQUALS',
+        STRING: 'STRING',
+        NUMBER: 'NUMBER',
+        WHITESPACE: 'WHITESPACE',
+        EOF: 'EOF'
+    };
+
+    /**
+     * Simple tokenizer for railroad expression language using regex with named groups
+     * Handles: identifiers, parentheses, commas, equals signs, double-quoted strings, non-negative integers
+     * @param {string} code - The code to tokenize
+     * @param {boolean} [skipWhitespace=false] - Whether to skip whitespace tokens in output
+     * @returns {Array<{type: string, value: string, position: number}>} Array of tokens
+     */
+    function tokenize(code, skipWhitespace = false) {
+        const tokens = [];
+        
+        // Single regex with named capture groups for all token types
+        // Note: Order matters - more specific patterns should come first
+        const tokenRegex = /(?<string>"(?:[^"\\]|\\.)*")|(?<identifier>[a-zA-Z_][a-zA-Z0-9_]*)|(?<number>[0-9]+)|(?<openParen>\()|(?<closeParen>\))|(?<comma>,)|(?<equals>=)|(?<whitespace>\s+)/g;
+        
+        let lastIndex = 0;
+        let match;
+        
+        // Use exec() in a loop to get all matches with their positions
+        while ((match = tokenRegex.exec(code)) !== null) {
+            // Check if there's any unmatched content between last match and current match
+            if (match.index > lastIndex) {
+                const unmatched = code.slice(lastIndex, match.index);
+                throw createSyntaxError(`Unexpected character(s) '${unmatched}'`, code, lastIndex);
+            }
+            
+            // Determine which named group matched
+            const groups = match.groups;
+            let tokenType, tokenValue;
+            
+            if (groups.string) {
+                tokenType = TokenType.STRING;
+                tokenValue = groups.string;
+            } else if (groups.identifier) {
+                tokenType = TokenType.IDENTIFIER;
+                tokenValue = groups.identifier;
+            } else if (groups.number) {
+                tokenType = TokenType.NUMBER;
+                tokenValue = groups.number;
+            } else if (groups.openParen) {
+                tokenType = TokenType.OPEN_PAREN;
+                tokenValue = groups.openParen;
+            } else if (groups.closeParen) {
+                tokenType = TokenType.CLOSE_PAREN;
+                tokenValue = groups.closeParen;
+            } else if (groups.comma) {
+                tokenType = TokenType.COMMA;
+                tokenValue = groups.comma;
+            } else if (groups.equals) {
+                tokenType = TokenType.EQUALS;
+                tokenValue = groups.equals;
+            } else if (groups.whitespace) {
+                tokenType = TokenType.WHITESPACE;
+                tokenValue = groups.whitespace;
+            }
+            
+            // Skip whitespace tokens if requested
+            if (!skipWhitespace || tokenType !== TokenType.WHITESPACE) {
+                tokens.push({ 
+                    type: tokenType, 
+                    value: tokenValue, 
+                    position: match.index 
+                });
+            }
+            
+            lastIndex = tokenRegex.lastIndex;
+        }
+        
+        // Check if there's any unmatched content at the end
+        if (lastIndex < code.length) {
+            const unmatched = code.slice(lastIndex);
+            throw createSyntaxError(`Unexpected character(s) '${unmatched}'`, code, lastIndex);
+        }
+        
+        tokens.push({ type: TokenType.EOF, value: '', position: code.length });
+        return tokens;
+    }
+
+    /**
+     * Signatures of the functions available in expression code
+     * Argument kinds: 'string', 'number', 'boolean' and 'layout' (the result of another call)
+     * @type {Object<string, {params: string[], minArgs: number, variadic?: boolean, build: function(...*): LayoutBox}>}
+     */
+    const EXPRESSION_FUNCTIONS = {
+        textBox: { params: ['string', 'string', 'string'], minArgs: 2, build: (text, className, match) => Expression.textBox(text, className, match) },
+        sequence: { params: ['layout'], minArgs: 1, variadic: true, build: (...children) => Expression.sequence(...children) },
+        stack: { params: ['layout'], minArgs: 1, variadic: true, build: (...children) => Expression.stack(...children) },
+        bypass: { params: ['layout'], minArgs: 1, build: child => Expression.bypass(child) },
+        loop: { params: ['layout', 'layout'], minArgs: 1, build: (child, separator) => Expression.loop(child, separator) },
+        repeat: { params: ['layout', 'number', 'number'], minArgs: 2, build: (child, min, max) => Expression.repeat(child, min, max) },
+        optional: { params: ['layout', 'boolean'], minArgs: 1, build: (child, skipOnMain) => Expression.optional(child, skipOnMain) },
+        zeroOrMore: { params: ['layout', 'layout'], minArgs: 1, build: (child, separator) => Expression.zeroOrMore(child, separator) },
+        oneOrMore: { params: ['layout', 'layout'], minArgs: 1, build: (child, separator) => Expression.oneOrMore(child, separator) }
+    };
+
+    /**
+     * Node kinds of the grammar JSON format, one per structural Expression factory
+     * @type {string[]}
+     */
+    const JSON_NODE_KINDS = ['textBox', 'sequence', 'stack', 'bypass', 'loop', 'repeat', 'optional', 'oneOrMore', 'zeroOrMore'];
+
+    /** Identifies grammar JSON documents */
+    const GRAMMAR_JSON_FORMAT = 'railroad-diagrams';
+    const GRAMMAR_JSON_VERSION = 1;
+
+    /**
+     * Serialize rules to a grammar JSON document
+     *
+     * Format (version 1):
+     *   { "format": "railroad-diagrams", "version": 1, "rules": [{ "name": string, "expression": node }] }
+     * where a node is one of
+     *   { "kind": "textBox", "text": string, "className": "terminal" | "nonterminal" | ... }
+     *   { "kind": "sequence" | "stack", "children": [node, ...] }
+     *   { "kind": "bypass", "children": [node] }
+     *   { "kind": "optional", "children": [node], "skipOnMain"?: true }
+     *   { "kind": "loop" | "oneOrMore" | "zeroOrMore", "children": [item, separator?] }
+     *   { "kind": "repeat", "children": [node], "min": integer, "max": integer | null }  (null: unbounded)
+     * With includeLayout, every node also carries "width", "height" and "baseline" in grid units.
+     *
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to serialize
+     * @param {Object} [options={}] - Serialization options
+     * @param {boolean} [options.includeLayout=false] - Store the computed dimensions of every node
+     * @returns {Object} Grammar JSON document, ready for JSON.stringify
+     * @throws {Error} When an expression was not built by the Expression factories
+     * @example
+     * fs.writeFileSync('grammar.json', JSON.stringify(grammarToJSON(parseGrammar(source, 'ebnf')), null, 2));
+     */
+    function grammarToJSON(rules, options = {}) {
+        return {
+            format: GRAMMAR_JSON_FORMAT,
+            version: GRAMMAR_JSON_VERSION,
+            rules: rules.map(rule => ({ name: rule.title, expression: Expression.toJSON(rule.expression, options) }))
+        };
+    }
+
+    /**
+     * Rebuild rules from a grammar JSON document
+     * @param {string|Object} json - Document as produced by grammarToJSON, or its JSON text
+     * @param {Object} [options={}] - Deserialization options
+     * @param {boolean} [options.useStoredLayout=false] - Use stored text box widths instead of measuring text
+     * @returns {Array<{title: string, expression: LayoutBox}>} Rules in document order
+     * @throws {Error} When the document is malformed or has an unsupported version
+     */
+    function grammarFromJSON(json, options = {}) {
+        const grammar = typeof json === 'string' ? JSON.parse(json) : json;
+        if (grammar === null || typeof grammar !== 'object' || grammar.format !== GRAMMAR_JSON_FORMAT) {
+            throw new Error(`Invalid grammar JSON: expected format "${GRAMMAR_JSON_FORMAT}"`);
+        }
+        if (grammar.version !== GRAMMAR_JSON_VERSION) {
+            throw new Error(`Unsupported grammar JSON version: ${grammar.version}`);
+        }
+        if (!Array.isArray(grammar.rules)) {
+            throw new Error('Invalid grammar JSON: rules must be an array');
+        }
+
+        return grammar.rules.map((rule, index) => {
+            if (rule === null || typeof rule !== 'object' || typeof rule.name !== 'string') {
+                throw new Error(`Invalid grammar JSON at rules[${index}]: name must be a string`);
+            }
+            return {
+                title: rule.name,
+                expression: Expression._fromJSON(rule.expression, options, `rules[${index}].expression`)
+            };
+        });
+    }
+
+    /**
+     * Recursive-descent parser for the railroad expression language
+     * Grammar: expression := STRING | NUMBER | 'true' | 'false' | IDENTIFIER '(' [ expression { ',' expression } ] ')'
+     * Produces an AST of call, string, number and boolean nodes, each carrying its source position
+     * @class
+     */
+    class ExpressionParser {
+        /**
+         * Create a new ExpressionParser instance
+         * @param {string} code - Expression code to parse
+         */
+        constructor(code) {
+            this.code = code;
+            this.tokens = tokenize(code, true);
+            this.index = 0;
+        }
+
+        /**
+         * Parse the code as a single expression
+         * @returns {{type: string, position: number}} Root AST node
+         * @throws {Error} On syntax errors, with line and column information
+         */
+        parse() {
+            const node = this._parseExpression();
+            this._expect(TokenType.EOF, 'end of expression');
+            return node;
+        }
+
+        /**
+         * Parse the code as a sequence of `name = expression` rule definitions
+         * Rule names are identifiers or double-quoted strings (for names such as "segment-nz")
+         * @returns {Array<{name: string, node: Object, position: number}>} Rules in source order
+         * @throws {Error} On syntax errors, with line and column information
+         */
+        parseGrammar() {
+            const rules = [];
+
+            while (this.tokens[this.index].type !== TokenType.EOF) {
+                const nameToken = this.tokens[this.index];
+                if (nameToken.type !== TokenType.IDENTIFIER && nameToken.type !== TokenType.STRING) {
+                    this._fail(`Expected a rule name but found ${this._describe(nameToken)}`, nameToken);
+                }
+                this.index++;
+                this._expect(TokenType.EQUALS, `'=' after rule name '${nameToken.value}'`);
+
+                const name = nameToken.type === TokenType.STRING ? unescapeStringLiteral(nameToken.value) : nameToken.value;
+                rules.push({ name, node: this._parseExpression(), position: nameToken.position });
+            }
+
+            return rules;
+        }
+
+        _parseExpression() {
+            const token = this.tokens[this.index];
+
+            switch (token.type) {
+                case TokenType.STRING:
+                    this.index++;
+                    return { type: 'string', value: unescapeStringLiteral(token.value), position: token.position };
+                case TokenType.NUMBER:
+                    this.index++;
+                    return { type: 'number', value: parseInt(token.value, 10), position: token.position };
+                case TokenType.IDENTIFIER:
+                    if ((token.value === 'true' || token.value === 'false') &&
+                        this.tokens[this.index + 1].type !== TokenType.OPEN_PAREN) {
+                        this.index++;
+                        return { type: 'boolean', value: token.value === 'true', position: token.position };
+                    }
+                    // Unbounded repeat(x, min, Infinity), e.g. ABNF 2*x
+                    if (token.value === 'Infinity' && this.tokens[this.index + 1].type !== TokenType.OPEN_PAREN) {
+                        this.index++;
+                        return { type: 'number', value: Infinity, position: token.position };
+                    }
+                    return this._parseCall();
+                default:
+                    this._fail(`Expected an expression but found ${this._describe(token)}`, token);
+            }
+        }
+
+        _parseCall() {
+            const nameToken = this.tokens[this.index++];
+            this._expect(TokenType.OPEN_PAREN, `'(' after '${nameToken.value}'`);
+
+            const args = [];
+            if (this.tokens[this.index].type !== TokenType.CLOSE_PAREN) {
+                args.push(this._parseExpression());
+                while (this.tokens[this.index].type === TokenType.COMMA) {
+                    this.index++;
+                    args.push(this._parseExpression());
+                }
+            }
+
+            this._expect(TokenType.CLOSE_PAREN, "',' or ')'");
+            return { type: 'call', name: nameToken.value, args, position: nameToken.position };
+        }
+
+        _expect(type, description) {
+            const token = this.tokens[this.index];
+            if (token.type !== type) {
+                this._fail(`Expected ${description} but found ${this._describe(token)}`, token);
+            }
+            this.index++;
+            return token;
+        }
+
+        _describe(token) {
+            return token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
+        }
+
+        _fail(message, token) {
+            throw createSyntaxError(message, this.code, token.position);
+        }
+    }
+
+    /**
+     * Decode the escape sequences of a double-quoted string token
+     * @param {string} literal - String token including the surrounding quotes
+     * @returns {string} The string value
+     */
+    function unescapeStringLiteral(literal) {
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+        return literal.slice(1, -1).replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (match, escape) => {
+            if (escape.startsWith('u{')) return String.fromCodePoint(parseInt(escape.slice(2, -1), 16));
+            if (escape.length > 1) return String.fromCharCode(parseInt(escape.slice(1), 16));
+            return Object.prototype.hasOwnProperty.call(escapes, escape) ? escapes[escape] : escape;
+        });
+    }
+
+    /**
+     * Check an AST node against the expression function signatures
+     * @param {{type: string, position: number}} node - AST node to check
+     * @param {string} code - Source code, for error positions
+     * @returns {string} The kind of value the node produces: 'string', 'number', 'boolean' or 'layout'
+     * @throws {Error} On unknown functions, wrong argument counts or argument types
+     */
+    function checkExpressionNode(node, code) {
+        if (node.type !== 'call') {
+            return node.type;
+        }
+
+        const signature = EXPRESSION_FUNCTIONS.hasOwnProperty(node.name) ? EXPRESSION_FUNCTIONS[node.name] : null;
+        if (!signature) {
+            throw createSyntaxError(`Disallowed function call: ${node.name}`, code, node.position);
+        }
+
+        const maxArgs = signature.variadic ? Infinity : signature.params.length;
+        if (node.args.length < signature.minArgs || node.args.length > maxArgs) {
+            const expected = signature.variadic
+                ? `at least ${signature.minArgs}`
+                : (signature.minArgs === maxArgs ? `${maxArgs}` : `${signature.minArgs} to ${maxArgs}`);
+            throw createSyntaxError(
+                `${node.name}() expects ${expected} argument(s) but got ${node.args.length}`, code, node.position);
+        }
+
+        node.args.forEach((arg, index) => {
+            const expectedKind = signature.params[Math.min(index, signature.params.length - 1)];
+            const actualKind = checkExpressionNode(arg, code);
+            if (actualKind !== expectedKind) {
+                throw createSyntaxError(
+                    `Argument ${index + 1} of ${node.name}() must be a ${expectedKind} but got a ${actualKind}`, code, arg.position);
+            }
+        });
+
+        return 'layout';
+    }
+
+    /**
+     * Parse and type-check expression code into an AST without evaluating it
+     * @param {string} code - Expression code, e.g. 'sequence(textBox("a", "terminal"), ...)'
+     * @returns {{type: string, position: number}} Root AST node; its value is always a layout
+     * @throws {Error} On syntax or type errors, with line and column information
+     */
+    function parseExpressionCode(code) {
+        const ast = new ExpressionParser(code).parse();
+        const kind = checkExpressionNode(ast, code);
+        if (kind !== 'layout') {
+            throw createSyntaxError(`Expected a diagram expression but found a ${kind}`, code, ast.position);
+        }
+        return ast;
+    }
+
+    /**
+     * Interpret a checked AST by calling the Expression factories directly
+     * @param {{type: string, position: number}} node - AST node from parseExpressionCode
+     * @returns {LayoutBox|string|number} The node's value
+     */
+    function interpretExpression(node) {
+        if (node.type !== 'call') {
+            return node.value;
+        }
+        return EXPRESSION_FUNCTIONS[node.name].build(...node.args.map(interpretExpression));
+    }
+
+    /**
+     * Build a LayoutBox from expression code without eval, so it works under a strict
+     * Content-Security-Policy
+     * @param {string} code - Expression code
+     * @returns {LayoutBox} The layout described by the code
+     * @throws {Error} On syntax or type errors, with line and column information
+     */
+    function evaluateExpressionCode(code) {
+        return interpretExpression(parseExpressionCode(code));
+    }
+
+    /**
+     * Parse and type-check a grammar of `name = expression` rules without evaluating it
+     * @param {string} code - Grammar code, e.g. 'digit = stack(textBox("0", "terminal"), ...)'
+     * @returns {Array<{name: string, node: Object, position: number}>} Rules with their AST, in source order
+     * @throws {Error} On syntax or type errors, with line and column information
+     */
+    function parseGrammarCode(code) {
+        const rules = new ExpressionParser(code).parseGrammar();
+        rules.forEach(rule => {
+            const kind = checkExpressionNode(rule.node, code);
+            if (kind !== 'layout') {
+                throw createSyntaxError(`Expected a diagram expression for rule '${rule.name}' but found a ${kind}`, code, rule.node.position);
+            }
+        });
+        return rules;
+    }
+
+    /**
+     * Parse a multi-rule grammar in any supported notation
+     * @param {string} source - Grammar text
+     * @param {string} [syntax='railroad'] - 'railroad' for `name = expression` rules in the script syntax,
+     *   'ebnf' for W3C EBNF, 'abnf' for RFC 5234 ABNF or 'json' for a grammarToJSON document
+     * @returns {Array<{title: string, expression: LayoutBox}>} Rules in source order
+     * @throws {Error} On syntax errors or an unknown notation
+     */
+    function parseGrammar(source, syntax = 'railroad') {
+        switch (syntax) {
+            case 'railroad':
+                return parseGrammarCode(source).map(rule => ({ title: rule.name, expression: interpretExpression(rule.node) }));
+            case 'ebnf':
+                return parseEBNF(source);
+            case 'abnf':
+                return parseABNF(source);
+            case 'json':
+                return grammarFromJSON(source);
+            default:
+                throw new Error(`Unknown grammar syntax: ${syntax} (expected 'railroad', 'ebnf', 'abnf' or 'json')`);
+        }
+    }
+
+    /**
+     * Validate expression code by parsing and type-checking it
+     * Only calls to the expression functions with literal arguments are accepted,
+     * so there is nothing to inject
+     * @param {string} code - Expression code string to validate
+     * @returns {boolean} True if validation passes
+     * @throws {Error} When code is malformed, calls unknown functions or passes wrong arguments
+     */
+    function validateExpressionCode(code) {
+        parseExpressionCode(code);
+        return true;
+    }
+
+    /**
+     * Create an Error for a syntax problem in grammar or expression text
+     * The error message and properties carry the 1-based line and column of the offending position
+     * @param {string} message - Description of the problem
+     * @param {string} source - The complete source text being parsed
+     * @param {number} position - Character offset of the problem in the source
+     * @returns {Error} Error with line, column and position properties
+     */
+    function createSyntaxError(message, source, position) {
+        const preceding = source.slice(0, position).split('\n');
+        const line = preceding.length;
+        const column = preceding[preceding.length - 1].length + 1;
+
+        const error = new Error(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        error.position = position;
+        return error;
+    }
+
+    /**
+     * Parser for W3C-style EBNF grammars (as used in the XML specification)
+     * Supports `name ::= expression` rules with `|` alternatives, `?`, `*` and `+` suffixes,
+     * parenthesized groups, quoted strings, character classes `[...]`, `#xN` characters
+     * and comments. Each rule becomes one LayoutBox built with the Expression factories.
+     * @class
+     */
+    class EBNFParser {
+        /**
+         * Create a new EBNFParser instance
+         * @param {string} source - EBNF grammar text
+         */
+        constructor(source) {
+            this.source = source;
+            this.tokens = this._tokenize(source);
+            this.index = 0;
+        }
+
+        /**
+         * Parse all rules in the grammar
+         * @returns {Array<{title: string, expression: LayoutBox}>} Rules in source order
+         * @throws {Error} On syntax errors, with line and column information
+         */
+        parse() {
+            const rules = [];
+
+            while (this._peek().type !== 'eof') {
+                const nameToken = this._expect('name', 'rule name');
+                this._expect('define', "'::='");
+                const expression = this._parseChoice();
+                rules.push({ title: nameToken.value, expression });
+            }
+
+            return rules;
+        }
+
+        _parseChoice() {
+            const alternatives = [this._parseSequence()];
+
+            while (this._peek().type === '|') {
+                this._next();
+                alternatives.push(this._parseSequence());
+            }
+
+            return alternatives.length === 1 ? alternatives[0] : Expression.stack(...alternatives);
+        }
+
+        _parseSequence() {
+            const items = [];
+
+            while (this._startsItem()) {
+                items.push(this._parseItem());
+            }
+
+            if (items.length === 0) {
+                this._fail(`Expected an expression but found ${this._describe(this._peek())}`, this._peek());
+            }
+
+            return items.length === 1 ? items[0] : Expression.sequence(...items);
+        }
+
+        _startsItem() {
+            const token = this._peek();
+            if (token.type === 'name') {
+                // A name followed by '::=' starts the next rule rather than continuing this one
+                return this._peek(1).type !== 'define';
+            }
+            return token.type === 'string' || token.type === 'charClass' || token.type === '(';
+        }
+
+        _parseItem() {
+            let item = this._parsePrimary();
+
+            while (['?', '*', '+'].includes(this._peek().type)) {
+                const operator = this._next().type;
+                if (operator === '?') {
+                    item = Expression.bypass(item);
+                } else if (operator === '+') {
+                    item = Expression.oneOrMore(item);
+                } else {
+                    item = Expression.zeroOrMore(item);
+                }
+            }
+
+            if (this._peek().type === '-') {
+                this._fail("Exception operator '-' is not supported", this._peek());
+            }
+
+            return item;
+        }
+
+        _parsePrimary() {
+            const token = this._next();
+
+            switch (token.type) {
+                case 'name':
+                    return Expression.textBox(token.value, 'nonterminal');
+                case 'string':
+                    return Expression.textBox(token.value, 'terminal', 'literal');
+                case 'charClass':
+                    return Expression.textBox(token.value, 'terminal', 'pattern');
+                case '(': {
+                    const expression = this._parseChoice();
+                    this._expect(')', "')'");
+                    return expression;
+                }
+                default:
+                    this._fail(`Unexpected ${this._describe(token)}`, token);
+            }
+        }
+
+        _tokenize(source) {
+            const tokens = [];
+            const tokenRegex = /(?<whitespace>\s+)|(?<comment>\/\*[\s\S]*?\*\/)|(?<define>::=)|(?<name>[A-Za-z_][A-Za-z0-9_.-]*)|(?<string>"[^"]*"|'[^']*')|(?<charClass>\[\^?(?:[^\]\\]|\\.)*\]|#x[0-9a-fA-F]+)|(?<operator>[|?*+()-])/y;
+
+            while (tokenRegex.lastIndex < source.length) {
+                const position = tokenRegex.lastIndex;
+                const match = tokenRegex.exec(source);
+
+                if (!match) {
+                    if (source.startsWith('/*', position)) {
+                        throw createSyntaxError('Unterminated comment', source, position);
+                    }
+                    if (source[position] === '"' || source[position] === "'") {
+                        throw createSyntaxError('Unterminated string', source, position);
+                    }
+                    throw createSyntaxError(`Unexpected character '${source[position]}'`, source, position);
+                }
+
+                const { groups } = match;
+                if (groups.name) {
+                    tokens.push({ type: 'name', value: groups.name, position });
+                } else if (groups.string) {
+                    tokens.push({ type: 'string', value: groups.string.slice(1, -1), position });
+                } else if (groups.charClass) {
+                    tokens.push({ type: 'charClass', value: groups.charClass, position });
+                } else if (groups.define) {
+                    tokens.push({ type: 'define', value: groups.define, position });
+                } else if (groups.operator) {
+                    tokens.push({ type: groups.operator, value: groups.operator, position });
+                }
+            }
+
+            tokens.push({ type: 'eof', value: '', position: source.length });
+            return tokens;
+        }
+
+        _peek(offset = 0) {
+            return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+        }
+
+        _next() {
+            const token = this._peek();
+            if (token.type !== 'eof') {
+                this.index++;
+            }
+            return token;
+        }
+
+        _expect(type, description) {
+            const token = this._peek();
+            if (token.type !== type) {
+                this._fail(`Expected ${description} but found ${this._describe(token)}`, token);
+            }
+            return this._next();
+        }
+
+        _describe(token) {
+            return token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+        }
+
+        _fail(message, token) {
+            throw createSyntaxError(message, this.source, token.position);
+        }
+    }
+
+    /**
+     * Parse a W3C-style EBNF grammar into railroad diagram expressions
+     * Mapping: `a?` → bypass, `a | b` → stack, `a+` → oneOrMore, `a*` → zeroOrMore,
+     * quoted strings → 'literal' terminals without the quotes, character classes and #xN → 'pattern' terminals,
+     * bare names → nonterminal text boxes
+     * @param {string} source - EBNF grammar text with one or more `name ::= expression` rules
+     * @returns {Array<{title: string, expression: LayoutBox}>} One rule per definition, in source order
+     * @throws {Error} On syntax errors; the error has line and column properties
+     * @example
+     * const rules = parseEBNF('list ::= item ( "," item )*');
+     * rules.forEach(rule => diagram.addRule(rule.title, rule.expression));
+     */
+    function parseEBNF(source) {
+        return new EBNFParser(source).parse();
+    }
+
+    /**
+     * Parser for ABNF grammars as defined by RFC 5234 (with RFC 7405 case-sensitive strings)
+     * Supports alternation `/`, incremental alternatives `=/`, repetition `n*m`, `*`, `n`,
+     * optional `[ ]`, groups `( )`, quoted strings, `%s`/`%i` strings, `%x`/`%d`/`%b` values,
+     * ranges and concatenations, prose values and comments. Rule names are case-insensitive.
+     * @class
+     */
+    class ABNFParser {
+        /**
+         * Create a new ABNFParser instance
+         * @param {string} source - ABNF grammar text
+         */
+        constructor(source) {
+            this.source = source;
+            this.tokens = this._tokenize(source);
+            this.index = 0;
+        }
+
+        /**
+         * Parse all rules in the grammar, merging `=/` alternatives into their base rule
+         * @returns {Array<{title: string, expression: LayoutBox}>} Rules in order of first definition
+         * @throws {Error} On syntax errors, with line and column information
+         */
+        parse() {
+            const definitions = new Map(); // lower-case name -> { title, alternatives }
+
+            while (this._peek().type !== 'eof') {
+                const nameToken = this._expect('name', 'rule name');
+                const key = nameToken.value.toLowerCase();
+                const definedAs = this._peek();
+
+                if (definedAs.type !== '=' && definedAs.type !== '=/') {
+                    this._fail(`Expected '=' or '=/' but found ${this._describe(definedAs)}`, definedAs);
+                }
+                this._next();
+
+                const alternatives = this._parseAlternatives();
+
+                if (definedAs.type === '=/') {
+                    if (!definitions.has(key)) {
+                        this._fail(`Incremental alternative for undefined rule '${nameToken.value}'`, nameToken);
+                    }
+                    definitions.get(key).alternatives.push(...alternatives);
+                } else {
+                    if (definitions.has(key)) {
+                        this._fail(`Rule '${nameToken.value}' is already defined; use '=/' to add alternatives`, nameToken);
+                    }
+                    definitions.set(key, { title: nameToken.value, alternatives });
+                }
+            }
+
+            return Array.from(definitions.values(), ({ title, alternatives }) => ({
+                title,
+                expression: alternatives.length === 1 ? alternatives[0] : Expression.stack(...alternatives)
+            }));
+        }
+
+        _parseAlternatives() {
+            const alternatives = [this._parseConcatenation()];
+
+            while (this._peek().type === '/') {
+                this._next();
+                alternatives.push(this._parseConcatenation());
+            }
+
+            return alternatives;
+        }
+
+        _parseAlternation() {
+            const alternatives = this._parseAlternatives();
+            return alternatives.length === 1 ? alternatives[0] : Expression.stack(...alternatives);
+        }
+
+        _parseConcatenation() {
+            const items = [];
+
+            while (this._startsRepetition()) {
+                items.push(this._parseRepetition());
+            }
+
+            if (items.length === 0) {
+                this._fail(`Expected an element but found ${this._describe(this._peek())}`, this._peek());
+            }
+
+            return items.length === 1 ? items[0] : Expression.sequence(...items);
+        }
+
+        _startsRepetition() {
+            const token = this._peek();
+            if (token.type === 'name') {
+                // A name followed by '=' or '=/' starts the next rule rather than continuing this one
+                const following = this._peek(1).type;
+                return following !== '=' && following !== '=/';
+            }
+            return ['repeat', 'string', 'value', 'prose', '(', '['].includes(token.type);
+        }
+
+        _parseRepetition() {
+            if (this._peek().type !== 'repeat') {
+                return this._parseElement();
+            }
+
+            const repeatToken = this._next();
+            const { min, max } = this._parseBounds(repeatToken);
+            const element = this._parseElement();
+
+            if (max === 0) {
+                this._fail(`Repetition '${repeatToken.value}' matches nothing`, repeatToken);
+            }
+            if (min === 1 && max === 1) return element;
+            if (min === 0 && max === 1) return Expression.bypass(element);
+            if (min === 0 && max === Infinity) return Expression.zeroOrMore(element);
+            if (min === 1 && max === Infinity) return Expression.oneOrMore(element);
+            if (min === 0) return Expression.bypass(Expression.repeat(element, 1, max));
+            return Expression.repeat(element, min, max);
+        }
+
+        _parseBounds(repeatToken) {
+            const [minText, maxText] = repeatToken.value.split('*');
+            const min = minText === '' ? 0 : parseInt(minText, 10);
+            const max = maxText === undefined ? min : (maxText === '' ? Infinity : parseInt(maxText, 10));
+
+            if (max < min) {
+                this._fail(`Repetition '${repeatToken.value}' has a maximum below its minimum`, repeatToken);
+            }
+            return { min, max };
+        }
+
+        _parseElement() {
+            const token = this._next();
+
+            switch (token.type) {
+                case 'name':
+                    return Expression.textBox(token.value, 'nonterminal');
+                case 'string':
+                case 'value':
+                case 'prose':
+                    return Expression.textBox(token.text, 'terminal', token.match);
+                case '(': {
+                    const expression = this._parseAlternation();
+                    this._expect(')', "')'");
+                    return expression;
+                }
+                case '[': {
+                    const expression = this._parseAlternation();
+                    this._expect(']', "']'");
+                    return Expression.bypass(expression);
+                }
+                default:
+                    this._fail(`Unexpected ${this._describe(token)}`, token);
+            }
+        }
+
+        _tokenize(source) {
+            const tokens = [];
+            const tokenRegex = new RegExp([
+                '(?<whitespace>\\s+)',
+                '(?<comment>;[^\\n]*)',
+                '(?<name>[A-Za-z][A-Za-z0-9-]*)',
+                '(?<repeat>[0-9]*\\*[0-9]*|[0-9]+)',
+                '(?<string>(?:%[sSiI])?"[^"]*")',
+                '(?<value>%[xX][0-9A-Fa-f]+(?:(?:\\.[0-9A-Fa-f]+)+|-[0-9A-Fa-f]+)?' +
+                    '|%[dD][0-9]+(?:(?:\\.[0-9]+)+|-[0-9]+)?' +
+                    '|%[bB][01]+(?:(?:\\.[01]+)+|-[01]+)?)',
+                '(?<prose><[^>]*>)',
+                '(?<operator>=\\/|[=\\/()\\[\\]])'
+            ].join('|'), 'y');
+
+            while (tokenRegex.lastIndex < source.length) {
+                const position = tokenRegex.lastIndex;
+                const match = tokenRegex.exec(source);
+
+                if (!match) {
+                    if (/^(?:%[sSiI])?"/.test(source.slice(position, position + 3))) {
+                        throw createSyntaxError('Unterminated string', source, position);
+                    }
+                    if (source[position] === '%') {
+                        throw createSyntaxError('Invalid numeric value', source, position);
+                    }
+                    throw createSyntaxError(`Unexpected character '${source[position]}'`, source, position);
+                }
+
+                const { groups } = match;
+                if (groups.name) {
+                    tokens.push({ type: 'name', value: groups.name, position });
+                } else if (groups.repeat) {
+                    tokens.push({ type: 'repeat', value: groups.repeat, position });
+                } else if (groups.string) {
+                    // Plain ABNF strings are case-insensitive; only %s strings are not
+                    const text = groups.string.slice(groups.string.indexOf('"') + 1, -1);
+                    const match = /^%[sS]/.test(groups.string) ? 'exact' : 'literal';
+                    tokens.push({ type: 'string', value: groups.string, text, match, position });
+                } else if (groups.value) {
+                    tokens.push({ type: 'value', value: groups.value, text: groups.value, match: 'pattern', position });
+                } else if (groups.prose) {
+                    tokens.push({ type: 'prose', value: groups.prose, text: groups.prose.slice(1, -1), match: 'prose', position });
+                } else if (groups.operator) {
+                    tokens.push({ type: groups.operator, value: groups.operator, position });
+                }
+            }
+
+            tokens.push({ type: 'eof', value: '', position: source.length });
+            return tokens;
+        }
+
+        _peek(offset = 0) {
+            return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+        }
+
+        _next() {
+            const token = this._peek();
+            if (token.type !== 'eof') {
+                this.index++;
+            }
+            return token;
+        }
+
+        _expect(type, description) {
+            const token = this._peek();
+            if (token.type !== type) {
+                this._fail(`Expected ${description} but found ${this._describe(token)}`, token);
+            }
+            return this._next();
+        }
+
+        _describe(token) {
+            return token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+        }
+
+        _fail(message, token) {
+            throw createSyntaxError(message, this.source, token.position);
+        }
+    }
+
+    /**
+     * Parse an ABNF grammar (RFC 5234) into railroad diagram expressions
+     * Mapping: `a / b` → stack, `[a]` and `0*1a` → bypass, `1*a` → oneOrMore, `*a` → zeroOrMore,
+     * bounded repetitions such as `2*4a` or `3a` → repeat with a visible count label,
+     * strings → 'literal' terminals without the quotes ('exact' for %s strings), numeric values → 'pattern'
+     * terminals, prose values → 'prose' terminals without the angle brackets, rule names → nonterminal text boxes
+     * @param {string} source - ABNF grammar text
+     * @returns {Array<{title: string, expression: LayoutBox}>} One rule per name, with `=/` alternatives merged
+     * @throws {Error} On syntax errors; the error has line and column properties
+     * @example
+     * const rules = parseABNF('port = *DIGIT\nIPv4address = dec-octet 3( "." dec-octet )');
+     */
+    function parseABNF(source) {
+        return new ABNFParser(source).parse();
+    }
+
+    /**
+     * Convert a grammar JSON node to an expression-language AST (the inverse of interpretExpression)
+     * @param {Object} node - JSON node as produced by Expression.toJSON
+     * @returns {Object} AST call node
+     */
+    function jsonToExpressionNode(node) {
+        const literal = (type, value) => ({ type, value });
+        const args = node.kind === 'textBox'
+            ? [literal('string', node.text), literal('string', node.className)]
+            : node.children.map(jsonToExpressionNode);
+
+        if (node.kind === 'textBox' && node.match !== undefined) {
+            args.push(literal('string', node.match));
+        }
+        if (node.kind === 'optional' && node.skipOnMain) {
+            args.push(literal('boolean', true));
+        }
+        if (node.kind === 'repeat') {
+            args.push(literal('number', node.min));
+            if (node.max !== node.min) {
+                args.push(literal('number', node.max === null ? Infinity : node.max));
+            }
+        }
+        return { type: 'call', name: node.kind, args };
+    }
+
+    /**
+     * Print an expression-language AST with one argument per line where a call does not fit
+     * Calls with at most one layout argument stay on one line when they fit, and a call whose only
+     * argument is another call hugs it: bypass(sequence(...))
+     * @param {Object} node - AST node
+     * @param {string} indent - Indentation of the line the node starts on
+     * @param {number} column - Column the node starts at
+     * @param {{indent: string, maxLineWidth: number}} options - Formatting options
+     * @returns {string} Script text
+     */
+    function printExpressionNode(node, indent, column, options) {
+        if (node.type === 'string') return JSON.stringify(node.value);
+        if (node.type !== 'call') return String(node.value);
+
+        const args = node.args;
+        const inline = `${node.name}(${args.map(arg => printExpressionNode(arg, indent, 0, { indent: '', maxLineWidth: Infinity })).join(', ')})`;
+        const layoutArgs = args.filter(arg => arg.type === 'call').length;
+        if (layoutArgs === 0 || (layoutArgs === 1 && column + inline.length <= options.maxLineWidth)) {
+            return inline;
+        }
+
+        if (args.length === 1) {
+            return `${node.name}(${printExpressionNode(args[0], indent, column + node.name.length + 1, options)})`;
+        }
+
+        const innerIndent = indent + options.indent;
+        const lines = args.map(arg => innerIndent + printExpressionNode(arg, innerIndent, innerIndent.length, options));
+        return `${node.name}(\n${lines.join(',\n')}\n${indent})`;
+    }
+
+    function resolveFormatOptions(options) {
+        return { indent: options.indent !== undefined ? options.indent : '    ', maxLineWidth: options.maxLineWidth || 80 };
+    }
+
+    /**
+     * Print a layout as normalized, indented expression code for a <script type="text/railroad"> tag
+     * @param {LayoutBox} expression - Layout built by the Expression factories
+     * @param {Object} [options={}] - Formatting options
+     * @param {string} [options.indent='    '] - One level of indentation
+     * @param {number} [options.maxLineWidth=80] - Calls that would run past this column are broken up
+     * @returns {string} Expression code
+     * @example
+     * formatExpression(Expression.bypass(Expression.textBox('DISTINCT', 'terminal')))
+     * // 'bypass(textBox("DISTINCT", "terminal"))'
+     */
+    function formatExpression(expression, options = {}) {
+        return printExpressionNode(jsonToExpressionNode(Expression.toJSON(expression)), '', 0, resolveFormatOptions(options));
+    }
+
+    /**
+     * Re-format expression code: normalized spacing, quoting and indentation
+     * @param {string} code - Expression code
+     * @param {Object} [options={}] - Formatting options, as for formatExpression
+     * @returns {string} Formatted expression code
+     * @throws {Error} On syntax or type errors, with line and column information
+     */
+    function formatExpressionCode(code, options = {}) {
+        return printExpressionNode(parseExpressionCode(code), '', 0, resolveFormatOptions(options));
+    }
+
+    // Operator precedence of the printed grammar notations
+    const ALTERNATION = 0;
+    const CONCATENATION = 1;
+    const ELEMENT = 2;
+
+    /**
+     * Print a grammar JSON node in W3C EBNF
+     * @param {Object} node - JSON node
+     * @returns {{text: string, precedence: number}} Printed expression and its binding strength
+     */
+    function printEBNFNode(node) {
+        const group = (printed, precedence) => printed.precedence < precedence ? `(${printed.text})` : printed.text;
+        const postfix = (child, operator) => ({ text: group(child, ELEMENT) + operator, precedence: ELEMENT });
+        const concatenation = (...parts) => ({
+            text: parts.map(part => group(part, CONCATENATION)).join(' '),
+            precedence: parts.length > 1 ? CONCATENATION : parts[0].precedence
+        });
+        const separated = (item, separator) => concatenation(item, postfix(concatenation(separator, item), '*'));
+
+        const children = (node.children || []).map(printEBNFNode);
+        switch (node.kind) {
+            case 'textBox':
+                return node.className === 'nonterminal'
+                    ? { text: node.text, precedence: ELEMENT }
+                    : printEBNFTerminal(node.text, node.match);
+            case 'sequence':
+                return concatenation(...children);
+            case 'stack':
+                return { text: children.map(child => child.text).join(' | '), precedence: ALTERNATION };
+            case 'bypass':
+            case 'optional':
+                return postfix(children[0], '?');
+            case 'loop':
+            case 'oneOrMore':
+                return children[1] ? separated(children[0], children[1]) : postfix(children[0], '+');
+            case 'zeroOrMore':
+                return children[1] ? postfix(separated(children[0], children[1]), '?') : postfix(children[0], '*');
+            default: {
+                // repeat: EBNF has no counted repetition, so spell it out
+                const parts = new Array(node.min).fill(children[0]);
+                if (node.max === null) {
+                    parts.push(postfix(children[0], '*'));
+                } else {
+                    parts.push(...new Array(node.max - node.min).fill(postfix(children[0], '?')));
+                }
+                return concatenation(...parts);
+            }
+        }
+    }
+
+    function printEBNFTerminal(text, match) {
+        const hex = codePoint => `#x${codePoint.toString(16).toUpperCase()}`;
+        const terminal = parseTerminalText(text, match);
+
+        if (terminal.type === 'prose') {
+            throw new Error(`Terminal cannot be written in EBNF: <${text}>`);
+        }
+        if (terminal.type === 'class') {
+            return { text, precedence: ELEMENT };
+        }
+        if (terminal.type === 'codePoints') {
+            const parts = terminal.ranges.map(([low, high]) => low === high ? hex(low) : `[${hex(low)}-${hex(high)}]`);
+            return { text: parts.join(' '), precedence: parts.length > 1 ? CONCATENATION : ELEMENT };
+        }
+        if (!terminal.value.includes('"')) {
+            return { text: `"${terminal.value}"`, precedence: ELEMENT };
+        }
+        if (!terminal.value.includes("'")) {
+            return { text: `'${terminal.value}'`, precedence: ELEMENT };
+        }
+        throw new Error(`Terminal cannot be written in EBNF: ${text}`);
+    }
+
+    /**
+     * Print a grammar JSON node in RFC 5234 ABNF
+     * @param {Object} node - JSON node
+     * @returns {{text: string, precedence: number}} Printed expression and its binding strength
+     */
+    function printABNFNode(node) {
+        const group = (printed, precedence) => printed.precedence < precedence ? `( ${printed.text} )` : printed.text;
+        const prefix = (operator, child) => ({ text: operator + group(child, ELEMENT), precedence: ELEMENT });
+        const concatenation = (...parts) => ({
+            text: parts.map(part => group(part, CONCATENATION)).join(' '),
+            precedence: parts.length > 1 ? CONCATENATION : parts[0].precedence
+        });
+        const optional = child => ({ text: `[ ${child.text} ]`, precedence: ELEMENT });
+        const separated = (item, separator) => concatenation(item, prefix('*', concatenation(separator, item)));
+
+        const children = (node.children || []).map(printABNFNode);
+        switch (node.kind) {
+            case 'textBox':
+                return node.className === 'nonterminal'
+                    ? { text: node.text, precedence: ELEMENT }
+                    : printABNFTerminal(node.text, node.match);
+            case 'sequence':
+                return concatenation(...children);
+            case 'stack':
+                return { text: children.map(child => child.text).join(' / '), precedence: ALTERNATION };
+            case 'bypass':
+            case 'optional':
+                return optional(children[0]);
+            case 'loop':
+            case 'oneOrMore':
+                return children[1] ? separated(children[0], children[1]) : prefix('1*', children[0]);
+            case 'zeroOrMore':
+                return children[1] ? optional(separated(children[0], children[1])) : prefix('*', children[0]);
+            default: {
+                const repetition = node.max === node.min ? `${node.min}` : `${node.min}*${node.max === null ? '' : node.max}`;
+                return prefix(repetition, children[0]);
+            }
+        }
+    }
+
+    function printABNFTerminal(text, match) {
+        const hex = codePoint => codePoint.toString(16).toUpperCase();
+        const terminal = parseTerminalText(text, match);
+
+        if (terminal.type === 'prose') {
+            return { text: `<${text}>`, precedence: ELEMENT };
+        }
+        // %x values, and quoted strings in terminals read as notation, are already ABNF
+        if (terminal.type === 'codePoints' && text.startsWith('%')) {
+            return { text, precedence: ELEMENT };
+        }
+        if (match === undefined && terminal.type === 'string' && terminal.value !== text) {
+            return { text, precedence: ELEMENT };
+        }
+
+        if (terminal.type === 'string') {
+            // ABNF strings are case-insensitive unless marked %s
+            if (/^[\x20\x21\x23-\x7E]+$/.test(terminal.value)) {
+                const marker = terminal.caseSensitive && /[a-z]/i.test(terminal.value) ? '%s' : '';
+                return { text: `${marker}"${terminal.value}"`, precedence: ELEMENT };
+            }
+            const codePoints = [...terminal.value].map(character => hex(character.codePointAt(0)));
+            return { text: `%x${codePoints.join('.')}`, precedence: ELEMENT };
+        }
+        if (terminal.type === 'class' && terminal.negated) {
+            return { text: `<${text}>`, precedence: ELEMENT }; // no negation in ABNF: prose value
+        }
+
+        const ranges = terminal.ranges.map(([low, high]) => low === high ? `%x${hex(low)}` : `%x${hex(low)}-${hex(high)}`);
+        if (terminal.type === 'codePoints') {
+            return { text: ranges.join(' '), precedence: ranges.length > 1 ? CONCATENATION : ELEMENT };
+        }
+        return { text: ranges.join(' / '), precedence: ranges.length > 1 ? ALTERNATION : ELEMENT };
+    }
+
+    /**
+     * Print rules as grammar text
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to print
+     * @param {string} [syntax='railroad'] - 'railroad' for `name = expression` rules in the script syntax
+     *   (as read by <script type="text/railroad-grammar">), 'ebnf' for W3C EBNF, 'abnf' for RFC 5234 ABNF
+     *   or 'json' for a grammarToJSON document
+     * @param {Object} [options={}] - Formatting options for the script syntax, as for formatExpression
+     * @returns {string} Grammar text that parseGrammar reads back into the same rules
+     * @throws {Error} On an unknown notation, or a terminal the notation cannot express
+     * @example
+     * fs.writeFileSync('appendix.abnf', formatGrammar(diagram.rules, 'abnf'));
+     */
+    function formatGrammar(rules, syntax = 'railroad', options = {}) {
+        const nodes = rules.map(rule => ({ name: rule.title, node: Expression.toJSON(rule.expression) }));
+        const nameWidth = Math.max(0, ...rules.map(rule => rule.title.length));
+
+        switch (syntax) {
+            case 'railroad': {
+                const formatOptions = resolveFormatOptions(options);
+                return nodes.map(({ name, node }) => {
+                    const printedName = /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) ? name : JSON.stringify(name);
+                    const printed = printExpressionNode(jsonToExpressionNode(node), '', printedName.length + 3, formatOptions);
+                    return `${printedName} = ${printed}`;
+                }).join('\n') + '\n';
+            }
+            case 'ebnf':
+                return nodes.map(({ name, node }) => `${name.padEnd(nameWidth)} ::= ${printEBNFNode(node).text}`).join('\n') + '\n';
+            case 'abnf':
+                return nodes.map(({ name, node }) => `${name.padEnd(nameWidth)} = ${printABNFNode(node).text}`).join('\r\n') + '\r\n';
+            case 'json':
+                return JSON.stringify(grammarToJSON(rules), null, 2) + '\n';
+            default:
+                throw new Error(`Unknown grammar syntax: ${syntax} (expected 'railroad', 'ebnf', 'abnf' or 'json')`);
+        }
+    }
+
+    /**
+     * Grammar issue types reported by analyzeGrammar
+     * @readonly
+     * @enum {string}
+     */
+    const GrammarIssueType = {
+        UNDEFINED_REFERENCE: 'undefined-reference',
+        UNUSED_RULE: 'unused-rule',
+        UNREACHABLE_RULE: 'unreachable-rule',
+        LEFT_RECURSION: 'left-recursion',
+        DUPLICATE_RULE: 'duplicate-rule'
+    };
+
+    /**
+     * GrammarAnalyzer class - static checks over a set of named rules
+     * Works on the structure kept on every LayoutBox (kind, children, text, className);
+     * nonterminal text boxes are the references between rules
+     * @class
+     */
+    class GrammarAnalyzer {
+        /**
+         * Create a new GrammarAnalyzer instance
+         * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to analyze, e.g. Diagram.rules
+         * @param {Object} [options={}] - Analysis options
+         * @param {boolean} [options.ignoreCase=false] - Match rule names case-insensitively (as ABNF does)
+         */
+        constructor(rules, options = {}) {
+            this.rules = rules;
+            this.ignoreCase = options.ignoreCase || false;
+            this.definitions = new Map(); // key -> first rule with that name
+
+            rules.forEach(rule => {
+                const key = this._key(rule.title);
+                if (!this.definitions.has(key)) {
+                    this.definitions.set(key, rule);
+                }
+            });
+        }
+
+        /**
+         * Run all checks
+         * @param {string} [startRule] - Rule reachability is computed from (defaults to the first rule)
+         * @returns {GrammarReport} Structured report
+         */
+        analyze(startRule) {
+            const start = startRule !== undefined ? startRule : (this.rules.length > 0 ? this.rules[0].title : undefined);
+            if (start !== undefined && !this.definitions.has(this._key(start))) {
+                throw new Error(`Start rule not found: ${start}`);
+            }
+
+            const references = new Map(); // key -> Set of referenced names
+            this.definitions.forEach((rule, key) => {
+                references.set(key, new Set(this._references(rule.expression)));
+            });
+
+            const report = {
+                startRule: start,
+                undefinedReferences: [],
+                unusedRules: [],
+                unreachableRules: [],
+                leftRecursion: [],
+                duplicateRules: [],
+                issues: []
+            };
+
+            // Duplicate definitions
+            const seen = new Set();
+            this.rules.forEach(rule => {
+                const key = this._key(rule.title);
+                if (seen.has(key) && !report.duplicateRules.includes(rule.title)) {
+                    report.duplicateRules.push(rule.title);
+                    this._addIssue(report, GrammarIssueType.DUPLICATE_RULE, rule.title, `Rule '${rule.title}' is defined more than once`);
+                }
+                seen.add(key);
+            });
+
+            // Undefined references
+            this.definitions.forEach((rule, key) => {
+                references.get(key).forEach(reference => {
+                    if (!this.definitions.has(this._key(reference))) {
+                        report.undefinedReferences.push({ rule: rule.title, reference });
+                        this._addIssue(report, GrammarIssueType.UNDEFINED_REFERENCE, rule.title,
+                            `Rule '${rule.title}' references undefined rule '${reference}'`, { reference });
+                    }
+                });
+            });
+
+            // Rules nobody else references (the start rule is exempt)
+            const referenced = new Set();
+            references.forEach((names, key) => {
+                names.forEach(name => {
+                    const referencedKey = this._key(name);
+                    if (referencedKey !== key) referenced.add(referencedKey);
+                });
+            });
+            this.definitions.forEach((rule, key) => {
+                if (!referenced.has(key) && key !== this._key(start)) {
+                    report.unusedRules.push(rule.title);
+                    this._addIssue(report, GrammarIssueType.UNUSED_RULE, rule.title, `Rule '${rule.title}' is never referenced`);
+                }
+            });
+
+            // Rules unreachable from the start rule
+            if (start !== undefined) {
+                const reachable = this._closure(this._key(start), key => references.get(key));
+                this.definitions.forEach((rule, key) => {
+                    if (!reachable.has(key)) {
+                        report.unreachableRules.push(rule.title);
+                        this._addIssue(report, GrammarIssueType.UNREACHABLE_RULE, rule.title,
+                            `Rule '${rule.title}' is not reachable from '${start}'`);
+                    }
+                });
+            }
+
+            // Direct and indirect left recursion
+            const nullable = this._nullableRules();
+            const leftCorners = new Map();
+            this.definitions.forEach((rule, key) => {
+                leftCorners.set(key, this._leftCorners(rule.expression, nullable));
+            });
+            this.definitions.forEach((rule, key) => {
+                const cycle = this._findCycle(key, leftCorners);
+                if (cycle) {
+                    const direct = cycle.length === 2;
+                    report.leftRecursion.push({ rule: rule.title, direct, cycle });
+                    this._addIssue(report, GrammarIssueType.LEFT_RECURSION, rule.title, direct
+                        ? `Rule '${rule.title}' is directly left-recursive`
+                        : `Rule '${rule.title}' is indirectly left-recursive: ${cycle.join(' → ')}`, { cycle });
+                }
+            });
+
+            return report;
+        }
+
+        _key(name) {
+            return this.ignoreCase ? String(name).toLowerCase() : name;
+        }
+
+        _addIssue(report, type, rule, message, details = {}) {
+            report.issues.push(Object.assign({ type, rule, message }, details));
+        }
+
+        /** All nonterminal names referenced anywhere in an expression */
+        _references(node) {
+            if (node.kind === 'textBox') {
+                return node.className === 'nonterminal' ? [node.text] : [];
+            }
+            return (node.children || []).flatMap(child => this._references(child));
+        }
+
+        /** Whether an expression can match the empty input */
+        _isNullable(node, nullable) {
+            switch (node.kind) {
+                case 'textBox':
+                    return node.className === 'nonterminal' && nullable.has(this._key(node.text));
+                case 'sequence':
+                    return node.children.every(child => this._isNullable(child, nullable));
+                case 'stack':
+                    return node.children.some(child => this._isNullable(child, nullable));
+                case 'bypass':
+                case 'optional':
+                case 'zeroOrMore':
+                    return true;
+                default: // loop, oneOrMore, repeat: the item is passed at least once
+                    return this._isNullable(node.children[0], nullable);
+            }
+        }
+
+        /** Fixed point of the rules that can match the empty input */
+        _nullableRules() {
+            const nullable = new Set();
+            let changed = true;
+            while (changed) {
+                changed = false;
+                this.definitions.forEach((rule, key) => {
+                    if (!nullable.has(key) && this._isNullable(rule.expression, nullable)) {
+                        nullable.add(key);
+                        changed = true;
+                    }
+                });
+            }
+            return nullable;
+        }
+
+        /** Rule keys that can be referenced before any input is consumed */
+        _leftCorners(node, nullable) {
+            switch (node.kind) {
+                case 'textBox':
+                    return node.className === 'nonterminal' ? [this._key(node.text)] : [];
+                case 'sequence': {
+                    const corners = [];
+                    for (const child of node.children) {
+                        corners.push(...this._leftCorners(child, nullable));
+                        if (!this._isNullable(child, nullable)) break;
+                    }
+                    return corners;
+                }
+                case 'stack':
+                    return node.children.flatMap(child => this._leftCorners(child, nullable));
+                default: // the separator of a loop never comes first
+                    return this._leftCorners(node.children[0], nullable);
+            }
+        }
+
+        /** Shortest left-corner path from a rule back to itself, as rule names, or null */
+        _findCycle(startKey, leftCorners) {
+            const previous = new Map();
+            const queue = [startKey];
+            const visited = new Set();
+
+            while (queue.length > 0) {
+                const key = queue.shift();
+                for (const next of leftCorners.get(key) || []) {
+                    if (!this.definitions.has(next)) continue;
+                    if (next === startKey) {
+                        const path = [key];
+                        while (path[0] !== startKey) path.unshift(previous.get(path[0]));
+                        return path.concat(startKey).map(pathKey => this.definitions.get(pathKey).title);
+                    }
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        previous.set(next, key);
+                        queue.push(next);
+                    }
+                }
+            }
+            return null;
+        }
+
+        _closure(startKey, successors) {
+            const reachable = new Set([startKey]);
+            const stack = [startKey];
+            while (stack.length > 0) {
+                const key = stack.pop();
+                (successors(key) || []).forEach(name => {
+                    const next = this._key(name);
+                    if (this.definitions.has(next) && !reachable.has(next)) {
+                        reachable.add(next);
+                        stack.push(next);
+                    }
+                });
+            }
+            return reachable;
+        }
+    }
+
+    /**
+     * @typedef {Object} GrammarReport
+     * @property {string|undefined} startRule - Rule used for the reachability check
+     * @property {Array<{rule: string, reference: string}>} undefinedReferences - Nonterminals without a rule
+     * @property {string[]} unusedRules - Rules no other rule references (the start rule excepted)
+     * @property {string[]} unreachableRules - Rules that cannot be reached from the start rule
+     * @property {Array<{rule: string, direct: boolean, cycle: string[]}>} leftRecursion - Left-recursive rules
+     *   with the shortest cycle of rule names, e.g. ['expr', 'term', 'expr']
+     * @property {string[]} duplicateRules - Rules defined more than once
+     * @property {Array<{type: string, rule: string, message: string}>} issues - All findings as a flat list
+     */
+
+    /**
+     * Analyze a set of named rules for undefined, unused, unreachable, left-recursive and duplicate rules
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to analyze, e.g. from parseGrammar
+     * @param {Object} [options={}] - Analysis options
+     * @param {string} [options.startRule] - Start rule for reachability (defaults to the first rule)
+     * @param {boolean} [options.ignoreCase=false] - Match rule names case-insensitively
+     * @returns {GrammarReport} Structured report; report.issues is empty for a clean grammar
+     * @throws {Error} When the start rule is not defined
+     * @example
+     * const report = analyzeGrammar(parseGrammar(source, 'ebnf'), { startRule: 'document' });
+     * report.issues.forEach(issue => console.warn(issue.message));
+     */
+    function analyzeGrammar(rules, options = {}) {
+        return new GrammarAnalyzer(rules, options).analyze(options.startRule);
+    }
+
+    /**
+     * Interpret a terminal box as the input it stands for
+     * Terminals with a match kind are read by it. The text of other terminals is read as notation:
+     * "..." and '...' strings (with ABNF %s and %i prefixes), patterns as for parseTerminalPattern,
+     * and any other text stands for itself
+     * @param {string} text - Terminal text as shown in the box
+     * @param {string} [match] - The terminal's match kind (see TERMINAL_MATCHES)
+     * @returns {{type: 'string', value: string, caseSensitive: boolean}
+     *   | {type: 'codePoints', ranges: Array<number[]>}
+     *   | {type: 'class', negated: boolean, ranges: Array<number[]>}
+     *   | {type: 'prose', value: string}} Terminal description:
+     *   a string (caseSensitive when it must match exactly even under ignoreCase), a sequence of code points
+     *   each within its [low, high] range, a single code point in (or, negated, outside) the ranges,
+     *   or prose that no input matches
+     */
+    function parseTerminalText(text, match) {
+        switch (match) {
+            case 'literal':
+            case 'exact':
+                return { type: 'string', value: text, caseSensitive: match === 'exact' };
+            case 'pattern':
+                return parseTerminalPattern(text);
+            case 'prose':
+                return { type: 'prose', value: text };
+        }
+
+        const quoted = /^(%[si])?(?:"([^]*)"|'([^]*)')$/i.exec(text);
+        if (quoted) {
+            return {
+                type: 'string',
+                value: quoted[2] !== undefined ? quoted[2] : quoted[3],
+                caseSensitive: quoted[1] !== undefined && quoted[1].toLowerCase() === '%s'
+            };
+        }
+
+        return parseTerminalPattern(text) || { type: 'string', value: text, caseSensitive: true };
+    }
+
+    /**
+     * Read an EBNF character class or #xN, or an ABNF %x/%d/%b value
+     * @param {string} text - Pattern text, e.g. '[a-zA-Z_]', '[^#x0A"]', '#x20', '%x30-39' or '%d13.10'
+     * @returns {{type: 'codePoints', ranges: Array<number[]>}
+     *   | {type: 'class', negated: boolean, ranges: Array<number[]>}|null} Description as for parseTerminalText,
+     *   or null when the text is no pattern
+     */
+    function parseTerminalPattern(text) {
+        const hexChar = /^#x([0-9a-f]+)$/i.exec(text);
+        if (hexChar) {
+            const codePoint = parseInt(hexChar[1], 16);
+            return { type: 'codePoints', ranges: [[codePoint, codePoint]] };
+        }
+
+        // %x41, %x30-39, %d13.10
+        const numeric = /^%([xdb])([0-9a-f]+)(?:-([0-9a-f]+)|((?:\.[0-9a-f]+)+))?$/i.exec(text);
+        if (numeric) {
+            const radix = { x: 16, d: 10, b: 2 }[numeric[1].toLowerCase()];
+            const first = parseInt(numeric[2], radix);
+            if (numeric[3]) {
+                return { type: 'codePoints', ranges: [[first, parseInt(numeric[3], radix)]] };
+            }
+            const rest = numeric[4] ? numeric[4].slice(1).split('.').map(value => parseInt(value, radix)) : [];
+            return { type: 'codePoints', ranges: [first, ...rest].map(codePoint => [codePoint, codePoint]) };
+        }
+
+        // [a-zA-Z_], [^#x0A"], [#x20-#x7E]
+        const characterClass = /^\[(\^?)([^]+)\]$/.exec(text);
+        if (characterClass) {
+            const body = characterClass[2];
+            const ranges = [];
+            let index = 0;
+            const readCodePoint = () => {
+                const hex = /^#x([0-9a-f]+)/i.exec(body.slice(index));
+                if (hex) {
+                    index += hex[0].length;
+                    return parseInt(hex[1], 16);
+                }
+                const codePoint = body.codePointAt(index);
+                index += String.fromCodePoint(codePoint).length;
+                return codePoint;
+            };
+            while (index < body.length) {
+                const low = readCodePoint();
+                if (body[index] === '-' && index + 1 < body.length) {
+                    index++;
+                    ranges.push([low, readCodePoint()]);
+                } else {
+                    ranges.push([low, low]);
+                }
+            }
+            return { type: 'class', negated: characterClass[1] === '^', ranges };
+        }
+
+        return null;
+    }
+
+    /**
+     * GrammarRecognizer class - matches input text against rules by interpreting their layouts
+     * Terminals match as their match kind says, or else as their text reads (quoted strings, EBNF character
+     * classes and #xN, ABNF %x/%d/%b values); prose matches nothing. Nonterminals resolve through the rule set. Alternatives are tried in order with full backtracking,
+     * optional parts are taken before being skipped and repetitions are greedy
+     * @class
+     */
+    class GrammarRecognizer {
+        /**
+         * Create a new GrammarRecognizer instance
+         * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to match against
+         * @param {Object} [options={}] - Matching options
+         * @param {boolean} [options.ignoreCase=false] - Match rule names and quoted terminals case-insensitively
+         *   (ABNF semantics; %s"..." strings stay case-sensitive)
+         * @param {number} [options.maxSteps=100000] - Give up on inputs that need more matching steps than this
+         */
+        constructor(rules, options = {}) {
+            this.ignoreCase = options.ignoreCase || false;
+            this.maxSteps = options.maxSteps || 100000;
+            this.definitions = new Map();
+            this.terminalMatchers = new Map();
+
+            rules.forEach(rule => {
+                const key = this._key(rule.title);
+                if (!this.definitions.has(key)) {
+                    this.definitions.set(key, rule);
+                }
+            });
+        }
+
+        /**
+         * Match the whole input against a rule
+         * @param {string} ruleName - Rule to match
+         * @param {string} input - Input text
+         * @returns {RecognizeResult} Match result with trace, or the furthest failure
+         * @throws {Error} When the rule is not defined or the input needs more than maxSteps steps
+         */
+        recognize(ruleName, input) {
+            const rule = this.definitions.get(this._key(ruleName));
+            if (!rule) {
+                throw new Error(`Rule not found: ${ruleName}`);
+            }
+
+            this.input = input;
+            this.steps = 0;
+            this.active = new Set();
+            this.furthest = -1;
+            this.expected = [];
+
+            let trace = null;
+            for (const result of this._match(rule.expression, 0)) {
+                if (result.end === input.length) {
+                    trace = result.trace;
+                    break;
+                }
+                this._expect(result.end, 'end of input', null);
+            }
+
+            if (trace) {
+                return {
+                    matched: true,
+                    rule: rule.title,
+                    input,
+                    trace,
+                    position: input.length,
+                    expected: [],
+                    expectedBoxes: [],
+                    message: `Input matches '${rule.title}'`
+                };
+            }
+
+            const expected = [...new Set(this.expected.map(expectation => expectation.text))];
+            const described = [...new Set(this.expected.map(expectation => this._describe(expectation)))];
+            return {
+                matched: false,
+                rule: rule.title,
+                input,
+                trace: null,
+                position: this.furthest,
+                expected,
+                expectedBoxes: this.expected.map(expectation => expectation.box).filter(Boolean),
+                message: `Syntax error at position ${this.furthest}: expected ${described.join(', ')}`
+            };
+        }
+
+        _key(name) {
+            return this.ignoreCase ? String(name).toLowerCase() : name;
+        }
+
+        /** Quote bare terminal texts so punctuation stays readable in messages */
+        _describe({ text, box }) {
+            if (!box || box.className === 'nonterminal') return text;
+            const terminal = parseTerminalText(text, box.match);
+            if (terminal.type === 'prose') return `<${text}>`;
+            return terminal.type === 'string' && terminal.value === text ? JSON.stringify(text) : text;
+        }
+
+        /** Remember what was expected at the furthest failing position */
+        _expect(position, text, box) {
+            if (position > this.furthest) {
+                this.furthest = position;
+                this.expected = [];
+            }
+            if (position === this.furthest && !this.expected.some(expectation => expectation.box === box && expectation.text === text)) {
+                this.expected.push({ text, box });
+            }
+        }
+
+        /**
+         * Yield every way a layout can match at a position, as {end, trace}
+         * @private
+         */
+        *_match(node, position) {
+            if (++this.steps > this.maxSteps) {
+                throw new Error(`Input too complex to trace (more than ${this.maxSteps} steps)`);
+            }
+
+            switch (node.kind) {
+                case 'textBox':
+                    yield* node.className === 'nonterminal'
+                        ? this._matchRule(node, position)
+                        : this._matchTerminal(node, position);
+                    return;
+                case 'sequence':
+                    for (const result of this._matchSequence(node.children, 0, position)) {
+                        yield { end: result.end, trace: { node, children: result.traces } };
+                    }
+                    return;
+                case 'stack':
+                    for (let choice = 0; choice < node.children.length; choice++) {
+                        for (const result of this._match(node.children[choice], position)) {
+                            yield { end: result.end, trace: { node, choice, child: result.trace } };
+                        }
+                    }
+                    return;
+                case 'bypass':
+                case 'optional':
+                    for (const result of this._match(node.children[0], position)) {
+                        yield { end: result.end, trace: { node, taken: true, child: result.trace } };
+                    }
+                    yield { end: position, trace: { node, taken: false } };
+                    return;
+                case 'zeroOrMore':
+                    for (const result of this._repetitions(node.children[0], node.children[1], position, 1, Infinity)) {
+                        yield { end: result.end, trace: { node, taken: true, items: result.items, separators: result.separators } };
+                    }
+                    yield { end: position, trace: { node, taken: false } };
+                    return;
+                default: {
+                    // loop, oneOrMore and repeat: at least one pass
+                    const min = node.kind === 'repeat' ? node.min : 1;
+                    const max = node.kind === 'repeat' ? node.max : Infinity;
+                    for (const result of this._repetitions(node.children[0], node.children[1], position, min, max)) {
+                        yield { end: result.end, trace: { node, items: result.items, separators: result.separators } };
+                    }
+                }
+            }
+        }
+
+        *_matchSequence(children, index, position) {
+            if (index === children.length) {
+                yield { end: position, traces: [] };
+                return;
+            }
+            for (const first of this._match(children[index], position)) {
+                for (const rest of this._matchSequence(children, index + 1, first.end)) {
+                    yield { end: rest.end, traces: [first.trace, ...rest.traces] };
+                }
+            }
+        }
+
+        *_repetitions(item, separator, position, min, max) {
+            for (const first of this._match(item, position)) {
+                yield* this._morePasses(item, separator, first.end, min, max, [first.trace], []);
+            }
+        }
+
+        *_morePasses(item, separator, position, min, max, items, separators) {
+            // Greedy: try another pass before stopping here
+            if (items.length < max) {
+                const separatorResults = separator ? this._match(separator, position) : [{ end: position, trace: null }];
+                for (const separatorResult of separatorResults) {
+                    for (const next of this._match(item, separatorResult.end)) {
+                        // A pass that consumes nothing could repeat forever
+                        if (next.end === position) continue;
+                        yield* this._morePasses(item, separator, next.end, min, max,
+                            items.concat([next.trace]),
+                            separator ? separators.concat([separatorResult.trace]) : separators);
+                    }
+                }
+            }
+            if (items.length >= min) {
+                yield { end: position, items, separators };
+            }
+        }
+
+        *_matchRule(node, position) {
+            const key = this._key(node.text);
+            const rule = this.definitions.get(key);
+            if (!rule) {
+                this._expect(position, node.text, node);
+                return;
+            }
+
+            // Re-entering a rule at the same position is left recursion; that path cannot make progress
+            const activeKey = `${key}@${position}`;
+            if (this.active.has(activeKey)) return;
+
+            this.active.add(activeKey);
+            try {
+                for (const result of this._match(rule.expression, position)) {
+                    this.active.delete(activeKey);
+                    yield { end: result.end, trace: { node, rule: rule.title, start: position, end: result.end, child: result.trace } };
+                    this.active.add(activeKey);
+                }
+            } finally {
+                this.active.delete(activeKey);
+            }
+        }
+
+        *_matchTerminal(node, position) {
+            const end = this._terminalMatcher(node)(this.input, position);
+            if (end < 0) {
+                this._expect(position, node.text, node);
+                return;
+            }
+            yield { end, trace: { node, start: position, end } };
+        }
+
+        /**
+         * Compile a terminal box to a function (input, position) => end position, or -1
+         * @private
+         */
+        _terminalMatcher(node) {
+            if (!this.terminalMatchers.has(node)) {
+                this.terminalMatchers.set(node, this._compileTerminal(node.text, node.match));
+            }
+            return this.terminalMatchers.get(node);
+        }
+
+        _compileTerminal(text, match) {
+            const terminal = parseTerminalText(text, match);
+
+            if (terminal.type === 'prose') {
+                return () => -1;
+            }
+
+            if (terminal.type === 'string') {
+                const value = terminal.value;
+                const ignoreCase = this.ignoreCase && !terminal.caseSensitive;
+                return (input, position) => {
+                    const candidate = input.substr(position, value.length);
+                    const matches = ignoreCase ? candidate.toLowerCase() === value.toLowerCase() : candidate === value;
+                    return matches ? position + value.length : -1;
+                };
+            }
+
+            if (terminal.type === 'class') {
+                return (input, position) => {
+                    const codePoint = input.codePointAt(position);
+                    if (codePoint === undefined) return -1;
+                    const inClass = terminal.ranges.some(([low, high]) => codePoint >= low && codePoint <= high);
+                    return inClass !== terminal.negated ? position + String.fromCodePoint(codePoint).length : -1;
+                };
+            }
+
+            return (input, position) => {
+                let current = position;
+                for (const [low, high] of terminal.ranges) {
+                    const codePoint = input.codePointAt(current);
+                    if (codePoint === undefined || codePoint < low || codePoint > high) return -1;
+                    current += String.fromCodePoint(codePoint).length;
+                }
+                return current;
+            };
+        }
+    }
+
+    /**
+     * @typedef {Object} RecognizeResult
+     * @property {boolean} matched - Whether the whole input matches the rule
+     * @property {string} rule - Name of the rule that was matched against
+     * @property {string} input - The input text
+     * @property {Object|null} trace - Match tree when matched: one node per layout passed, with
+     *   {node, children} for sequences, {node, choice, child} for stacks, {node, taken, child} for optional parts,
+     *   {node, items, separators} for repetitions and {node, rule, start, end, child} for nonterminals
+     * @property {number} position - Input length when matched, otherwise the furthest position reached
+     * @property {string[]} expected - Terminal texts (or undefined rule names, or 'end of input') expected at position
+     * @property {LayoutBox[]} expectedBoxes - Text boxes behind the expected entries
+     * @property {string} message - Human-readable summary
+     */
+
+    /**
+     * Child traces of a trace node, within the same rule
+     * @param {Object} trace - Trace node
+     * @returns {Object[]} Child trace nodes
+     */
+    function traceChildren(trace) {
+        if (trace.children) return trace.children;
+        if (trace.items) return trace.items.concat(trace.separators.filter(Boolean));
+        if (trace.child && trace.rule === undefined) return [trace.child];
+        return [];
+    }
+
+    /**
+     * Split a trace into one trace per rule invocation
+     * @param {string} rule - Rule the trace belongs to
+     * @param {Object} trace - Trace of that rule's expression
+     * @returns {Array<{rule: string, trace: Object}>} Invocations, outermost first
+     */
+    function collectRuleTraces(rule, trace) {
+        const invocations = [{ rule, trace }];
+        const visit = node => {
+            if (node.rule !== undefined) {
+                invocations.push(...collectRuleTraces(node.rule, node.child));
+                return;
+            }
+            traceChildren(node).forEach(visit);
+        };
+        visit(trace);
+        return invocations;
+    }
+
+    /**
+     * Match input text against a rule, interpreting the rules' layouts as a grammar
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to match against
+     * @param {string} ruleName - Rule the whole input has to match
+     * @param {string} input - Input text
+     * @param {Object} [options={}] - Matching options
+     * @param {boolean} [options.ignoreCase=false] - Match rule names and quoted terminals case-insensitively
+     * @param {number} [options.maxSteps=100000] - Upper bound on matching steps
+     * @returns {RecognizeResult} Match result
+     * @throws {Error} When the rule is not defined or the input is too complex
+     * @example
+     * const result = recognize(parseGrammar(source, 'ebnf'), 'number', '42');
+     * if (!result.matched) console.log(result.message); // "Syntax error at position 1: expected [0-9]"
+     */
+    function recognize(rules, ruleName, input, options = {}) {
+        return new GrammarRecognizer(rules, options).recognize(ruleName, input);
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {function(): number} Function returning numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        // Scramble the seed so that neighbouring seeds do not start out alike
+        let state = Math.imul((seed >>> 0) ^ 0x9E3779B9, 0x85EBCA6B) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * SentenceGenerator class - produces example inputs by walking the rules' layouts
+     * Sentences come with a trace in the same shape as recognize() results, so Diagram.highlightTrace
+     * can draw the path taken. Nonterminals without a rule are emitted as <name>
+     * @class
+     */
+    class SentenceGenerator {
+        /**
+         * Create a new SentenceGenerator instance
+         * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to expand nonterminals with
+         * @param {Object} [options={}] - Generation options
+         * @param {number} [options.seed=1] - Seed for reproducible random sentences
+         * @param {number} [options.maxDepth=8] - Nesting depth of rule expansions; beyond it the generator
+         *   takes the shortest way out (skips optional parts, picks the least recursive alternative)
+         * @param {number} [options.maxRepeat=3] - Most passes through a loop (bounded repeats may need more)
+         * @param {boolean} [options.ignoreCase=false] - Match rule names case-insensitively
+         */
+        constructor(rules, options = {}) {
+            this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+            this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 8;
+            this.maxRepeat = options.maxRepeat || 3;
+            this.ignoreCase = options.ignoreCase || false;
+            this.definitions = new Map();
+
+            rules.forEach(rule => {
+                const key = this._key(rule.title);
+                if (!this.definitions.has(key)) {
+                    this.definitions.set(key, rule);
+                }
+            });
+            this.ruleHeights = this._ruleHeights();
+        }
+
+        /**
+         * Generate one random sentence
+         * @param {string} ruleName - Rule to start from
+         * @returns {{rule: string, text: string, trace: Object}} The sentence and the path taken
+         * @throws {Error} When the rule is not defined, or every expansion of it recurses without end or needs a character no terminal allows
+         */
+        generate(ruleName) {
+            const rule = this._rule(ruleName);
+            // From a rule that can finish, shortest ways out only lead through rules that can finish too
+            if (this._height(rule.expression) === Infinity) {
+                throw new Error(`Rule ${rule.title} never produces a finite sentence: every expansion recurses or needs a character no terminal allows`);
+            }
+            this.output = '';
+            const trace = this._generate(rule.expression, 0);
+            return { rule: rule.title, text: this.output, trace };
+        }
+
+        /**
+         * Enumerate distinct sentences, simplest (fewest nested expansions) first
+         * Terminals that stand for a range of characters contribute their first character
+         * @param {string} ruleName - Rule to start from
+         * @param {Object} [options={}] - Enumeration options
+         * @param {number} [options.limit=20] - Most sentences to return
+         * @param {number} [options.maxSteps=100000] - Stop early after this many expansion steps
+         * @returns {Array<{rule: string, text: string, trace: Object}>} Sentences with their paths
+         * @throws {Error} When the rule is not defined
+         */
+        enumerate(ruleName, options = {}) {
+            const { limit = 20, maxSteps = 100000 } = options;
+            const rule = this._rule(ruleName);
+            const sentences = new Map();
+            this.steps = 0;
+            this.maxSteps = maxSteps;
+
+            for (let depth = 0; depth <= this.maxDepth && sentences.size < limit && this.steps <= maxSteps; depth++) {
+                this.depthBudget = depth;
+                for (const result of this._enumerate(rule.expression, 0, 0)) {
+                    if (!sentences.has(result.text)) {
+                        sentences.set(result.text, { rule: rule.title, text: result.text, trace: result.trace });
+                        if (sentences.size >= limit) break;
+                    }
+                }
+            }
+            return [...sentences.values()];
+        }
+
+        _key(name) {
+            return this.ignoreCase ? String(name).toLowerCase() : name;
+        }
+
+        _rule(ruleName) {
+            const rule = this.definitions.get(this._key(ruleName));
+            if (!rule) {
+                throw new Error(`Rule not found: ${ruleName}`);
+            }
+            return rule;
+        }
+
+        /** Fewest nested rule expansions each rule needs to produce a sentence (fixed point) */
+        _ruleHeights() {
+            const heights = new Map();
+            let changed = true;
+            while (changed) {
+                changed = false;
+                this.definitions.forEach((rule, key) => {
+                    const height = this._height(rule.expression, heights);
+                    if (height < (heights.has(key) ? heights.get(key) : Infinity)) {
+                        heights.set(key, height);
+                        changed = true;
+                    }
+                });
+            }
+            return heights;
+        }
+
+        _height(node, heights = this.ruleHeights) {
+            switch (node.kind) {
+                case 'textBox': {
+                    if (node.className !== 'nonterminal') return this._terminalSample(node, false) === null ? Infinity : 0;
+                    const key = this._key(node.text);
+                    if (!this.definitions.has(key)) return 0; // emitted as a placeholder
+                    return heights.has(key) ? heights.get(key) + 1 : Infinity;
+                }
+                case 'sequence':
+                    return Math.max(...node.children.map(child => this._height(child, heights)));
+                case 'stack':
+                    return Math.min(...node.children.map(child => this._height(child, heights)));
+                case 'bypass':
+                case 'optional':
+                case 'zeroOrMore':
+                    return 0;
+                default:
+                    return this._height(node.children[0], heights);
+            }
+        }
+
+        _chance() {
+            return this.random() < 0.5;
+        }
+
+        _between(low, high) {
+            return low + Math.floor(this.random() * (high - low + 1));
+        }
+
+        _passBounds(node) {
+            const min = node.kind === 'repeat' ? node.min : 1;
+            const max = node.kind === 'repeat' ? node.max : Infinity;
+            return [min, Math.min(max, Math.max(min, this.maxRepeat))];
+        }
+
+        /** Append a random expansion of a layout to the output and return its trace */
+        _generate(node, depth) {
+            // Past the depth budget, only paths that can still finish within it are taken
+            const fits = child => depth + this._height(child) <= this.maxDepth;
+
+            switch (node.kind) {
+                case 'textBox':
+                    return node.className === 'nonterminal'
+                        ? this._generateRule(node, depth)
+                        : this._emit(node, this._terminalSample(node, true));
+                case 'sequence':
+                    return { node, children: node.children.map(child => this._generate(child, depth)) };
+                case 'stack': {
+                    const candidates = node.children.map((child, index) => index).filter(index => fits(node.children[index]));
+                    const choice = candidates.length > 0
+                        ? candidates[Math.floor(this.random() * candidates.length)]
+                        : node.children.reduce((best, child, index) =>
+                            this._height(child) < this._height(node.children[best]) ? index : best, 0);
+                    return { node, choice, child: this._generate(node.children[choice], depth) };
+                }
+                case 'bypass':
+                case 'optional':
+                    if (fits(node.children[0]) && this._chance()) {
+                        return { node, taken: true, child: this._generate(node.children[0], depth) };
+                    }
+                    return { node, taken: false };
+                case 'zeroOrMore':
+                    if (fits(node.children[0]) && this._chance()) {
+                        const passes = this._between(1, this.maxRepeat);
+                        return Object.assign({ node, taken: true }, this._generatePasses(node, passes, depth));
+                    }
+                    return { node, taken: false };
+                default: {
+                    const [min, max] = this._passBounds(node);
+                    const passes = fits(node.children[0]) ? this._between(min, max) : min;
+                    return Object.assign({ node }, this._generatePasses(node, passes, depth));
+                }
+            }
+        }
+
+        _generatePasses(node, passes, depth) {
+            const [item, separator] = node.children;
+            const items = [];
+            const separators = [];
+            for (let pass = 0; pass < passes; pass++) {
+                if (pass > 0) {
+                    separators.push(separator ? this._generate(separator, depth) : null);
+                }
+                items.push(this._generate(item, depth));
+            }
+            return { items, separators };
+        }
+
+        _generateRule(node, depth) {
+            const rule = this.definitions.get(this._key(node.text));
+            if (!rule) {
+                return this._emit(node, `<${node.text}>`);
+            }
+            const start = this.output.length;
+            const child = this._generate(rule.expression, depth + 1);
+            return { node, rule: rule.title, start, end: this.output.length, child };
+        }
+
+        _emit(node, text) {
+            const start = this.output.length;
+            this.output += text;
+            return { node, start, end: this.output.length };
+        }
+
+        /**
+         * Text a terminal stands for: random within character ranges, or their first character; <prose> for prose
+         * @returns {string|null} The text, or null for a negated class that excludes every character
+         */
+        _terminalSample(node, random) {
+            const terminal = parseTerminalText(node.text, node.match);
+            const pick = ([low, high]) => String.fromCodePoint(random ? this._between(low, high) : low);
+
+            if (terminal.type === 'string') return terminal.value;
+            if (terminal.type === 'prose') return `<${terminal.value}>`;
+            if (terminal.type === 'codePoints') return terminal.ranges.map(pick).join('');
+            if (!terminal.negated) {
+                return pick(terminal.ranges[random ? Math.floor(this.random() * terminal.ranges.length) : 0]);
+            }
+            // Negated class: a printable ASCII character outside the ranges
+            const excluded = codePoint => terminal.ranges.some(([low, high]) => codePoint >= low && codePoint <= high);
+            const allowed = [];
+            for (let codePoint = 0x21; codePoint < 0x7F; codePoint++) {
+                if (!excluded(codePoint)) {
+                    allowed.push(codePoint);
+                }
+            }
+            if (allowed.length > 0) {
+                return String.fromCodePoint(allowed[random ? Math.floor(this.random() * allowed.length) : 0]);
+            }
+            // None left: the first character past ASCII and its controls outside the ranges, skipping surrogates
+            let codePoint = 0xA1;
+            while (codePoint <= 0x10FFFF && (excluded(codePoint) || (codePoint >= 0xD800 && codePoint <= 0xDFFF))) {
+                const range = terminal.ranges.find(([low, high]) => codePoint >= low && codePoint <= high);
+                codePoint = range ? range[1] + 1 : 0xE000;
+            }
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : null;
+        }
+
+        /**
+         * Yield every expansion of a layout within the depth budget, as {text, trace}
+         * Positions in the trace are relative to offset
+         * @private
+         */
+        *_enumerate(node, depth, offset) {
+            if (++this.steps > this.maxSteps) return;
+
+            switch (node.kind) {
+                case 'textBox': {
+                    if (node.className !== 'nonterminal' || !this.definitions.has(this._key(node.text))) {
+                        const text = node.className === 'nonterminal' ? `<${node.text}>` : this._terminalSample(node, false);
+                        if (text === null) return;
+                        yield { text, trace: { node, start: offset, end: offset + text.length } };
+                        return;
+                    }
+                    if (depth >= this.depthBudget) return;
+                    const rule = this.definitions.get(this._key(node.text));
+                    for (const result of this._enumerate(rule.expression, depth + 1, offset)) {
+                        yield {
+                            text: result.text,
+                            trace: { node, rule: rule.title, start: offset, end: offset + result.text.length, child: result.trace }
+                        };
+                    }
+                    return;
+                }
+                case 'sequence':
+                    for (const result of this._enumerateAll(node.children, depth, offset)) {
+                        yield { text: result.text, trace: { node, children: result.traces } };
+                    }
+                    return;
+                case 'stack':
+                    for (let choice = 0; choice < node.children.length; choice++) {
+                        for (const result of this._enumerate(node.children[choice], depth, offset)) {
+                            yield { text: result.text, trace: { node, choice, child: result.trace } };
+                        }
+                    }
+                    return;
+                case 'bypass':
+                case 'optional':
+                    yield { text: '', trace: { node, taken: false } };
+                    for (const result of this._enumerate(node.children[0], depth, offset)) {
+                        yield { text: result.text, trace: { node, taken: true, child: result.trace } };
+                    }
+                    return;
+                case 'zeroOrMore':
+                    yield { text: '', trace: { node, taken: false } };
+                    for (let passes = 1; passes <= this.maxRepeat; passes++) {
+                        for (const result of this._enumeratePasses(node, passes, depth, offset)) {
+                            yield { text: result.text, trace: { node, taken: true, items: result.items, separators: result.separators } };
+                        }
+                    }
+                    return;
+                default: {
+                    const [min, max] = this._passBounds(node);
+                    for (let passes = min; passes <= max; passes++) {
+                        for (const result of this._enumeratePasses(node, passes, depth, offset)) {
+                            yield { text: result.text, trace: { node, items: result.items, separators: result.separators } };
+                        }
+                    }
+                }
+            }
+        }
+
+        *_enumerateAll(children, depth, offset) {
+            if (children.length === 0) {
+                yield { text: '', traces: [] };
+                return;
+            }
+            for (const first of this._enumerate(children[0], depth, offset)) {
+                for (const rest of this._enumerateAll(children.slice(1), depth, offset + first.text.length)) {
+                    yield { text: first.text + rest.text, traces: [first.trace, ...rest.traces] };
+                }
+            }
+        }
+
+        *_enumeratePasses(node, passes, depth, offset) {
+            const [item, separator] = node.children;
+            // Interleave separators between the passes and split the traces again afterwards
+            const parts = [];
+            for (let pass = 0; pass < passes; pass++) {
+                if (pass > 0 && separator) parts.push(separator);
+                parts.push(item);
+            }
+            for (const result of this._enumerateAll(parts, depth, offset)) {
+                const stride = separator ? 2 : 1;
+                yield {
+                    text: result.text,
+                    items: result.traces.filter((trace, index) => index % stride === 0),
+                    separators: separator
+                        ? result.traces.filter((trace, index) => index % 2 === 1)
+                        : new Array(passes - 1).fill(null)
+                };
+            }
+        }
+    }
+
+    /**
+     * Generate a random example sentence for a rule
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to expand nonterminals with
+     * @param {string} ruleName - Rule to start from
+     * @param {Object} [options={}] - Options for SentenceGenerator (seed, maxDepth, maxRepeat, ignoreCase)
+     * @returns {{rule: string, text: string, trace: Object}} The sentence and the path taken; pass it to
+     *   Diagram.highlightTrace to draw the path
+     * @throws {Error} When the rule is not defined, or every expansion of it recurses without end or needs a character no terminal allows
+     * @example
+     * const { text } = generateSentence(parseGrammar(source, 'ebnf'), 'list', { seed: 42 });
+     */
+    function generateSentence(rules, ruleName, options = {}) {
+        return new SentenceGenerator(rules, options).generate(ruleName);
+    }
+
+    /**
+     * Enumerate distinct example sentences for a rule, simplest first
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to expand nonterminals with
+     * @param {string} ruleName - Rule to start from
+     * @param {Object} [options={}] - SentenceGenerator options plus limit (default 20) and maxSteps
+     * @returns {Array<{rule: string, text: string, trace: Object}>} Sentences with their paths
+     * @throws {Error} When the rule is not defined
+     */
+    function enumerateSentences(rules, ruleName, options = {}) {
+        return new SentenceGenerator(rules, options).enumerate(ruleName, options);
+    }
+
+    /**
+     * Defaults matching the Medium preset in diagram.css, used when no DOM is available
+     */
+    const DEFAULT_GRID_SIZE = 16;
+    const DEFAULT_FONT_SIZE = 14;
+    const DEFAULT_TRACK_WIDTH = 6;
+    const DEFAULT_TEXT_BORDER = 3;
+
+    /**
+     * Read grid size from CSS custom properties, cached by the text measurer
+     * @returns {number} Grid size in pixels, defaults to 16 if not found
+     */
+    function getGridSizeFromCSS() {
+        return textMeasurer.gridSize;
+    }
+
+    /**
+     * Advance widths of Arial/Helvetica for printable ASCII (U+0020 to U+007E) in 1/1000 em
+     * Index 0 is the space character
+     * @type {number[]}
+     */
+    const ARIAL_CHAR_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space to /
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, // 0 to ?
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, // @ to O
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, // P to _
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, // ` to o
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584        // p to ~
+    ];
+
+    /** Width used for characters outside the metrics table, in 1/1000 em */
+    const ARIAL_DEFAULT_CHAR_WIDTH = 556;
+
+    /**
+     * Measure text width from the bundled Arial metrics instead of the DOM
+     * @param {string} textContent - Text to measure
+     * @param {number} fontSize - Font size in pixels
+     * @returns {number} Text width in pixels
+     */
+    function measureTextWidth(textContent, fontSize) {
+        let units = 0;
+        for (const char of String(textContent)) {
+            const code = char.codePointAt(0);
+            const width = ARIAL_CHAR_WIDTHS[code - 32];
+            units += width !== undefined ? width : ARIAL_DEFAULT_CHAR_WIDTH;
+        }
+        return units * fontSize / 1000;
+    }
+
+    /**
+     * TextMeasurer class - cached text widths and CSS sizes for layout
+     * Widths are cached per (class, font, text). In the browser they come from canvas measureText
+     * (OffscreenCanvas where available), so measuring does not force a page layout; outside the browser
+     * they come from a metrics table, the bundled Arial widths unless setTextMetrics() installs others.
+     * The CSS custom properties are read once and again after invalidate(), which applyTheme(), setTextMetrics()
+     * and invalidateTextMeasurements() call; a change of --rail-font-size or --rail-grid-size found that way drops
+     * the cached widths. The font of each text class is the one other style read: the computed style of a hidden
+     * probe text, once per class until the next invalidation, so that page rules for a class (a bold keyword, say)
+     * are measured with.
+     * @class
+     */
+    class TextMeasurer {
+        constructor() {
+            /** @type {Map<string, number>} Width in pixels per "class\nfont\ntext" */
+            this.cache = new Map();
+            /** @type {Map<string, string>} CSS font per text class */
+            this.fonts = new Map();
+            this.metrics = null;
+            this._root = null;
+            this._rootKey = null;
+            this._context = undefined;
+        }
+
+        /**
+         * Grid size from --rail-grid-size, or the default outside the browser
+         * @type {number}
+         */
+        get gridSize() {
+            return this._readRoot().gridSize;
+        }
+
+        /**
+         * Measure the rendered width of text
+         * @param {string} textContent - Text to measure
+         * @param {string} className - Class of the text element, e.g. 'terminal' or 'repeat-label'
+         * @returns {number} Width in pixels
+         */
+        measure(textContent, className) {
+            const root = this._readRoot();
+            const font = this.metrics || typeof document === 'undefined' ? `${DEFAULT_FONT_SIZE}px` : this._font(className);
+            const key = `${className}\n${font}\n${textContent}`;
+
+            let width = this.cache.get(key);
+            if (width === undefined) {
+                width = this._measureUncached(String(textContent), className, font, root);
+                this.cache.set(key, width);
+            }
+            return width;
+        }
+
+        /**
+         * Use other font metrics, e.g. for another font in Node; null restores the default measurement
+         * @param {Object|function(string, string): number|null} metrics - A table
+         *   { widths: {character: width in 1/1000 em}, defaultWidth, fontSize } or a function (text, className)
+         *   returning the width in pixels
+         */
+        setMetrics(metrics) {
+            this.metrics = metrics;
+            this.clear();
+            this.invalidate();
+        }
+
+        /**
+         * Re-read the CSS custom properties and the fonts of the text classes on the next measurement
+         */
+        invalidate() {
+            this._root = null;
+            this.fonts.clear();
+        }
+
+        /**
+         * Drop all cached widths and fonts
+         */
+        clear() {
+            this.cache.clear();
+            this.fonts.clear();
+        }
+
+        _readRoot() {
+            if (this._root) return this._root;
+
+            if (typeof document === 'undefined') {
+                this._root = { gridSize: DEFAULT_GRID_SIZE, fontSize: DEFAULT_FONT_SIZE };
+                return this._root;
+            }
+
+            const rootStyle = getComputedStyle(document.documentElement);
+            const gridSizeStr = rootStyle.getPropertyValue('--rail-grid-size').trim();
+            const fontSizeStr = rootStyle.getPropertyValue('--rail-font-size').trim();
+            this._root = {
+                gridSize: parseInt(gridSizeStr) || DEFAULT_GRID_SIZE, // fallback to 16px if not found
+                fontSize: parseFloat(fontSizeStr) || DEFAULT_FONT_SIZE
+            };
+
+            const rootKey = `${this._root.gridSize}/${this._root.fontSize}`;
+            if (rootKey !== this._rootKey) {
+                this._rootKey = rootKey;
+                this.clear();
+            }
+            return this._root;
+        }
+
+        _font(className) {
+            let font = this.fonts.get(className);
+            if (font === undefined) {
+                // Computing the style of a hidden probe resolves the stylesheet, page rules for the class included,
+                // without laying out the page
+                const text = this._probe().append("text").attr("class", `textbox-text ${className}`);
+                const style = getComputedStyle(text.node());
+                font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+                text.remove();
+                this.fonts.set(className, font);
+            }
+            return font;
+        }
+
+        _probe() {
+            let svg = d3.select("body").select("svg.temp-measure-svg");
+            if (svg.empty()) {
+                svg = d3.select("body")
+                    .append("svg")
+                    .attr("class", "temp-measure-svg")
+                    .style("position", "absolute")
+                    .style("visibility", "hidden");
+                // Fonts of diagram.css for pages that only style <railroad-diagram> elements; any page rule wins
+                svg.append("style").text(
+                    ':where(.temp-measure-svg .textbox-text) { font-family: var(--rail-font-family, Arial, sans-serif); font-size: var(--rail-font-size, 14px); } ' +
+                    ':where(.temp-measure-svg .repeat-label) { font-size: calc(var(--rail-font-size, 14px) * 0.85); }');
+            }
+            return svg;
+        }
+
+        _canvasContext() {
+            if (this._context === undefined) {
+                let context = null;
+                try {
+                    const canvas = typeof OffscreenCanvas !== 'undefined'
+                        ? new OffscreenCanvas(1, 1)
+                        : document.createElement('canvas');
+                    context = canvas.getContext('2d');
+                } catch (error) {
+                    context = null; // no canvas support: measure through SVG below
+                }
+                this._context = context;
+            }
+            return this._context;
+        }
+
+        _measureUncached(textContent, className, font, root) {
+            if (typeof this.metrics === 'function') {
+                return this.metrics(textContent, className);
+            }
+            if (this.metrics) {
+                const { widths = {}, defaultWidth = ARIAL_DEFAULT_CHAR_WIDTH, fontSize = root.fontSize } = this.metrics;
+                let units = 0;
+                for (const char of textContent) {
+                    units += widths[char] !== undefined ? widths[char] : defaultWidth;
+                }
+                return units * fontSize / 1000;
+            }
+
+            // Outside the browser, fall back to the bundled font metrics
+            if (typeof document === 'undefined') {
+                return measureTextWidth(textContent, DEFAULT_FONT_SIZE);
+            }
+
+            const context = this._canvasContext();
+            if (context) {
+                context.font = font;
+                return context.measureText(textContent).width;
+            }
+
+            const text = this._probe().append("text")
+                .attr("class", `textbox-text ${className}`)
+                .text(textContent);
+            const width = text.node().getBBox().width;
+            text.remove();
+            return width;
+        }
+    }
+
+    /**
+     * Measurer shared by all layouts
+     * @type {TextMeasurer}
+     */
+    const textMeasurer = new TextMeasurer();
+
+    /**
+     * Use other font metrics for text box widths, e.g. to match the font of generated SVG in Node
+     * Layouts built afterwards use the new metrics; existing layouts keep their sizes
+     * @param {Object|function(string, string): number|null} metrics - A table
+     *   { widths: {character: width in 1/1000 em}, defaultWidth: number, fontSize: number }, a function
+     *   (text, className) returning the width in pixels, or null to restore the default measurement
+     * @example
+     * setTextMetrics({ widths: { a: 600, b: 600 }, defaultWidth: 600, fontSize: 14 }); // monospace
+     */
+    function setTextMetrics(metrics) {
+        textMeasurer.setMetrics(metrics);
+    }
+
+    /**
+     * Re-read --rail-grid-size, --rail-font-size and the fonts of the text classes, and drop cached text widths
+     * if they changed. applyTheme() and setTextMetrics() do this by themselves; call it after changing the
+     * properties or the fonts of diagram text in a stylesheet
+     * @example
+     * document.documentElement.style.setProperty('--rail-font-size', '16px');
+     * RailroadDiagrams.invalidateTextMeasurements();
+     */
+    function invalidateTextMeasurements() {
+        textMeasurer.invalidate();
+    }
+
+    /**
+     * @typedef {Object} Theme
+     * @property {string} [extends='light'] - Built-in theme that a custom theme starts from
+     * @property {Object<string, string>} colors - CSS colors: background, panel, panelBorder and panelText
+     *   (rule sections, previews and the minimap), track, terminator, boxStroke, text, link, highlight, error
+     *   and expectedFill (boxes expected where a trace stopped)
+     * @property {number} [trackWidth] - Rail width in pixels; the sizing preset when absent
+     * @property {number} [textBorder] - Box border width in pixels; the sizing preset when absent
+     * @property {string} [fontFamily] - CSS font family of box text and labels
+     * @property {string} terminator - Shape of the start and end of a rule: 'circle', 'square', 'bar' or 'none'
+     * @property {Object<string, {fill?: string, stroke?: string, text?: string, radius?: number}>} boxes - Box
+     *   colors and corner radius (in grid units) by the class given to textBox, e.g. terminal or keyword
+     */
+
+    /** Shapes drawn at the start and end of a rule */
+    const TERMINATOR_SHAPES = ['circle', 'square', 'bar', 'none'];
+
+    /**
+     * Built-in themes by name; light matches the defaults of diagram.css
+     * @type {Object<string, Theme>}
+     */
+    const THEMES = {
+        light: {
+            colors: {
+                background: '#ffffff',
+                panel: '#fafafa',
+                panelBorder: '#dddddd',
+                panelText: '#333333',
+                track: '#000000',
+                terminator: '#000000',
+                boxStroke: '#000000',
+                text: '#000000',
+                link: '#0066cc',
+                highlight: 'red',
+                error: '#c00000',
+                expectedFill: 'rgb(255, 220, 220)'
+            },
+            terminator: 'circle',
+            boxes: {
+                terminal: { fill: 'rgb(200, 200, 200)', radius: 0.9 },
+                nonterminal: { fill: 'rgb(210, 210, 210)', radius: 0.6 }
+            }
+        },
+        dark: {
+            colors: {
+                background: '#1e1e1e',
+                panel: '#252526',
+                panelBorder: '#3c3c3c',
+                panelText: '#cccccc',
+                track: '#d4d4d4',
+                terminator: '#d4d4d4',
+                boxStroke: '#d4d4d4',
+                text: '#e6e6e6',
+                link: '#6cb6ff',
+                highlight: '#ff6b6b',
+                error: '#ff7b72',
+                expectedFill: '#5c2b2b'
+            },
+            terminator: 'circle',
+            boxes: {
+                terminal: { fill: '#3c3c3c', radius: 0.9 },
+                nonterminal: { fill: '#2b3a4a', radius: 0.6 }
+            }
+        },
+        'high-contrast': {
+            colors: {
+                background: '#000000',
+                panel: '#000000',
+                panelBorder: '#ffffff',
+                panelText: '#ffffff',
+                track: '#ffffff',
+                terminator: '#ffffff',
+                boxStroke: '#ffffff',
+                text: '#ffffff',
+                link: '#ffff00',
+                highlight: '#00ffff',
+                error: '#ff4040',
+                expectedFill: '#400000'
+            },
+            terminator: 'circle',
+            boxes: {
+                terminal: { fill: '#000000', radius: 0.9 },
+                nonterminal: { fill: '#000000', stroke: '#ffff00', text: '#ffff00', radius: 0.6 }
+            }
+        }
+    };
+
+    /** Custom property set for each theme color */
+    const THEME_COLOR_PROPERTIES = {
+        background: '--rail-background',
+        panel: '--rail-panel-background',
+        panelBorder: '--rail-panel-border',
+        panelText: '--rail-panel-text',
+        track: '--rail-track-color',
+        terminator: '--rail-terminator-color',
+        boxStroke: '--rail-box-stroke',
+        text: '--rail-text-color',
+        link: '--rail-link-color',
+        highlight: '--rail-highlight-color',
+        error: '--rail-error-color',
+        expectedFill: '--rail-expected-fill'
+    };
+
+    /** Box classes styled by diagram.css itself; themes add rules for any other class */
+    const BUILT_IN_BOX_CLASSES = ['terminal', 'nonterminal'];
+
+    const DEFAULT_FONT_FAMILY = 'Arial, sans-serif';
+
+    /**
+     * Theme applied to the whole page with applyTheme(), used by diagrams not given a theme of their own
+     * @type {Theme|null}
+     */
+    let pageTheme = null;
+
+    /**
+     * Turn a theme option into a complete theme
+     * @param {string|Theme|null|undefined} theme - A built-in theme name, a custom theme, or 'auto' or null
+     *   for none (diagram.css then follows prefers-color-scheme)
+     * @returns {Theme|null} The theme, custom themes merged over the theme they extend
+     * @throws {Error} When a theme name, terminator shape or box class is unknown or invalid
+     */
+    function resolveTheme(theme) {
+        if (theme === undefined || theme === null || theme === 'auto') return null;
+        if (typeof theme === 'string') {
+            if (!THEMES[theme]) throw new Error(`Unknown theme: ${theme}`);
+            return THEMES[theme];
+        }
+
+        const base = THEMES[theme.extends || 'light'];
+        if (!base) throw new Error(`Unknown theme: ${theme.extends}`);
+        const boxes = { ...base.boxes };
+        Object.entries(theme.boxes || {}).forEach(([className, box]) => {
+            if (!/^[A-Za-z_][\w-]*$/.test(className)) {
+                throw new Error(`Invalid box class in theme: ${className}`);
+            }
+            boxes[className] = { ...boxes[className], ...box };
+        });
+
+        const resolved = { ...base, ...theme, colors: { ...base.colors, ...theme.colors }, boxes };
+        delete resolved.extends;
+        if (!TERMINATOR_SHAPES.includes(resolved.terminator)) {
+            throw new Error(`Unknown terminator shape: ${resolved.terminator}`);
+        }
+        return resolved;
+    }
+
+    // Custom properties that carry a theme into diagram.css, by name
+    function themeProperties(theme) {
+        const properties = {};
+        Object.entries(THEME_COLOR_PROPERTIES).forEach(([key, name]) => {
+            if (theme.colors[key]) properties[name] = theme.colors[key];
+        });
+        if (theme.trackWidth !== undefined) properties['--rail-track-width'] = `${theme.trackWidth}px`;
+        if (theme.textBorder !== undefined) properties['--rail-text-border'] = `${theme.textBorder}px`;
+        if (theme.fontFamily) properties['--rail-font-family'] = theme.fontFamily;
+        properties['--rail-terminator-shape'] = theme.terminator;
+        Object.entries(theme.boxes).forEach(([className, box]) => {
+            if (box.fill) properties[`--rail-${className}-fill`] = box.fill;
+            if (box.stroke) properties[`--rail-${className}-stroke`] = box.stroke;
+            if (box.text) properties[`--rail-${className}-text`] = box.text;
+            if (box.radius !== undefined) {
+                properties[`--rail-${className}-radius`] = `calc(var(--rail-grid-size) * ${box.radius})`;
+            }
+        });
+        return properties;
+    }
+
+    /**
+     * Theme applied with applyTheme and the custom properties it set, per element, so that the next theme
+     * can remove them
+     * @type {WeakMap<Element, {theme: Theme, properties: string[]}>}
+     */
+    const themedElements = new WeakMap();
+
+    // Theme applied to an element or its nearest themed ancestor, also across shadow roots; null for none
+    function inheritedTheme(element) {
+        for (let node = element; node; node = node.parentNode || node.host) {
+            const themed = themedElements.get(node);
+            if (themed) return themed.theme;
+        }
+        return null;
+    }
+
+    /**
+     * Apply a theme to the diagrams inside an element, by setting the --rail-* custom properties of
+     * diagram.css on it; boxes of classes other than terminal and nonterminal get style rules of their own
+     * Diagrams created later inside the element, and not given a theme of their own, take the theme.
+     * Box widths are measured with the fonts of the page, so a fontFamily takes effect for layout only when
+     * the theme is applied to the document element before the diagrams are built.
+     * @param {string|Theme|null} theme - A built-in theme name ('light', 'dark' or 'high-contrast'), a custom
+     *   theme, or 'auto' or null to remove a previous theme and follow prefers-color-scheme again
+     * @param {Element} [element=document.documentElement] - Element to apply the theme to
+     * @returns {Theme|null} The resolved theme
+     * @throws {Error} When the theme is invalid
+     * @example
+     * applyTheme('dark');
+     * applyTheme({ extends: 'dark', boxes: { keyword: { fill: '#3b2e58', radius: 0.3 } } }, container);
+     */
+    function applyTheme(theme, element = document.documentElement) {
+        const resolved = resolveTheme(theme);
+        const previous = themedElements.get(element);
+        if (previous) {
+            previous.properties.forEach(name => element.style.removeProperty(name));
+            themedElements.delete(element);
+        }
+
+        if (resolved) {
+            const properties = themeProperties(resolved);
+            Object.entries(properties).forEach(([name, value]) => element.style.setProperty(name, value));
+            themedElements.set(element, { theme: resolved, properties: Object.keys(properties) });
+            addBoxClassRules(element, Object.keys(resolved.boxes).filter(name => !BUILT_IN_BOX_CLASSES.includes(name)));
+        }
+
+        if (element === document.documentElement) {
+            pageTheme = resolved;
+            // The font family, and with it text widths, may have changed
+            textMeasurer.clear();
+            textMeasurer.invalidate();
+        }
+        return resolved;
+    }
+
+    // Add the rules that map --rail-<class>-fill, -stroke and -text to the boxes of a class, once per
+    // document or shadow root; the rules of diagram.css for .textbox and .textbox-text read them
+    function addBoxClassRules(element, classNames) {
+        const root = element.getRootNode();
+        const parent = root.nodeType === Node.DOCUMENT_NODE ? root.head : root;
+        let style = parent.querySelector('style[data-rail-box-classes]');
+        const known = style ? style.getAttribute('data-rail-box-classes').split(' ') : [];
+        const added = classNames.filter(name => !known.includes(name));
+        if (added.length === 0) return;
+
+        if (!style) {
+            style = document.createElement('style');
+            parent.appendChild(style);
+        }
+        const all = known.concat(added);
+        style.setAttribute('data-rail-box-classes', all.join(' '));
+        style.textContent = all.map(name =>
+            `:where(.textbox, .textbox-text).${name} { ` +
+            `--rail-class-fill: var(--rail-${name}-fill, none); ` +
+            `--rail-class-stroke: var(--rail-${name}-stroke, var(--rail-box-stroke)); ` +
+            `--rail-class-text: var(--rail-${name}-text, var(--rail-text-color)); }`).join('\n');
+    }
+
+    /**
+     * Stylesheet embedded into headless SVG output, mirroring diagram.css with the resolved values of a theme
+     * @param {Theme|null} theme - Theme to resolve; without one the light theme, switching to the dark
+     *   theme and its background under prefers-color-scheme: dark
+     * @returns {string} CSS text
+     */
+    function getEmbeddedStylesheet(theme) {
+        if (!theme) {
+            // As in diagram.css, light rails bring their dark background, so the image reads on light pages too
+            return `${getEmbeddedStylesheet(THEMES.light)} ` +
+                `@media (prefers-color-scheme: dark) { ${getEmbeddedStylesheet(THEMES.dark)} ` +
+                `.diagram-svg { background-color: ${THEMES.dark.colors.background}; } }`;
+        }
+
+        const { colors } = theme;
+        const trackWidth = theme.trackWidth !== undefined ? theme.trackWidth : DEFAULT_TRACK_WIDTH;
+        const textBorder = theme.textBorder !== undefined ? theme.textBorder : DEFAULT_TEXT_BORDER;
+        const fontFamily = theme.fontFamily || DEFAULT_FONT_FAMILY;
+        const boxRules = Object.entries(theme.boxes).map(([className, box]) =>
+            `.textbox.${className} { fill: ${box.fill || 'none'}; stroke: ${box.stroke || colors.boxStroke}; } ` +
+            `.textbox-text.${className} { fill: ${box.text || colors.text}; }`);
+
+        return [
+            `.rail-track { fill: none; stroke: ${colors.track}; stroke-width: ${trackWidth}px; stroke-linecap: butt; }`,
+            `.start-terminal, .end-terminal { fill: ${colors.terminator}; stroke: none; }`,
+            `.textbox { stroke-width: ${textBorder}px; stroke: ${colors.boxStroke}; fill: none; }`,
+            `.textbox-text { font-family: ${fontFamily}; font-size: ${DEFAULT_FONT_SIZE}px; fill: ${colors.text}; }`,
+            ...boxRules,
+            '.textbox-text.nonterminal { text-decoration: underline; }',
+            `.highlight, .textbox.highlight { stroke: ${colors.highlight}; }`,
+            `.textbox.trace-expected { stroke: ${colors.error}; stroke-dasharray: 4 2; fill: ${colors.expectedFill}; }`,
+            `.repeat-label { font-family: ${fontFamily}; font-size: ${DEFAULT_FONT_SIZE * 0.85}px; fill: ${colors.text}; }`
+        ].join(' ');
+    }
+
+    /**
+     * Render syntax rules to a complete SVG document string without D3 or a DOM
+     * Uses the same layout and rail geometry as the browser Diagram, with text widths
+     * taken from bundled font metrics
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to render, e.g. Diagram.rules
+     * @param {Object} [options={}] - Rendering options
+     * @param {number} [options.gridSize=16] - Size of grid units in pixels; must match the grid size
+     *   the expressions were measured with (the CSS default outside the browser)
+     * @param {boolean} [options.showGrid=false] - Whether to include the background grid pattern
+     * @param {number} [options.maxWidth] - Maximum width in grid units; long top-level sequences wrap
+     * @param {string|Theme} [options.theme] - Theme of the embedded stylesheet; by default the light theme,
+     *   switching to the dark theme under prefers-color-scheme: dark
+     * @returns {string} SVG markup
+     * @example
+     * const { Expression, renderToSVGString } = require('./diagram.js');
+     * const svg = renderToSVGString([
+     *     { title: 'digit', expression: Expression.stack(Expression.textBox('0', 'terminal')) }
+     * ]);
+     */
+    function renderToSVGString(rules, options = {}) {
+        const { gridSize = getGridSizeFromCSS(), showGrid = false, maxWidth, theme } = options;
+
+        const diagram = new Diagram(null, gridSize, showGrid, false, { maxWidth, theme });
+        diagram.rules = rules.map(({ title, expression }) => ({ title, expression }));
+        diagram._invalidate();
+
+        return diagram.toSVGString({ includeGrid: showGrid });
+    }
+
+    /**
+     * Rebuild a layout with widths counted in characters, one character cell per grid unit
+     * @param {LayoutBox} expression - Layout built by the Expression factories
+     * @returns {LayoutBox} Layout for a CharacterGrid
+     */
+    function layoutForText(expression) {
+        const textLength = text => Array.from(String(text)).length;
+        const resize = node => {
+            const children = node.children ? node.children.map(resize) : undefined;
+            if (node.kind === 'textBox') {
+                return Object.assign({}, node, { width: textLength(node.text) + 5 }); // rails, borders and a space on each side
+            }
+            if (node.kind === 'repeat') {
+                const label = Expression._formatRepeatLabel(node.min, node.max === null ? Infinity : node.max);
+                return Object.assign({}, node, { children, width: textLength(label) + 4 });
+            }
+            return Object.assign({}, node, { children });
+        };
+        return Expression.fromJSON(resize(Expression.toJSON(expression)), { useStoredLayout: true });
+    }
+
+    /**
+     * Render syntax rules as text with Unicode box-drawing characters, or ASCII only
+     * Uses the grid-unit layout of the SVG output with one character per grid unit,
+     * so it runs without a DOM, e.g. for CLI help text and Markdown code blocks
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules to render, e.g. Diagram.rules
+     * @param {Object} [options={}] - Rendering options
+     * @param {string} [options.charset='unicode'] - 'unicode' for box-drawing characters, 'ascii' for -|+/\
+     * @param {number} [options.maxWidth] - Maximum width in characters; long top-level sequences wrap
+     * @param {boolean} [options.showTitles=true] - Whether to print each rule's name above its diagram
+     * @returns {string} Diagrams, separated by blank lines
+     * @throws {Error} On an unknown character set
+     * @example
+     * const { Expression, renderToText } = require('./diagram.js');
+     * console.log(renderToText([{ title: 'flag', expression: Expression.stack(
+     *     Expression.textBox('--verbose', 'terminal'), Expression.textBox('-v', 'terminal')) }]));
+     */
+    function renderToText(rules, options = {}) {
+        const { charset = 'unicode', maxWidth = Infinity, showTitles = true } = options;
+        const characters = TEXT_CHARSETS[charset];
+        if (!characters) {
+            throw new Error(`Unknown charset: ${charset} (expected 'unicode' or 'ascii')`);
+        }
+
+        return rules.map(({ title, expression }) => {
+            let layout = layoutForText(expression);
+            const availableWidth = maxWidth - 5; // terminators and 2 unit rails on each side
+            if (layout.width > availableWidth && layout.kind === 'sequence') {
+                layout = Expression._wrappedSequence(layout.children, availableWidth);
+            }
+            const exitBaseline = layout.exitBaseline !== undefined ? layout.exitBaseline : layout.baseline;
+            const endX = 2 + layout.width + 2;
+
+            const grid = new CharacterGrid();
+            grid.line(0, layout.baseline, 2, layout.baseline);
+            grid.line(endX - 2, exitBaseline, endX, exitBaseline);
+            layout.render(new TextRenderContext(grid, 2, 0));
+            grid.write(0, layout.baseline, characters.terminator);
+            grid.write(endX, exitBaseline, characters.terminator);
+
+            const lines = grid.toLines(characters);
+            return (showTitles ? [title, ...lines] : lines).join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Render a single railroad diagram from expression code
+     * @param {Object} config - Configuration object
+     * @param {string|HTMLElement} config.containerId - Container element or selector
+     * @param {string} config.expressionCode - Expression code using the Expression API functions
+     * @param {string} config.ruleName - Name of the syntax rule being rendered
+     * @param {number} [config.gridSize=24] - Size of grid units in pixels
+     * @param {boolean} [config.showGrid=false] - Whether to show background grid
+     * @param {boolean} [config.showBounds=false] - Whether to show debug bounds
+     * @param {number} [config.maxWidth] - Maximum diagram width in grid units; long top-level sequences wrap
+     * @param {Object<string, Function>} [config.on] - Diagram event handlers by event type (see Diagram.on)
+     * @param {boolean|Object|RulePreview} [config.preview] - Preview referenced rules on hover and focus
+     * @param {boolean|Object} [config.viewer] - Zoom, pan and minimap (see DiagramViewer)
+     * @param {string|Theme} [config.theme] - Theme of the diagram, the page theme by default (see applyTheme)
+     * @returns {Diagram} The created diagram instance
+     * @throws {Error} When expression code is invalid or container not found
+     */
+    function renderRailroadDiagram(config) {
+        const {
+            containerId,
+            expressionCode,
+            ruleName,
+            gridSize = 24,
+            showGrid = false,
+            showBounds = false,
+            maxWidth,
+            on,
+            preview,
+            viewer,
+            theme
+        } = config;
+
+        try {
+            // Parse, type-check and interpret the expression code (no eval, CSP-safe)
+            const expression = evaluateExpressionCode(expressionCode);
+
+            // Create diagram instance
+            const diagram = new Diagram(containerId, gridSize, showGrid, showBounds, { maxWidth, on, preview, viewer, theme });
+            diagram.addRule(ruleName, expression);
+            addPageDiagram(diagram);
+
+            return diagram;
+        } catch (error) {
+            console.error(`Error rendering diagram for rule "${ruleName}":`, error);
+
+            // Get container element for error display
+            const container = typeof containerId === 'string'
+                ? (containerId.startsWith('#')
+                    ? document.querySelector(containerId)
+                    : document.getElementById(containerId))
+                : containerId;
+
+            if (container) {
+                // As text: messages quote the expression code, which may come from the page
+                const errorDiv = document.createElement('div');
+                errorDiv.className = 'error';
+                errorDiv.textContent = `Error: ${error.message}`;
+                container.textContent = '';
+                container.appendChild(errorDiv);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Diagrams rendered into the page by renderRailroadDiagram and renderGrammarScript
+     * @type {Set<Diagram>}
+     */
+    const pageDiagrams = new Set();
+
+    /**
+     * Rules of lazily rendered containers (see LazyDiagramRenderer), including those not drawn at the moment
+     * @type {Set<{container: HTMLElement, title: string, expression: LayoutBox, diagram: Diagram|null}>}
+     */
+    const lazyPageRules = new Set();
+
+    // Register a diagram drawn into the page, in place of whatever was registered for its container before
+    function addPageDiagram(diagram) {
+        forgetPageContainer(diagram.container, diagram);
+        pageDiagrams.add(diagram);
+    }
+
+    // Drop the diagrams and lazy rules registered for a container, except the given diagram
+    function forgetPageContainer(container, keep = null) {
+        pageDiagrams.forEach(diagram => {
+            if (diagram.container === container && diagram !== keep) pageDiagrams.delete(diagram);
+        });
+        lazyPageRules.forEach(entry => {
+            if (entry.container === container && entry.diagram !== keep) lazyPageRules.delete(entry);
+        });
+    }
+
+    // Drop the diagrams whose container was emptied or taken out of the document, and their lazy rules;
+    // released lazy rules stay registered while their placeholder is in the document
+    function prunePageRegistries() {
+        pageDiagrams.forEach(diagram => {
+            if (!diagram.container.isConnected || !diagram.container.contains(diagram.svg.node())) {
+                pageDiagrams.delete(diagram);
+            }
+        });
+        lazyPageRules.forEach(entry => {
+            if (!entry.container.isConnected || (entry.diagram && !pageDiagrams.has(entry.diagram))) {
+                lazyPageRules.delete(entry);
+            }
+        });
+    }
+
+    /**
+     * Last trace shown by traceInput or traceExample, and the last grammar report of renderDiagramScripts,
+     * applied to diagrams that are rendered lazily afterwards
+     */
+    let pageTrace = null;
+    let pageGrammarReport = null;
+
+    /**
+     * Pixel size of the SVG a Diagram draws for the given rules, computed from the layouts without drawing
+     * Mirrors Diagram._layoutRules: 1 unit padding, terminator rails and 2 units below the last rule
+     * @param {Array<{title: string, expression: LayoutBox}>} rules - Rules of the diagram
+     * @param {number} gridSize - Size of grid units in pixels
+     * @param {number} [maxWidth=Infinity] - Maximum diagram width in grid units
+     * @returns {{width: number, height: number}} Size in pixels
+     */
+    function estimateDiagramSize(rules, gridSize, maxWidth = Infinity) {
+        let width = 0;
+        let height = 1;
+        rules.forEach(({ expression }) => {
+            const layout = wrapRuleExpression(expression, maxWidth);
+            width = Math.max(width, 2 + layout.width + 2 + 2);
+            height += layout.height;
+        });
+        return { width: width * gridSize, height: (height + 2) * gridSize };
+    }
+
+    /**
+     * LazyDiagramRenderer class - renders single-rule diagrams only while their container is near the viewport
+     * Containers get a placeholder height computed from the layout, so the page does not move when diagrams
+     * are drawn or released and anchor navigation lands on the right rule
+     * @class
+     */
+    class LazyDiagramRenderer {
+        /**
+         * Create a new LazyDiagramRenderer instance
+         * @param {Object} options - Rendering options
+         * @param {number} options.gridSize - Size of grid units in pixels
+         * @param {boolean} [options.showGrid=false] - Whether to show background grid
+         * @param {boolean} [options.showBounds=false] - Whether to show debug bounds
+         * @param {number} [options.maxWidth] - Maximum diagram width in grid units
+         * @param {Object<string, Function>} [options.on] - Event handlers registered on each rendered diagram
+         * @param {boolean|Object|RulePreview} [options.preview] - Preview referenced rules on hover and focus
+         * @param {boolean|Object} [options.viewer] - Zoom, pan and minimap (see DiagramViewer)
+         * @param {string} [options.margin='100%'] - Distance from the viewport (CSS margin syntax) at which
+         *   diagrams are rendered
+         * @param {string} [options.releaseMargin='300%'] - Distance beyond which rendered diagrams are released
+         */
+        constructor(options) {
+            const { gridSize, showGrid = false, showBounds = false, maxWidth, on, preview, viewer, margin = '100%', releaseMargin = '300%' } = options;
+            this.gridSize = gridSize;
+            this.showGrid = showGrid;
+            this.showBounds = showBounds;
+            this.maxWidth = maxWidth;
+            this.on = on;
+            this.preview = preview ? rulePreviewFrom(preview) : null;
+            this.viewer = viewer;
+
+            /**
+             * Lazily rendered rule per container
+             * @type {Map<HTMLElement, {title: string, expression: LayoutBox, diagram: Diagram|null}>}
+             */
+            this.entries = new Map();
+
+            // Without IntersectionObserver every diagram is rendered right away
+            if (typeof IntersectionObserver !== 'undefined') {
+                this.renderObserver = new IntersectionObserver(
+                    observed => observed.forEach(({ target, isIntersecting }) => isIntersecting && this.render(target)),
+                    { rootMargin: `${margin} 0px` });
+                this.releaseObserver = new IntersectionObserver(
+                    observed => observed.forEach(({ target, isIntersecting }) => isIntersecting || this.release(target)),
+                    { rootMargin: `${releaseMargin} 0px` });
+            }
+        }
+
+        /**
+         * Reserve the diagram's space in a container and render it once the container nears the viewport
+         * @param {HTMLElement} container - Empty .diagram-container element
+         * @param {string} title - Rule name
+         * @param {LayoutBox} expression - Rule expression
+         */
+        add(container, title, expression) {
+            const entry = { container, title, expression, diagram: null };
+            this.entries.set(container, entry);
+            forgetPageContainer(container);
+            lazyPageRules.add(entry);
+
+            container.classList.add('lazy');
+            container.style.minHeight = `${estimateDiagramSize([entry], this.gridSize, this.maxWidth).height}px`;
+
+            if (this.renderObserver) {
+                this.renderObserver.observe(container);
+                this.releaseObserver.observe(container);
+            } else {
+                this.render(container);
+            }
+        }
+
+        /**
+         * Render the diagram of a container now, e.g. before printing
+         * @param {HTMLElement} container - Container passed to add()
+         * @returns {Diagram|null} The diagram, or null for containers not managed by this renderer
+         */
+        render(container) {
+            const entry = this.entries.get(container);
+            if (!entry) return null;
+            if (entry.diagram) return entry.diagram;
+
+            entry.diagram = new Diagram(container, this.gridSize, this.showGrid, this.showBounds, {
+                maxWidth: this.maxWidth, on: this.on, preview: this.preview, viewer: this.viewer
+            });
+            entry.diagram.addRule(entry.title, entry.expression);
+            addPageDiagram(entry.diagram);
+
+            // Bring the new diagram up to date with what the page already shows
+            if (pageTrace) {
+                entry.diagram.highlightTrace(pageTrace);
+            }
+            if (pageGrammarReport && container.parentElement) {
+                markGrammarIssues(pageGrammarReport, container.parentElement);
+            }
+            return entry.diagram;
+        }
+
+        /**
+         * Remove a rendered diagram, keeping its placeholder height
+         * @param {HTMLElement} container - Container passed to add()
+         */
+        release(container) {
+            const entry = this.entries.get(container);
+            if (!entry || !entry.diagram) return;
+
+            pageDiagrams.delete(entry.diagram);
+            entry.diagram = null;
+            container.textContent = '';
+        }
+
+        /**
+         * Render every diagram and stop observing the containers
+         */
+        renderAll() {
+            this.disconnect();
+            this.entries.forEach((entry, container) => this.render(container));
+        }
+
+        /**
+         * Stop observing the containers; rendered diagrams stay
+         */
+        disconnect() {
+            if (this.renderObserver) {
+                this.renderObserver.disconnect();
+                this.releaseObserver.disconnect();
+            }
+        }
+    }
+
+    /**
+     * RulePreview class - shows a miniature of the referenced rule's diagram while a nonterminal is hovered or focused
+     * The previews are diagrams themselves, so their nonterminals open nested previews. Each preview stays open
+     * while the pointer is on its nonterminal or inside it, and Escape closes all of them
+     * @class
+     */
+    class RulePreview {
+        /**
+         * Create a new RulePreview instance
+         * @param {Object} [options={}] - Preview options
+         * @param {number} [options.delay=400] - Milliseconds the pointer or focus rests on a nonterminal before
+         *   its preview opens
+         * @param {number} [options.hideDelay=200] - Milliseconds before a preview closes once left, so that the
+         *   pointer can move into it
+         * @param {number} [options.scale=0.6] - Size of the miniature relative to the diagram it was opened from
+         * @param {number} [options.maxDepth=3] - Maximum number of nested previews
+         * @param {function(): Array<{title: string, expression: LayoutBox}>} [options.rules] - Rules to preview;
+         *   defaults to the rules rendered on the page
+         */
+        constructor(options = {}) {
+            const { delay = 400, hideDelay = 200, scale = 0.6, maxDepth = 3, rules = getPageRules } = options;
+            this.delay = delay;
+            this.hideDelay = hideDelay;
+            this.scale = scale;
+            this.maxDepth = maxDepth;
+            this.rules = rules;
+
+            /**
+             * Open previews, outermost first
+             * @type {Array<{element: HTMLElement, diagram: Diagram, anchor: Element}>}
+             */
+            this.popovers = [];
+
+            this._openTimer = null;
+            this._closeTimer = null;
+            this._onKeyDown = event => {
+                if (event.key === 'Escape') this.close();
+            };
+        }
+
+        /**
+         * Open previews from the nonterminals of a diagram
+         * @param {Diagram} diagram - A diagram rendered into the page
+         * @param {number} [depth=0] - Number of previews the diagram is nested in
+         */
+        attach(diagram, depth = 0) {
+            if (!diagram.container) return;
+
+            diagram.on('hover', event => event.hovered ? this._hover(event, depth) : this._leave(depth));
+            diagram.on('nonterminalClick', () => this.close());
+
+            const svgNode = diagram.svg.node();
+            svgNode.addEventListener('focusin', event => {
+                const box = diagram._boxAt(event.target);
+                if (box) {
+                    this._hover(Object.assign(diagram._boxEventDetail(box, event), { diagram }), depth);
+                }
+            });
+            svgNode.addEventListener('focusout', () => this._leave(depth));
+        }
+
+        /**
+         * Close all previews
+         */
+        close() {
+            clearTimeout(this._openTimer);
+            clearTimeout(this._closeTimer);
+            this._closeFrom(0);
+        }
+
+        // Pointer or focus arrived on a box of a diagram nested in depth previews
+        _hover(event, depth) {
+            clearTimeout(this._openTimer);
+            clearTimeout(this._closeTimer);
+
+            const open = this.popovers[depth];
+            if (open && open.anchor === event.element) return;
+            if (this.popovers.length > depth) {
+                this._scheduleClose(depth);
+            }
+            if (event.className === 'nonterminal' && depth < this.maxDepth) {
+                this._openTimer = setTimeout(() => this._open(event, depth), this.delay);
+            }
+        }
+
+        _leave(depth) {
+            clearTimeout(this._openTimer);
+            this._scheduleClose(depth);
+        }
+
+        _scheduleClose(from) {
+            clearTimeout(this._closeTimer);
+            this._closeTimer = setTimeout(() => this._closeFrom(from), this.hideDelay);
+        }
+
+        _closeFrom(from) {
+            while (this.popovers.length > from) {
+                this.popovers.pop().element.remove();
+            }
+            if (this.popovers.length === 0) {
+                document.removeEventListener('keydown', this._onKeyDown);
+            }
+        }
+
+        _open(event, depth) {
+            this._closeFrom(depth);
+            const rule = this.rules().find(candidate => candidate.title === event.text);
+            if (!rule) return;
+
+            const element = document.createElement('div');
+            element.className = 'rule-preview';
+            element.setAttribute('role', 'tooltip');
+            const title = document.createElement('div');
+            title.className = 'rule-preview-title';
+            title.textContent = rule.title;
+            const container = document.createElement('div');
+            container.className = 'diagram-container';
+            element.append(title, container);
+            document.body.appendChild(element);
+            // Previews open outside the diagram, so they take its theme along
+            applyTheme(event.diagram.theme, element);
+
+            // Wrap long rules to the viewport width, then draw the diagram at its own size and scale the SVG down
+            const gridSize = event.diagram.gridSize;
+            const maxWidth = Math.max(16, Math.floor(window.innerWidth * 0.9 / (gridSize * this.scale)) - 6);
+            const diagram = new Diagram(container, gridSize, false, false, { maxWidth, theme: event.diagram.theme });
+            diagram.addRule(rule.title, rule.expression);
+            const width = parseFloat(diagram.svg.attr("width"));
+            const height = parseFloat(diagram.svg.attr("height"));
+            diagram.svg
+                .attr("viewBox", `0 0 ${width} ${height}`)
+                .attr("width", width * this.scale)
+                .attr("height", height * this.scale);
+
+            this.attach(diagram, depth + 1);
+            element.addEventListener('mouseenter', () => {
+                clearTimeout(this._closeTimer);
+                if (this.popovers.length > depth + 1) {
+                    this._scheduleClose(depth + 1);
+                }
+            });
+            element.addEventListener('mouseleave', () => this._scheduleClose(0));
+
+            this.popovers.push({ element, diagram, anchor: event.element });
+            document.addEventListener('keydown', this._onKeyDown);
+            this._place(element, event.element);
+        }
+
+        // Below the nonterminal, or above it when there is no room below, and always inside the viewport
+        _place(element, anchor) {
+            const margin = 8;
+            const anchorRect = anchor.getBoundingClientRect();
+            const rect = element.getBoundingClientRect();
+
+            let top = anchorRect.bottom + margin;
+            if (top + rect.height > window.innerHeight - margin && anchorRect.top - margin - rect.height >= margin) {
+                top = anchorRect.top - margin - rect.height;
+            }
+            top = Math.max(margin, Math.min(top, window.innerHeight - rect.height - margin));
+            const left = Math.max(margin, Math.min(anchorRect.left, window.innerWidth - rect.width - margin));
+
+            element.style.top = `${top}px`;
+            element.style.left = `${left}px`;
         }
-        
-        tokens.push({ type: TokenType.EOF, value: '', position: code.length });
-        return tokens;
     }
 
     /**
-     * Validates expression code using tokenization approach
-     * More robust than regex matching, handles strings with any content correctly
-     * @param {string} code - JavaScript code string to validate
-     * @returns {boolean} True if validation passes
-     * @throws {Error} When code contains disallowed functions or dangerous patterns
+     * DiagramViewer class - zoom, pan and minimap for diagrams larger than their container
+     * The diagram's SVG keeps its size and coordinates and is nested in a frame that fills the container width;
+     * the zoom transform is applied to the frame's content and to the debug overlay
+     * @class
      */
-    function validateExpressionCode(code) {
-        try {
-            // Tokenize the code, skipping whitespace for easier analysis
-            const tokens = tokenize(code, true);
-            
-            // Define allowed function names
-            const allowedFunctions = ['textBox', 'sequence', 'stack', 'bypass', 'loop'];
-            
-            // Look for function call patterns: IDENTIFIER followed by OPEN_PAREN
-            for (let i = 0; i < tokens.length - 1; i++) {
-                const currentToken = tokens[i];
-                const nextToken = tokens[i + 1];
-                
-                // Check if we have identifier followed by opening parenthesis
-                if (currentToken.type === TokenType.IDENTIFIER && 
-                    nextToken && nextToken.type === TokenType.OPEN_PAREN) {
-                    
-                    const funcName = currentToken.value;
-                    if (!allowedFunctions.includes(funcName)) {
-                        throw new Error(`Disallowed function call: ${funcName}`);
-                    }
-                }
+    class DiagramViewer {
+        /**
+         * Create a new DiagramViewer instance
+         * @param {Diagram} diagram - Diagram rendered into a container, before its first render
+         * @param {Object} [options={}] - Viewer options
+         * @param {number} [options.minScale=0.1] - Smallest zoom factor
+         * @param {number} [options.maxScale=8] - Largest zoom factor
+         * @param {boolean} [options.minimap=true] - Show an overview of the diagram with the visible area
+         * @param {boolean} [options.controls=true] - Show zoom in, zoom out, fit to width and reset buttons
+         */
+        constructor(diagram, options = {}) {
+            const { minScale = 0.1, maxScale = 8, minimap = true, controls = true } = options;
+            this.diagram = diagram;
+            this.minScale = minScale;
+            this.maxScale = maxScale;
+
+            const container = d3.select(diagram.container).classed("diagram-viewer", true);
+            this.frame = container.insert("svg", () => diagram.svg.node())
+                .attr("class", "diagram-viewer-frame")
+                .attr("width", "100%");
+            this.viewport = this.frame.append("g").attr("class", "diagram-viewport");
+            this.viewport.node().appendChild(diagram.svg.node());
+
+            /**
+             * Current zoom transform: content point p is shown at p * k + (x, y)
+             * @type {{x: number, y: number, k: number}}
+             */
+            this.transform = d3.zoomIdentity;
+            this.zoom = d3.zoom()
+                .scaleExtent([minScale, maxScale])
+                .extent(() => {
+                    const { width, height } = this._frameSize();
+                    return [[0, 0], [width, height]];
+                })
+                // The wheel scrolls the page unless Ctrl or Cmd is held; pinch gestures arrive as wheel events with Ctrl
+                .filter(event => event.type === 'wheel'
+                    ? event.ctrlKey || event.metaKey
+                    : !event.ctrlKey && !event.button)
+                .on("zoom", event => this._apply(event.transform));
+            this.frame.call(this.zoom);
+
+            this.minimap = minimap
+                ? container.append("div").attr("class", "diagram-minimap").attr("aria-hidden", "true")
+                : null;
+            if (this.minimap) {
+                this.minimap.on("pointerdown", event => this._centerOnMinimapPoint(event));
             }
-            
-        } catch (error) {
-            // Re-throw tokenization errors or validation errors
-            throw error;
+            if (controls) {
+                this._addControls(container);
+            }
+
+            // Keyboard focus may land on a nonterminal outside the visible area
+            this.frame.on("focusin", event => this._reveal(event.target));
+            diagram.on("render", () => this._refresh());
         }
-        
-        // Check for dangerous patterns in non-string tokens only
-        const tokens = tokenize(code, false); // Include all tokens for pattern checking
-        const dangerousPatterns = [
-            /\beval\s*\(/,
-            /\bFunction\s*\(/,
-            /\bsetTimeout\s*\(/,
-            /\bsetInterval\s*\(/,
-            /\bdocument\./,
-            /\bwindow\./,
-            /\blocation\./,
-            /\bfetch\s*\(/,
-            /\bXMLHttpRequest\s*\(/,
-            /\balert\s*\(/,
-            /\bconsole\./,
-            /javascript:/,
-            /data:/
-        ];
-        
-        // Reconstruct code without string literals for pattern checking
-        const codeWithoutStrings = tokens
-            .filter(token => token.type !== TokenType.STRING)
-            .map(token => token.value)
-            .join('');
-        
-        for (const pattern of dangerousPatterns) {
-            if (pattern.test(codeWithoutStrings)) {
-                throw new Error(`Expression contains disallowed pattern: ${pattern.source}`);
+
+        /**
+         * Zoom by a factor around the center of the frame
+         * @param {number} factor - Greater than 1 zooms in, less than 1 zooms out
+         */
+        zoomBy(factor) {
+            this.frame.call(this.zoom.scaleBy, factor);
+        }
+
+        /**
+         * Scale the diagram to the width of the frame
+         */
+        fitToWidth() {
+            const scale = this._frameSize().width / parseFloat(this.diagram.svg.attr("width"));
+            if (!(scale > 0)) return;
+            this.frame.call(this.zoom.transform, d3.zoomIdentity.scale(Math.max(this.minScale, Math.min(this.maxScale, scale))));
+        }
+
+        /**
+         * Show the diagram at its natural size from the top left corner
+         */
+        reset() {
+            this.frame.call(this.zoom.transform, d3.zoomIdentity);
+        }
+
+        /**
+         * Pan, keeping the zoom factor, so that a point of the diagram is at the top left corner of the frame
+         * @param {number} x - X coordinate in diagram pixels
+         * @param {number} y - Y coordinate in diagram pixels
+         */
+        panTo(x, y) {
+            const { k } = this.transform;
+            this.frame.call(this.zoom.transform, d3.zoomIdentity.translate(-x * k, -y * k).scale(k));
+        }
+
+        /**
+         * Pan to a rule of the diagram
+         * @param {string} title - Rule name
+         * @returns {boolean} Whether the diagram has the rule
+         */
+        showRule(title) {
+            const index = this.diagram.rules.findIndex(rule => rule.title === title);
+            const view = this.diagram._ruleViews[index];
+            if (!view) return false;
+            // One unit above the rule, where the start terminal begins
+            this.panTo(0, (view.y - 1) * this.diagram.gridSize);
+            return true;
+        }
+
+        _apply(transform) {
+            this.transform = transform;
+            this.viewport.attr("transform", transform.toString());
+            this._alignOverlay();
+            this._updateMinimapViewport();
+        }
+
+        // The debug overlay is positioned in diagram pixels; give it the zoom transform of the SVG
+        _alignOverlay() {
+            const { x, y, k } = this.transform;
+            d3.select(this.diagram.container).select(".debug-overlay")
+                .style("transform-origin", "0 0")
+                .style("transform", `translate(${x}px, ${y}px) scale(${k})`);
+        }
+
+        // After each render: the frame takes the diagram's height and the minimap a copy of the rules
+        _refresh() {
+            this.frame.attr("height", this.diagram.svg.attr("height"));
+            this._alignOverlay();
+            if (!this.minimap) return;
+
+            const width = parseFloat(this.diagram.svg.attr("width"));
+            const height = parseFloat(this.diagram.svg.attr("height"));
+            const mapWidth = 160;
+            this.minimap.selectAll("*").remove();
+            const map = this.minimap.append("svg")
+                .attr("class", "diagram-svg")
+                .attr("viewBox", `0 0 ${width} ${height}`)
+                .attr("width", mapWidth)
+                .attr("height", height * mapWidth / width);
+            this.diagram.svg.selectAll(".rule-group").each(function () {
+                map.node().appendChild(this.cloneNode(true));
+            });
+            // The copy is decoration: keep its nonterminals out of the tab order
+            map.selectAll("[tabindex]").attr("tabindex", null);
+            this._minimapViewport = map.append("rect").attr("class", "diagram-minimap-viewport");
+            this._updateMinimapViewport();
+        }
+
+        // Outline the visible area on the minimap, which is hidden while the whole diagram is visible
+        _updateMinimapViewport() {
+            if (!this._minimapViewport) return;
+            const { x, y, k } = this.transform;
+            const frame = this._frameSize();
+            const left = -x / k;
+            const top = -y / k;
+            const width = frame.width / k;
+            const height = frame.height / k;
+            this._minimapViewport
+                .attr("x", left)
+                .attr("y", top)
+                .attr("width", width)
+                .attr("height", height);
+
+            const allVisible = left <= 0 && top <= 0 &&
+                left + width >= parseFloat(this.diagram.svg.attr("width")) &&
+                top + height >= parseFloat(this.diagram.svg.attr("height"));
+            this.minimap.style("display", allVisible ? "none" : null);
+        }
+
+        _centerOnMinimapPoint(event) {
+            const map = this.minimap.select("svg").node();
+            if (!map) return;
+            event.preventDefault();
+            const rect = map.getBoundingClientRect();
+            const scale = parseFloat(this.diagram.svg.attr("width")) / rect.width;
+            this.frame.call(this.zoom.translateTo, (event.clientX - rect.left) * scale, (event.clientY - rect.top) * scale);
+        }
+
+        _addControls(container) {
+            const controls = container.append("div").attr("class", "diagram-viewer-controls");
+            [
+                ["+", "Zoom in", () => this.zoomBy(1.25)],
+                ["−", "Zoom out", () => this.zoomBy(0.8)],
+                ["↔", "Fit to width", () => this.fitToWidth()],
+                ["1:1", "Reset zoom", () => this.reset()]
+            ].forEach(([label, title, action]) => {
+                controls.append("button")
+                    .attr("type", "button")
+                    .attr("title", title)
+                    .attr("aria-label", title)
+                    .text(label)
+                    .on("click", action);
+            });
+        }
+
+        // Pan to a focused text box that is not completely visible
+        _reveal(element) {
+            const box = this.diagram._boxAt(element);
+            const matrix = box && box.element.getCTM();
+            if (!matrix) return;
+
+            const gridSize = this.diagram.gridSize;
+            const { x, y, k } = this.transform;
+            const frame = this._frameSize();
+            const left = matrix.e * k + x;
+            const top = matrix.f * k + y;
+            const right = left + box.layout.width * gridSize * k;
+            const bottom = top + box.layout.height * gridSize * k;
+            if (left < 0 || top < 0 || right > frame.width || bottom > frame.height) {
+                this.panTo(Math.max(0, matrix.e - gridSize), Math.max(0, matrix.f - gridSize));
             }
         }
-        
-        return true;
+
+        _frameSize() {
+            const rect = this.frame.node().getBoundingClientRect();
+            return { width: rect.width, height: rect.height };
+        }
     }
 
     /**
-     * Read grid size from CSS custom properties
-     * @returns {number} Grid size in pixels, defaults to 16 if not found
+     * Preview shared by the diagrams that were given preview: true
+     * @type {RulePreview|null}
      */
-    function getGridSizeFromCSS() {
-        const rootStyle = getComputedStyle(document.documentElement);
-        const gridSizeStr = rootStyle.getPropertyValue('--rail-grid-size').trim();
-        return parseInt(gridSizeStr) || 16; // fallback to 16px if not found
+    let defaultRulePreview = null;
+
+    // RulePreview for a preview option: an instance is used as is, true shares one preview, an object gives options
+    function rulePreviewFrom(preview) {
+        if (preview instanceof RulePreview) return preview;
+        if (preview === true) {
+            defaultRulePreview = defaultRulePreview || new RulePreview();
+            return defaultRulePreview;
+        }
+        return new RulePreview(preview);
     }
 
+
     /**
-     * Render a single railroad diagram from expression code
-     * @param {Object} config - Configuration object
-     * @param {string|HTMLElement} config.containerId - Container element or selector
-     * @param {string} config.expressionCode - JavaScript expression code using Expression API
-     * @param {string} config.ruleName - Name of the syntax rule being rendered
-     * @param {number} [config.gridSize=24] - Size of grid units in pixels
+     * Match input against the rules rendered on the page and highlight the result
+     * On a match, the rails and boxes taken are given the .highlight class in every diagram involved;
+     * otherwise the terminals expected at the furthest position reached are marked with .trace-expected
+     * @param {string} ruleName - Rule the whole input has to match
+     * @param {string} input - Input text
+     * @param {Object} [options={}] - Options passed to recognize()
+     * @returns {RecognizeResult} Match result
+     * @throws {Error} When the rule is not on the page or the input is too complex
+     * @example
+     * const result = RailroadDiagrams.traceInput('odataUri', 'https://example.org/service/');
+     * output.textContent = result.message;
+     */
+    function traceInput(ruleName, input, options = {}) {
+        const result = recognize(getPageRules(), ruleName, input, options);
+        pageTrace = result;
+        pageDiagrams.forEach(diagram => diagram.highlightTrace(result));
+        return result;
+    }
+
+    /**
+     * Generate a random sentence from the rules rendered on the page and highlight the path it takes
+     * @param {string} ruleName - Rule to start from
+     * @param {Object} [options={}] - Options passed to generateSentence() (seed, maxDepth, maxRepeat)
+     * @returns {{rule: string, text: string, trace: Object}} The sentence and its path
+     * @throws {Error} When the rule is not on the page, or every expansion of it recurses without end or needs a character no terminal allows
+     * @example
+     * input.value = RailroadDiagrams.traceExample('orderby', { seed: 7 }).text;
+     */
+    function traceExample(ruleName, options = {}) {
+        const result = generateSentence(getPageRules(), ruleName, options);
+        pageTrace = result;
+        pageDiagrams.forEach(diagram => diagram.highlightTrace(result));
+        return result;
+    }
+
+    // The rendered layouts themselves, so that traces can be matched back to their diagrams
+    function getPageRules() {
+        prunePageRegistries();
+        const lazyRules = [...lazyPageRules].filter(entry => !entry.diagram);
+        return [...pageDiagrams].flatMap(diagram => diagram.rules).concat(lazyRules);
+    }
+
+    /**
+     * Render a grammar block: a rule index plus one .syntax-rule container per rule
+     * The generated markup replaces nothing; it is inserted right after the script tag, which is marked with
+     * data-rendered so that renderDiagramScripts() leaves it alone from then on. Rule ids already taken in the
+     * document, e.g. by a rule defined twice, get a -2, -3, ... suffix
+     * @param {HTMLScriptElement} scriptTag - A <script type="text/railroad-grammar"> element; its optional
+     *   data-syntax attribute selects 'railroad' (default), 'ebnf' or 'abnf'
+     * @param {Object} [config={}] - Rendering options
+     * @param {number} [config.gridSize] - Size of grid units in pixels (defaults to the CSS grid size)
      * @param {boolean} [config.showGrid=false] - Whether to show background grid
      * @param {boolean} [config.showBounds=false] - Whether to show debug bounds
-     * @returns {Diagram} The created diagram instance
-     * @throws {Error} When expression code is invalid or container not found
+     * @param {number} [config.maxWidth] - Maximum diagram width in grid units; long top-level sequences wrap
+     * @param {boolean|Object} [config.lazy=false] - Render each rule's diagram only while it is near the
+     *   viewport; an object is passed to LazyDiagramRenderer as options (margin, releaseMargin)
+     * @param {Object<string, Function>} [config.on] - Diagram event handlers by event type (see Diagram.on)
+     * @param {boolean|Object|RulePreview} [config.preview] - Preview referenced rules on hover and focus
+     * @param {boolean|Object} [config.viewer] - Zoom, pan and minimap for each rule's diagram (see DiagramViewer)
+     * @returns {Array<{title: string, diagram: Diagram|null}>} The rendered rules; in lazy mode diagram is
+     *   null until the rule is first drawn
+     * @throws {Error} When the grammar cannot be parsed; an error message is shown in place of the grammar
      */
-    function renderRailroadDiagram(config) {
-        const {
-            containerId,
-            expressionCode,
-            ruleName,
-            gridSize = 24,
-            showGrid = false,
-            showBounds = false
-        } = config;
+    function renderGrammarScript(scriptTag, config = {}) {
+        const { gridSize = getGridSizeFromCSS(), showGrid = false, showBounds = false, maxWidth, lazy = false, on, viewer } = config;
+        const preview = config.preview ? rulePreviewFrom(config.preview) : null;
+        const syntax = scriptTag.dataset.syntax || 'railroad';
+
+        const grammarDiv = document.createElement('div');
+        grammarDiv.className = 'railroad-grammar';
+        scriptTag.after(grammarDiv);
+        scriptTag.dataset.rendered = '';
 
+        let rules;
         try {
-            // Validate the expression code for security
-            validateExpressionCode(expressionCode);
-            
-            // Create diagram instance
-            const diagram = new Diagram(containerId, gridSize, showGrid, showBounds);
+            // Keep the text untrimmed so error positions match the script body
+            rules = parseGrammar(scriptTag.textContent, syntax);
+        } catch (error) {
+            console.error('Error parsing railroad grammar:', error);
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'error';
+            errorDiv.textContent = `Error: ${error.message}`;
+            grammarDiv.appendChild(errorDiv);
+            throw error;
+        }
 
-            // Evaluate the expression code in context with our functions
-            const expression = eval(`(function() {
-                const { textBox, sequence, stack, bypass, loop } = Expression;
-                return ${expressionCode};
-            })()`);
-            diagram.addRule(ruleName, expression);
+        const lazyRenderer = lazy
+            ? new LazyDiagramRenderer(Object.assign({ gridSize, showGrid, showBounds, maxWidth, on, preview, viewer }, lazy === true ? {} : lazy))
+            : null;
+
+        // Suffixes that keep the ids of the rules, and of their diagram containers, unique in the document
+        const takenIds = new Set();
+        const idSuffixes = rules.map(rule => {
+            const isTaken = suffix => [`syntax-rule-${rule.title}${suffix}`, `diagram-${rule.title}${suffix}`]
+                .some(id => takenIds.has(id) || document.getElementById(id));
+            let suffix = '';
+            for (let count = 2; isTaken(suffix); count++) {
+                suffix = `-${count}`;
+            }
+            if (suffix) {
+                console.warn(`Rule id syntax-rule-${rule.title} is already taken; using syntax-rule-${rule.title}${suffix}`);
+            }
+            takenIds.add(`syntax-rule-${rule.title}${suffix}`).add(`diagram-${rule.title}${suffix}`);
+            return suffix;
+        });
 
-            return diagram;
-        } catch (error) {
-            console.error(`Error rendering diagram for rule "${ruleName}":`, error);
+        // Clickable index of all rules in the grammar
+        const index = document.createElement('nav');
+        index.className = 'rule-index';
+        const indexList = document.createElement('ul');
+        rules.forEach((rule, ruleIndex) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#syntax-rule-${rule.title}${idSuffixes[ruleIndex]}`;
+            link.textContent = rule.title;
+            item.appendChild(link);
+            indexList.appendChild(item);
+        });
+        index.appendChild(indexList);
+        grammarDiv.appendChild(index);
+
+        return rules.map((rule, ruleIndex) => {
+            const ruleDiv = document.createElement('div');
+            ruleDiv.className = 'syntax-rule';
+            ruleDiv.id = `syntax-rule-${rule.title}${idSuffixes[ruleIndex]}`;
+
+            const heading = document.createElement('h2');
+            heading.textContent = rule.title;
+            ruleDiv.appendChild(heading);
+
+            const container = document.createElement('div');
+            container.className = 'diagram-container';
+            container.id = `diagram-${rule.title}${idSuffixes[ruleIndex]}`;
+            ruleDiv.appendChild(container);
+            grammarDiv.appendChild(ruleDiv);
+
+            if (lazyRenderer) {
+                lazyRenderer.add(container, rule.title, rule.expression);
+                return { title: rule.title, diagram: lazyRenderer.entries.get(container).diagram };
+            }
 
-            // Get container element for error display
-            const container = typeof containerId === 'string'
-                ? (containerId.startsWith('#')
-                    ? document.querySelector(containerId)
-                    : document.getElementById(containerId))
-                : containerId;
+            const diagram = new Diagram(container, gridSize, showGrid, showBounds, { maxWidth, on, preview, viewer });
+            diagram.addRule(rule.title, rule.expression);
+            addPageDiagram(diagram);
+            return { title: rule.title, diagram };
+        });
+    }
 
-            if (container) {
-                container.innerHTML = `<div class="error">Error: ${error.message}</div>`;
+    /**
+     * Collect the rules defined by the diagram script tags of a page, without rendering them
+     * Reads <script type="text/railroad" data-rule> and <script type="text/railroad-grammar"> elements;
+     * scripts that fail to parse are reported with console.error and skipped
+     * @param {Document|Element} [root=document] - Where to look for script tags
+     * @returns {Array<{title: string, expression: LayoutBox}>} Rules in document order
+     * @example
+     * const report = analyzeGrammar(collectDocumentRules(), { startRule: 'odataUri' });
+     */
+    function collectDocumentRules(root = document) {
+        const rules = [];
+        root.querySelectorAll('script[type="text/railroad"], script[type="text/railroad-grammar"]').forEach(scriptTag => {
+            try {
+                if (scriptTag.type === 'text/railroad') {
+                    rules.push({ title: scriptTag.dataset.rule, expression: evaluateExpressionCode(scriptTag.textContent) });
+                } else {
+                    rules.push(...parseGrammar(scriptTag.textContent, scriptTag.dataset.syntax || 'railroad'));
+                }
+            } catch (error) {
+                console.error('Skipping diagram script that does not parse:', error);
             }
-            throw error;
-        }
+        });
+        return rules;
+    }
+
+    /**
+     * Mark rendered nonterminal boxes that reference undefined rules
+     * Adds the 'undefined-rule' class and a tooltip to the matching nonterminal text wherever the referencing
+     * rule is drawn by a diagram rendered into the page, whatever the id of its container
+     * @param {GrammarReport} report - Report from analyzeGrammar
+     * @param {Document|Element} [root=document] - Where the diagrams are rendered
+     * @returns {number} Number of boxes marked
+     */
+    function markGrammarIssues(report, root = document) {
+        let marked = 0;
+        // Nonterminal texts of each rule, from the rule groups of the diagrams drawn under root
+        const nonterminals = new Map();
+        prunePageRegistries();
+        pageDiagrams.forEach(diagram => {
+            if (!root.contains(diagram.container)) return;
+            diagram.rules.forEach((rule, index) => {
+                const view = diagram._ruleViews[index];
+                if (!view) return;
+                const texts = nonterminals.get(rule.title) || [];
+                texts.push(...view.group.node().querySelectorAll('text.textbox-text.nonterminal'));
+                nonterminals.set(rule.title, texts);
+            });
+        });
+
+        report.undefinedReferences.forEach(({ rule, reference }) => {
+            (nonterminals.get(rule) || []).forEach(text => {
+                if (text.getAttribute('data-rule') !== reference || text.classList.contains('undefined-rule')) return;
+
+                text.classList.add('undefined-rule');
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = `Undefined rule: ${reference}`;
+                text.appendChild(title);
+                marked++;
+            });
+        });
+        return marked;
     }
 
     /**
      * Automatically discover and render all diagram script tags in the document
      * Searches for <script type="text/railroad" data-rule="ruleName"> elements
-     * and renders them as railroad diagrams within their parent .syntax-rule containers
+     * and renders them as railroad diagrams within their parent .syntax-rule containers,
+     * and for <script type="text/railroad-grammar"> elements, which are expanded into
+     * a rule index and one .syntax-rule container per rule. Rendered scripts are marked with data-rendered and
+     * skipped by later calls, which therefore render only scripts added in the meantime
      * @param {Object} [config={}] - Configuration object
      * @param {boolean} [config.showGrid=false] - Whether to show background grid on all diagrams
      * @param {boolean} [config.showBounds=false] - Whether to show debug bounds on all diagrams
+     * @param {number} [config.maxWidth] - Maximum diagram width in grid units; long top-level sequences wrap
+     * @param {boolean|Object} [config.validate=false] - Analyze the page's rules after rendering, log the
+     *   issues with console.warn and mark undefined references; an object is passed to analyzeGrammar as options
+     * @param {boolean|Object} [config.lazy=false] - Render diagrams only while they are near the viewport and
+     *   release them again far away; an object is passed to LazyDiagramRenderer as options (margin, releaseMargin).
+     *   Also enabled by a data-lazy attribute on the script tag that loads this library
+     * @param {Object<string, Function>} [config.on] - Event handlers registered on every diagram (see Diagram.on)
+     * @param {boolean|Object|RulePreview} [config.preview=false] - Show a miniature of the referenced rule while a
+     *   nonterminal is hovered or focused; an object is passed to RulePreview as options (delay, scale, maxDepth).
+     *   Also enabled by a data-preview attribute on the script tag that loads this library
+     * @param {boolean|Object} [config.viewer=false] - Zoom, pan and minimap for every diagram; an object is passed to
+     *   DiagramViewer as options (minScale, maxScale, minimap, controls). Also enabled by a data-viewer attribute
+     * @param {string|Theme} [config.theme] - Theme of the page and all its diagrams, applied with applyTheme():
+     *   'light', 'dark', 'high-contrast', a custom theme, or 'auto' to follow prefers-color-scheme (the default).
+     *   Also set by a data-theme attribute
+     * @throws {Error} When the theme is invalid
      * @example
      * // Call after DOM is ready, or include in script at end of body
      * RailroadDiagrams.renderDiagramScripts({ showGrid: true });
      */
     function renderDiagramScripts(config = {}) {
-        const { showGrid = false, showBounds = false } = config;
+        const { showGrid = false, showBounds = false, maxWidth, validate = false, lazy = false, on, viewer } = config;
+        // One preview for all diagrams, so that only one stack of previews is open at a time
+        const preview = config.preview ? rulePreviewFrom(config.preview) : null;
+        // Diagrams not given a theme use the page theme
+        if (config.theme !== undefined) {
+            applyTheme(config.theme);
+        }
         // Always read grid size from CSS custom properties
         const gridSize = getGridSizeFromCSS();
 
         function doRender() {
-            const scriptTags = document.querySelectorAll('script[type="text/railroad"]');
+            // Scripts rendered by an earlier call keep their diagrams
+            const scriptTags = document.querySelectorAll('script[type="text/railroad"]:not([data-rendered])');
+            const lazyRenderer = lazy && scriptTags.length > 0
+                ? new LazyDiagramRenderer(Object.assign({ gridSize, showGrid, showBounds, maxWidth, on, preview, viewer }, lazy === true ? {} : lazy))
+                : null;
 
             scriptTags.forEach((scriptTag, index) => {
                 const ruleName = scriptTag.dataset.rule;
-                const expressionCode = scriptTag.textContent.trim();
+                // Keep the text untrimmed so error positions match the script body
+                const expressionCode = scriptTag.textContent;
 
                 // Create container for this diagram
                 const container = document.createElement('div');
@@ -1221,15 +6782,24 @@
                 const ruleDiv = scriptTag.closest('.syntax-rule');
                 if (ruleDiv) {
                     ruleDiv.appendChild(container);
+                    scriptTag.dataset.rendered = '';
 
                     try {
+                        if (lazyRenderer) {
+                            renderLazyScript(lazyRenderer, container, ruleName, expressionCode);
+                            return;
+                        }
                         renderRailroadDiagram({
                             containerId: container,
                             expressionCode,
                             ruleName,
                             gridSize,
                             showGrid,
-                            showBounds
+                            showBounds,
+                            maxWidth,
+                            on,
+                            preview,
+                            viewer
                         });
                     } catch (error) {
                         console.error(`Error rendering diagram for rule "${ruleName}":`, error);
@@ -1238,6 +6808,29 @@
                     console.error('Could not find .syntax-rule parent for script tag');
                 }
             });
+
+            document.querySelectorAll('script[type="text/railroad-grammar"]:not([data-rendered])').forEach(scriptTag => {
+                try {
+                    renderGrammarScript(scriptTag, { gridSize, showGrid, showBounds, maxWidth, lazy, on, preview, viewer });
+                } catch (error) {
+                    // Already reported in place of the grammar
+                }
+            });
+
+            if (validate) {
+                validateDocument(validate === true ? {} : validate);
+            }
+        }
+
+        function validateDocument(options) {
+            try {
+                const report = analyzeGrammar(collectDocumentRules(), options);
+                report.issues.forEach(issue => console.warn(`Grammar: ${issue.message}`));
+                markGrammarIssues(report);
+                pageGrammarReport = report;
+            } catch (error) {
+                console.error('Error validating grammar:', error);
+            }
         }
 
         if (typeof document !== 'undefined') {
@@ -1249,39 +6842,313 @@
         }
     }
 
-    // Click handler for nonterminal navigation
-    function setupClickHandlers() {
-        // Use event delegation to handle clicks on nonterminal text elements
-        document.addEventListener('click', function(event) {
-            // Check if clicked element is a nonterminal text
-            if (event.target.classList.contains('textbox-text') && 
-                event.target.classList.contains('nonterminal') &&
-                event.target.hasAttribute('data-rule')) {
-                
-                const ruleName = event.target.getAttribute('data-rule');
-                
-                // Look for element with matching prefixed id (anchor-based navigation)
-                const targetElement = document.getElementById(`syntax-rule-${ruleName}`);
-                if (targetElement) {
-                    targetElement.scrollIntoView({ behavior: 'auto', block: 'start' });
-                } else {
-                    console.warn(`No anchor found for rule: ${ruleName} (add id="syntax-rule-${ruleName}" to the target element)`);
+    // Lazy counterpart of renderRailroadDiagram: parse now, draw when the container nears the viewport
+    function renderLazyScript(lazyRenderer, container, ruleName, expressionCode) {
+        try {
+            lazyRenderer.add(container, ruleName, evaluateExpressionCode(expressionCode));
+        } catch (error) {
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'error';
+            errorDiv.textContent = `Error: ${error.message}`;
+            container.textContent = '';
+            container.appendChild(errorDiv);
+            throw error;
+        }
+    }
+
+    /**
+     * Page-wide replacement for the default nonterminal navigation, see setNavigationHandler
+     * @type {Function|null}
+     */
+    let navigationHandler = null;
+
+    /**
+     * Replace the navigation that follows clicked nonterminals in all diagrams, for instance with hash routing,
+     * a modal or a link to another document. Diagram handlers that call event.preventDefault() still take
+     * precedence. Passing null restores the default, which scrolls to the rule in the same diagram, else to the
+     * element with id="syntax-rule-NAME" or to a <railroad-diagram rule="NAME"> element
+     * @param {function(string, Object): void|null} handler - Called with the referenced rule name and the
+     *   nonterminalClick event
+     * @example
+     * RailroadDiagrams.setNavigationHandler(ruleName => { location.hash = `/grammar/${ruleName}`; });
+     */
+    function setNavigationHandler(handler) {
+        navigationHandler = handler;
+    }
+
+    // Follow a clicked nonterminal to its rule
+    function navigateToRule(ruleName, event) {
+        if (navigationHandler) {
+            navigationHandler(ruleName, event);
+            return;
+        }
+
+        // A rule drawn by the same diagram comes first: inside the shadow root of a <railroad-diagram> grammar,
+        // the page's ids would find nothing, or the rule of another grammar
+        const view = event.diagram._ruleViews[event.diagram.rules.findIndex(rule => rule.title === ruleName)];
+
+        // Then look for element with matching prefixed id (anchor-based navigation), then for an element for the rule
+        const targetElement = (view && view.group.node()) || document.getElementById(`syntax-rule-${ruleName}`) ||
+            Array.from(document.querySelectorAll('railroad-diagram[rule]')).find(element => element.getAttribute('rule') === ruleName);
+        if (targetElement) {
+            targetElement.scrollIntoView({ behavior: 'auto', block: 'start' });
+        } else {
+            console.warn(`No anchor found for rule: ${ruleName} (add id="syntax-rule-${ruleName}" to the target element)`);
+        }
+    }
+
+    // A --rail-* custom property inherited from the page, else the default of the shadow root stylesheet
+    function railVar(name) {
+        return `var(--rail-${name}, var(--rail-default-${name}))`;
+    }
+
+    // Declarations of the shadow root defaults for the custom properties of a theme
+    function themeDefaults(theme) {
+        return Object.entries(themeProperties(theme))
+            .map(([name, value]) => `${name.replace(/^--rail-/, '--rail-default-')}: ${value};`)
+            .join(' ');
+    }
+
+    // Declarations of the shadow root defaults for the sizes set in the :root rule of diagram.css
+    function sizeDefaults() {
+        return `--rail-default-track-width: ${DEFAULT_TRACK_WIDTH}px; --rail-default-text-border: ${DEFAULT_TEXT_BORDER}px; ` +
+            `--rail-default-font-family: ${DEFAULT_FONT_FAMILY}; --rail-default-font-size: ${DEFAULT_FONT_SIZE}px;`;
+    }
+
+    /**
+     * Drawing rules of diagram.css, shared with the shadow roots of <railroad-diagram> elements
+     * Kept as in diagram.css, between its "Drawing rules" comments; test-validation.js checks that the two match
+     */
+    const DIAGRAM_STYLE_RULES = `
+        .rail-track { fill: none; stroke: var(--rail-track-color); stroke-width: var(--rail-track-width); stroke-linecap: butt; }
+        .start-terminal, .end-terminal { fill: var(--rail-terminator-color); stroke: none; }
+        .highlight { stroke: var(--rail-highlight-color); }
+        .textbox.highlight { stroke: var(--rail-highlight-color); }
+        .textbox.trace-expected { stroke: var(--rail-error-color); stroke-dasharray: 4 2; fill: var(--rail-expected-fill); }
+        .textbox { stroke-width: var(--rail-text-border); stroke: var(--rail-class-stroke, var(--rail-box-stroke)); fill: var(--rail-class-fill, none); }
+        :where(.textbox, .textbox-text).terminal { --rail-class-fill: var(--rail-terminal-fill); --rail-class-stroke: var(--rail-terminal-stroke); --rail-class-text: var(--rail-terminal-text); }
+        :where(.textbox, .textbox-text).nonterminal { --rail-class-fill: var(--rail-nonterminal-fill); --rail-class-stroke: var(--rail-nonterminal-stroke); --rail-class-text: var(--rail-nonterminal-text); }
+        .textbox-text { font-family: var(--rail-font-family); font-size: var(--rail-font-size); fill: var(--rail-class-text, var(--rail-text-color)); }
+        .textbox-text.nonterminal { text-decoration: underline; cursor: pointer; pointer-events: auto; }
+        .textbox-text.nonterminal:hover { fill: var(--rail-link-color); }
+        .rule-link:focus { outline: none; }
+        .rule-link:focus-visible .textbox { stroke: var(--rail-link-color); stroke-width: calc(var(--rail-text-border) * 2); }
+        .rule-link:focus-visible .textbox-text { fill: var(--rail-link-color); }
+        .textbox-text.nonterminal.undefined-rule { fill: var(--rail-error-color); text-decoration: underline wavy var(--rail-error-color); }
+        .repeat-label { font-family: var(--rail-font-family); font-size: calc(var(--rail-font-size) * 0.85); fill: var(--rail-text-color); }
+    `;
+
+    /**
+     * Stylesheet of <railroad-diagram> shadow roots: the drawing rules of diagram.css, with defaults for pages
+     * without diagram.css
+     * The --rail-* custom properties inherit into the shadow root, so pages style elements as other diagrams;
+     * pages without diagram.css get the light theme, or the dark theme under prefers-color-scheme: dark
+     */
+    const ELEMENT_STYLESHEET = `
+        :host { display: block; ${themeDefaults(THEMES.light)} ${sizeDefaults()} }
+        :host([hidden]) { display: none; }
+        @media (prefers-color-scheme: dark) {
+            :host { ${themeDefaults(THEMES.dark)} }
+            .diagram-svg { background-color: ${railVar('background')}; }
+        }
+        .diagram-container { position: relative; }
+        ${DIAGRAM_STYLE_RULES.replace(/var\(--rail-([\w-]+)\)/g, (match, name) => railVar(name))}
+        .error { color: red; font-weight: bold; padding: 1rem; background-color: #ffe6e6; border: 1px solid red; border-radius: 4px; }
+    `;
+
+    /**
+     * Grammar files fetched for <railroad-diagram src>, shared by all elements
+     * @type {Map<string, Promise<string>>}
+     */
+    const fetchedGrammars = new Map();
+
+    function fetchGrammar(url) {
+        if (!fetchedGrammars.has(url)) {
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load grammar ${url}: ${response.status} ${response.statusText}`);
                 }
+                return response.text();
+            });
+            // Failed requests are retried by the next element that asks
+            request.catch(() => fetchedGrammars.delete(url));
+            fetchedGrammars.set(url, request);
+        }
+        return fetchedGrammars.get(url);
+    }
+
+    /**
+     * Define the <railroad-diagram> custom element (browser only)
+     * The element renders its text content, expression code as in <script type="text/railroad">, or with a
+     * syntax attribute a grammar in that notation. With a src attribute it renders a grammar file instead.
+     * The rule attribute names the rule; for grammars it selects the rule to draw (all rules when absent).
+     * The theme attribute names a built-in theme, e.g. theme="dark"; without it the element follows the page.
+     * @returns {Function|null} The element class, or null where custom elements are not supported
+     * @example
+     * <railroad-diagram rule="port">oneOrMore(textBox("DIGIT", "nonterminal"))</railroad-diagram>
+     * <railroad-diagram src="odata.abnf" rule="keyPredicate"></railroad-diagram>
+     */
+    function defineRailroadDiagramElement() {
+        if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') {
+            return null;
+        }
+        if (customElements.get('railroad-diagram')) {
+            return customElements.get('railroad-diagram');
+        }
+
+        class RailroadDiagramElement extends HTMLElement {
+            static get observedAttributes() {
+                return ['rule', 'src', 'syntax', 'max-width', 'theme'];
             }
-        });
+
+            constructor() {
+                super();
+                this.attachShadow({ mode: 'open' });
+                const style = document.createElement('style');
+                style.textContent = ELEMENT_STYLESHEET;
+                this.container = document.createElement('div');
+                this.container.className = 'diagram-container';
+                this.container.setAttribute('part', 'diagram');
+                this.shadowRoot.append(style, this.container);
+
+                /** @type {Diagram|null} */
+                this.diagram = null;
+                this._renderPending = false;
+                this._renderCount = 0;
+                this._observer = new MutationObserver(() => this._scheduleRender());
+            }
+
+            connectedCallback() {
+                this._observer.observe(this, { childList: true, characterData: true, subtree: true });
+                this._scheduleRender();
+            }
+
+            disconnectedCallback() {
+                this._observer.disconnect();
+                this._setDiagram(null);
+            }
+
+            attributeChangedCallback() {
+                this._scheduleRender();
+            }
+
+            // Coalesce attribute and content changes made in one task into a single render
+            _scheduleRender() {
+                if (this._renderPending || !this.isConnected) return;
+                this._renderPending = true;
+                Promise.resolve().then(() => {
+                    this._renderPending = false;
+                    this.render();
+                });
+            }
+
+            /**
+             * Render the diagram now
+             * @returns {Promise<Diagram|null>} The diagram, or null when the content could not be rendered
+             */
+            render() {
+                const renderCount = ++this._renderCount;
+                const src = this.getAttribute('src');
+                const source = Promise.resolve()
+                    .then(() => src ? fetchGrammar(new URL(src, document.baseURI).href) : this.textContent);
+
+                return source.then(text => {
+                    // A newer render has started in the meantime
+                    if (renderCount !== this._renderCount) return this.diagram;
+                    return this._renderText(text, src);
+                }).catch(error => {
+                    if (renderCount === this._renderCount) {
+                        this._showError(error);
+                    }
+                    return null;
+                });
+            }
+
+            _renderText(text, src) {
+                const ruleName = this.getAttribute('rule');
+                const maxWidth = parseInt(this.getAttribute('max-width')) || undefined;
+                const theme = this.getAttribute('theme') || undefined;
+                const syntax = this.getAttribute('syntax') || (src ? grammarSyntaxFromURL(src) : null);
+                this._setDiagram(null);
+
+                if (!syntax) {
+                    this._setDiagram(renderRailroadDiagram({
+                        containerId: this.container,
+                        expressionCode: text,
+                        ruleName: ruleName || '',
+                        gridSize: getGridSizeFromCSS(),
+                        maxWidth,
+                        theme
+                    }));
+                    return this.diagram;
+                }
+
+                const rules = parseGrammar(text, syntax);
+                const selected = ruleName ? rules.filter(rule => rule.title === ruleName) : rules;
+                if (selected.length === 0) {
+                    throw new Error(`Rule not found: ${ruleName}`);
+                }
+                const diagram = new Diagram(this.container, getGridSizeFromCSS(), false, false, { maxWidth, theme });
+                diagram.batch(() => selected.forEach(rule => diagram.addRule(rule.title, rule.expression)));
+                addPageDiagram(diagram);
+                this._setDiagram(diagram);
+                return diagram;
+            }
+
+            _setDiagram(diagram) {
+                if (this.diagram) {
+                    pageDiagrams.delete(this.diagram);
+                }
+                this.diagram = diagram;
+                if (!diagram) {
+                    this.container.textContent = '';
+                }
+            }
+
+            _showError(error) {
+                console.error(`Error rendering <railroad-diagram rule="${this.getAttribute('rule') || ''}">:`, error);
+                this._setDiagram(null);
+                const errorDiv = document.createElement('div');
+                errorDiv.className = 'error';
+                errorDiv.textContent = `Error: ${error.message}`;
+                this.container.appendChild(errorDiv);
+            }
+        }
+
+        customElements.define('railroad-diagram', RailroadDiagramElement);
+        return RailroadDiagramElement;
+    }
+
+    // Notation of a grammar file from its extension: .ebnf, .abnf, .json, anything else the script syntax
+    function grammarSyntaxFromURL(url) {
+        const match = /\.(ebnf|abnf|json)(?:[?#]|$)/i.exec(url);
+        return match ? match[1].toLowerCase() : 'railroad';
     }
 
+    const RailroadDiagramElement = defineRailroadDiagramElement();
+
     // Set up automatic initialization when DOM is ready (browser only)
     if (typeof document !== 'undefined') {
+        // <script src="diagram.js" data-lazy> renders the page's diagrams lazily; data-preview adds rule previews,
+        // data-viewer zoom and pan, and data-theme="dark" (or another theme name) sets the page theme.
+        // data-auto-init="false" leaves rendering to the page, which calls renderDiagramScripts itself
+        const loaderScript = document.currentScript;
+        const lazy = Boolean(loaderScript && loaderScript.hasAttribute('data-lazy'));
+        const preview = Boolean(loaderScript && loaderScript.hasAttribute('data-preview'));
+        const viewer = Boolean(loaderScript && loaderScript.hasAttribute('data-viewer'));
+        const theme = (loaderScript && loaderScript.getAttribute('data-theme')) || undefined;
+        const autoInit = !(loaderScript && loaderScript.getAttribute('data-auto-init') === 'false');
+
         function initializeRailroadDiagrams() {
-            setupClickHandlers();
-            renderDiagramScripts(); // Automatically render all diagrams
+            renderDiagramScripts({ lazy, preview, viewer, theme }); // Automatically render all diagrams
         }
-        
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeRailroadDiagrams);
-        } else {
-            initializeRailroadDiagrams();
+
+        if (autoInit) {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', initializeRailroadDiagrams);
+            } else {
+                initializeRailroadDiagrams();
+            }
         }
     }
 
@@ -1290,6 +7157,54 @@
         // High-level functions (most common usage)
         renderDiagramScripts,
         renderRailroadDiagram,
+        renderGrammarScript,
+
+        // <railroad-diagram> custom element class (null outside the browser)
+        RailroadDiagramElement,
+
+        // Navigation of clicked nonterminals, rule previews and descriptions
+        setNavigationHandler,
+        RulePreview,
+        describeExpression,
+
+        // Themes and box shapes
+        applyTheme,
+        themes: THEMES,
+        setBoxShape,
+        builtInBoxShapes: BOX_SHAPES,
+
+        // Headless rendering (Node.js, no D3 or DOM required)
+        renderToSVGString,
+        renderToText,
+
+        // Grammar import
+        parseEBNF,
+        parseABNF,
+        parseGrammar,
+        grammarToJSON,
+        grammarFromJSON,
+        formatGrammar,
+        formatExpression,
+        formatExpressionCode,
+
+        // Text measurement
+        setTextMetrics,
+        invalidateTextMeasurements,
+
+        // Grammar validation
+        analyzeGrammar,
+        GrammarIssueType,
+        collectDocumentRules,
+        markGrammarIssues,
+
+        // Input tracing
+        recognize,
+        traceInput,
+        traceExample,
+
+        // Sentence generation
+        generateSentence,
+        enumerateSentences,
         
         // Factory for building expressions programmatically
         Expression,
@@ -1299,6 +7214,9 @@
         
         // Validation utilities (for testing and advanced usage)
         validateExpressionCode,
+        parseExpressionCode,
+        evaluateExpressionCode,
+        parseGrammarCode,
         tokenize,
         TokenType
     };
@@ -19,10 +19,23 @@ const testCases = [
     { code: 'badFunction("test")', shouldPass: false, comment: 'Should fail - disallowed function' },
     { code: 'eval("dangerous")', shouldPass: false, comment: 'Should fail - dangerous function' },
     { code: 'MultiLineString("test")', shouldPass: false, comment: 'Should fail - looks like function call outside string' },
+    { code: 'textBox("a")', shouldPass: false, comment: 'Should fail - textBox needs text and class' },
+    { code: 'bypass(textBox("a", "terminal"), textBox("b", "terminal"))', shouldPass: false, comment: 'Should fail - bypass takes one argument' },
+    { code: 'sequence("a", textBox("b", "terminal"))', shouldPass: false, comment: 'Should fail - string where a layout is expected' },
+    { code: 'textBox("a", "terminal") textBox("b", "terminal")', shouldPass: false, comment: 'Should fail - trailing tokens' },
+    { code: 'sequence(textBox("a", "terminal"),', shouldPass: false, comment: 'Should fail - unterminated call' },
+    { code: 'textBox', shouldPass: false, comment: 'Should fail - bare identifier is not an expression' },
+    { code: '"just a string"', shouldPass: false, comment: 'Should fail - result must be a diagram expression' },
+    { code: 'repeat(textBox("HEXDIG", "nonterminal"), 1, 4)', shouldPass: true },
+    { code: 'repeat(textBox("HEXDIG", "nonterminal"), 2, Infinity)', shouldPass: true, comment: 'Unbounded repeat' },
+    { code: 'Infinity()', shouldPass: false, comment: 'Should fail - Infinity is a number, not a function' },
+    { code: 'zeroOrMore(optional(textBox("a", "terminal"), true), textBox(",", "terminal"))', shouldPass: true },
+    { code: 'optional(textBox("a", "terminal"), "true")', shouldPass: false, comment: 'Should fail - flag must be a boolean literal' },
+    { code: '\n  stack(\n    textBox("\\"+\\"", "terminal"),\n    loop(textBox("digit", "nonterminal"))\n  )\n', shouldPass: true, comment: 'Multi-line script body with escaped quotes' },
 ];
 
 // Import the validation functions from diagram.js
-const { validateExpressionCode, tokenize, TokenType } = require('./diagram.js');
+const { validateExpressionCode, parseExpressionCode, tokenize, TokenType } = require('./diagram.js');
 
 // Test each case with clear pass/fail expectations
 let totalTests = 0;
@@ -72,6 +85,536 @@ testCases.forEach((testCase, index) => {
     console.log(''); // Empty line for readability
 });
 
+// Error positions should point at the offending token in the script body
+const positionCases = [
+    { code: 'sequence(\n    textBox("a", "terminal"),\n    badFunction("x")\n)', line: 3, column: 5 },
+    { code: 'stack(\n  textBox("a", "terminal")\n  textBox("b", "terminal"))', line: 3, column: 3 },
+    { code: 'textBox("a", 42)', line: 1, column: 14 }
+];
+
+positionCases.forEach(({ code, line, column }, index) => {
+    totalTests++;
+    try {
+        parseExpressionCode(code);
+        console.log(`❌ Position test ${index + 1}: FAILED (expected an error)`);
+        failedTests++;
+    } catch (error) {
+        if (error.line === line && error.column === column) {
+            console.log(`✅ Position test ${index + 1}: PASSED (${error.message})`);
+            passedTests++;
+        } else {
+            console.log(`❌ Position test ${index + 1}: FAILED`);
+            console.log(`   Expected: line ${line}, column ${column}`);
+            console.log(`   Actual: ${error.message}`);
+            failedTests++;
+        }
+    }
+    console.log('');
+});
+
+// Behavior of the public APIs: each check throws with a description of what went wrong
+const { Expression, renderToSVGString, renderToText, parseEBNF, parseABNF, generateSentence, parseGrammar,
+    formatGrammar, describeExpression, analyzeGrammar, recognize, grammarToJSON, grammarFromJSON, setBoxShape,
+    builtInBoxShapes, Diagram, setTextMetrics, RulePreview, themes } = require('./diagram.js');
+const { textBox, sequence, loop, bypass, stack, repeat, optional, oneOrMore, zeroOrMore } = Expression;
+
+function check(label, run) {
+    totalTests++;
+    try {
+        run();
+        console.log(`✅ ${label}: PASSED`);
+        passedTests++;
+    } catch (error) {
+        console.log(`❌ ${label}: FAILED`);
+        console.log(`   ${error.message}`);
+        failedTests++;
+    }
+    console.log('');
+}
+
+function expectEqual(actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+function expectThrows(run, pattern) {
+    try {
+        run();
+    } catch (error) {
+        if (!pattern.test(error.message)) {
+            throw new Error(`Expected an error matching ${pattern}, got: ${error.message}`);
+        }
+        return error;
+    }
+    throw new Error(`Expected an error matching ${pattern}`);
+}
+
+check('renderToSVGString draws rules as standalone SVG without a DOM', () => {
+    const rules = [{ title: 'a<b', expression: sequence(textBox('x&y', 'terminal'), textBox('rule', 'nonterminal')) }];
+    const svg = renderToSVGString(rules);
+    if (!svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="320" height="80" viewBox="0 0 320 80"')) {
+        throw new Error(`Unexpected root element: ${svg.slice(0, 120)}`);
+    }
+    expectEqual((svg.match(/<rect [^>]*class="textbox (terminal|nonterminal)"/g) || []).length, 2);
+    // Text is escaped, and nonterminals name the rule they reference
+    if (!svg.includes('<title>a&lt;b</title>') || !svg.includes('>x&amp;y</text>')) {
+        throw new Error('Rule title or terminal text is missing or unescaped');
+    }
+    if (!svg.includes('data-rule="rule">rule</text>')) throw new Error('Nonterminal has no data-rule');
+    // The grid size scales the whole drawing
+    if (!renderToSVGString(rules, { gridSize: 8 }).includes('width="160" height="40"')) {
+        throw new Error('Diagram is not scaled to the grid size');
+    }
+});
+
+check('parseEBNF reads W3C EBNF rules', () => {
+    const rules = parseEBNF('list ::= "[" (item ("," item)*)? "]"\nitem ::= [0-9]+');
+    expectEqual(rules.map(rule => rule.title), ['list', 'item']);
+    const item = textBox('item', 'nonterminal');
+    expectEqual(renderToSVGString(rules), renderToSVGString([
+        { title: 'list', expression: sequence(textBox('[', 'terminal'), bypass(sequence(item, zeroOrMore(sequence(textBox(',', 'terminal'), item)))), textBox(']', 'terminal')) },
+        { title: 'item', expression: oneOrMore(textBox('[0-9]', 'terminal')) }
+    ]));
+});
+
+check('parseEBNF reports errors with line and column', () => {
+    const error = expectThrows(() => parseEBNF('a ::= "x"\nb ::= ( "y"'), /Expected '\)' but found end of input/);
+    expectEqual({ line: error.line, column: error.column }, { line: 2, column: 12 });
+});
+
+check('parseABNF reads RFC 5234 rules with bounded repetitions', () => {
+    const rules = parseABNF('pair = 2*3"x" [DIGIT]\r\nDIGIT = %x30-39 / "-"\r\n');
+    expectEqual(rules.map(rule => rule.title), ['pair', 'DIGIT']);
+    expectEqual(renderToSVGString(rules), renderToSVGString([
+        { title: 'pair', expression: sequence(repeat(textBox('x', 'terminal', 'literal'), 2, 3), bypass(textBox('DIGIT', 'nonterminal'))) },
+        { title: 'DIGIT', expression: stack(textBox('%x30-39', 'terminal', 'pattern'), textBox('-', 'terminal', 'literal')) }
+    ]));
+});
+
+check('parseABNF terminals show their value without quotes and keep how they match', () => {
+    const rules = parseABNF('a = "x" / %s"Ab" / %i"c" / %x30-39 / <some prose>\r\n');
+    expectEqual(rules[0].expression.children.map(box => [box.text, box.match]),
+        [['x', 'literal'], ['Ab', 'exact'], ['c', 'literal'], ['%x30-39', 'pattern'], ['some prose', 'prose']]);
+    expectEqual(describeExpression(rules[0].expression), 'one of "x", "Ab", "c", "%x30-39" or <some prose>');
+    expectEqual(['X', 'ab', 'C', '5'].map(input => recognize(rules, 'a', input, { ignoreCase: true }).matched), [true, false, true, true]);
+});
+
+check('parseABNF reports errors with line and column', () => {
+    const error = expectThrows(() => parseABNF('a = "x"\r\nb = "y" / )\r\n'), /Expected an element but found '\)'/);
+    expectEqual({ line: error.line, column: error.column }, { line: 2, column: 11 });
+});
+
+check('Loop separators read right to left along the return rail', () => {
+    const text = renderToText([{
+        title: 'list',
+        expression: loop(textBox('item', 'terminal'), sequence(textBox(',', 'terminal'), textBox('ws', 'terminal')))
+    }]);
+    const returnRail = text.split('\n').find(line => line.includes('╰─┤'));
+    if (!(returnRail.indexOf('ws') < returnRail.indexOf(','))) {
+        throw new Error(`Expected ws left of "," on the return rail, got: ${returnRail}`);
+    }
+});
+
+check('optional, oneOrMore and zeroOrMore are sized around their element', () => {
+    const size = layout => ({ width: layout.width, height: layout.height, baseline: layout.baseline });
+    const item = textBox('a', 'terminal');
+    const comma = textBox(',', 'terminal');
+    expectEqual(size(item), { width: 4, height: 2, baseline: 1 });
+    // The skip arch adds a unit above the element, or the element hangs a unit below the main line
+    expectEqual(size(optional(item)), { width: 8, height: 3, baseline: 2 });
+    expectEqual(size(optional(item, true)), { width: 8, height: 3, baseline: 0 });
+    // The return path runs below the element, and below the separator under it
+    expectEqual(size(oneOrMore(item)), { width: 8, height: 3, baseline: 1 });
+    expectEqual(size(oneOrMore(item, comma)), { width: 8, height: 5, baseline: 1 });
+    expectEqual(size(zeroOrMore(item)), { width: 12, height: 4, baseline: 0 });
+    expectEqual(size(zeroOrMore(item, comma)), size(optional(oneOrMore(item, comma), true)));
+
+    // Elements with their baseline below the top keep it relative to the main line
+    const tall = sequence(optional(textBox('b', 'terminal')));
+    expectEqual(size(optional(tall)), { width: 12, height: 4, baseline: 3 });
+    expectEqual(size(oneOrMore(tall)), { width: 12, height: 4, baseline: 2 });
+    expectEqual(size(zeroOrMore(tall)), { width: 16, height: 5, baseline: 0 });
+});
+
+check('zeroOrMore is one repetition construct, whatever it is drawn as', () => {
+    const layout = zeroOrMore(textBox('a', 'terminal'), textBox(',', 'terminal'));
+    expectEqual(layout.kind, 'zeroOrMore');
+    expectEqual(layout.children.map(child => child.text), ['a', ',']);
+    expectEqual(layout.repetition.kind, 'oneOrMore');
+    expectEqual(describeExpression(layout), 'zero or more of "a" separated by ","');
+});
+
+check('Sequences are tall enough for children moved down to the common baseline', () => {
+    // The stack (baseline 1, height 6) is moved down one unit to the baseline of the optional (2), so it ends at 7,
+    // below the height of either child
+    const layout = sequence(optional(textBox('c', 'terminal')), stack(textBox('a', 'terminal'), textBox('b', 'terminal')));
+    expectEqual({ height: layout.height, baseline: layout.baseline }, { height: 7, baseline: 2 });
+});
+
+check('Grammar blocks define many named rules in one script', () => {
+    const rules = parseGrammar('expr = sequence(textBox("term", "nonterminal"), optional(textBox("+", "terminal")))\n' +
+        'term = textBox("x", "terminal")', 'railroad');
+    expectEqual(rules.map(rule => [rule.title, describeExpression(rule.expression)]),
+        [['expr', 'sequence of term, then optionally "+"'], ['term', '"x"']]);
+    expectEqual(parseGrammar(formatGrammar(rules, 'railroad'), 'railroad').map(rule => rule.title), ['expr', 'term']);
+
+    const error = expectThrows(() => parseGrammar('a = textBox("x", "terminal")\nb = ', 'railroad'), /Expected an expression/);
+    expectEqual({ line: error.line, column: error.column }, { line: 2, column: 5 });
+    expectThrows(() => parseGrammar('a = alert(1)', 'railroad'), /Disallowed function call: alert/);
+    expectThrows(() => parseGrammar('a ::= "x"', 'yaml'), /Unknown grammar syntax: yaml/);
+});
+
+check('analyzeGrammar passes a sound grammar', () => {
+    expectEqual(analyzeGrammar(parseEBNF('a ::= b\nb ::= "x"'), { startRule: 'a' }).issues, []);
+});
+
+check('analyzeGrammar reports undefined, unused, unreachable, left-recursive and duplicate rules', () => {
+    const rules = parseEBNF('start ::= expr\nexpr ::= expr "+" term | term\nterm ::= factor\nunused ::= "u"\nstart ::= "s"');
+    const report = analyzeGrammar(rules, { startRule: 'start' });
+    expectEqual(report.issues.map(issue => [issue.type, issue.rule]), [
+        ['duplicate-rule', 'start'],
+        ['undefined-reference', 'term'],
+        ['unused-rule', 'unused'],
+        ['unreachable-rule', 'unused'],
+        ['left-recursion', 'expr']
+    ]);
+    expectEqual(report.issues[1].message, "Rule 'term' references undefined rule 'factor'");
+});
+
+check('recognize matches input against a rule', () => {
+    const rules = parseEBNF('list ::= "[" (digit ("," digit)*)? "]"\ndigit ::= [0-9]+');
+    expectEqual(['[]', '[1,22]'].map(input => recognize(rules, 'list', input).matched), [true, true]);
+});
+
+check('recognize reports where matching stopped and what was expected', () => {
+    const rules = parseEBNF('list ::= "[" (digit ("," digit)*)? "]"\ndigit ::= [0-9]+');
+    const result = recognize(rules, 'list', '[1,2');
+    expectEqual({ matched: result.matched, position: result.position, expected: result.expected },
+        { matched: false, position: 4, expected: ['[0-9]', ',', ']'] });
+    expectEqual(result.message, 'Syntax error at position 4: expected [0-9], ",", "]"');
+    expectThrows(() => recognize(rules, 'missing', '[]'), /Rule not found: missing/);
+});
+
+check('recognize reads parsed EBNF strings as the characters written, whatever they look like', () => {
+    const rules = parseEBNF(`a ::= "'x'" | "[x]" | "#x41" | [0-9] | #x42`);
+    const inputs = ["'x'", '[x]', '#x41', '5', 'B', 'x', 'A'];
+    expectEqual(inputs.map(input => recognize(rules, 'a', input).matched), [true, true, true, true, true, false, false]);
+});
+
+check('Terminals keep their match kind through JSON and script round trips', () => {
+    const rules = parseEBNF('a ::= "[x]" [x]');
+    const kinds = grammar => grammar[0].expression.children.map(box => box.match);
+    expectEqual(kinds(grammarFromJSON(grammarToJSON(rules))), ['literal', 'pattern']);
+    expectEqual(kinds(parseGrammar(formatGrammar(rules))), ['literal', 'pattern']);
+    expectThrows(() => textBox('x', 'terminal', 'glob'), /Unknown terminal match: glob/);
+    expectThrows(() => textBox('x', 'terminal', 'pattern'), /Not a terminal pattern: x/);
+});
+
+check('Sentences of recursive rules end, and rules that cannot end are reported', () => {
+    const sentence = generateSentence(parseEBNF('a ::= "x" a | "y"'), 'a', { seed: 3 });
+    if (!/^x*y$/.test(sentence.text)) throw new Error(`Unexpected sentence: ${sentence.text}`);
+    expectThrows(() => generateSentence(parseEBNF('a ::= "x" a'), 'a'), /Rule a never produces a finite sentence/);
+});
+
+check('Negated classes that exclude every printable character are sampled past ASCII', () => {
+    expectEqual(generateSentence(parseGrammar('a ::= [^!-~]', 'ebnf'), 'a', { seed: 1 }).text, '\u00A1');
+    expectEqual(generateSentence(parseEBNF('a ::= [^#x0-#x10FFFF] | "y"'), 'a', { seed: 1 }).text, 'y');
+    expectThrows(() => generateSentence(parseEBNF('a ::= "x" [^#x0-#x10FFFF]'), 'a'), /Rule a never produces a finite sentence/);
+});
+
+check('Grammars survive a JSON round trip', () => {
+    const rules = parseEBNF('list ::= "[" (item ("," item)*)? "]"\nitem ::= [0-9]+ | "x"');
+    const json = JSON.stringify(grammarToJSON(rules));
+    const restored = grammarFromJSON(json);
+    expectEqual(restored.map(rule => rule.title), ['list', 'item']);
+    expectEqual(renderToSVGString(restored), renderToSVGString(rules));
+    expectEqual(JSON.stringify(grammarToJSON(restored)), json);
+});
+
+check('grammarFromJSON rejects malformed documents', () => {
+    const document = { format: 'railroad-diagrams', version: 1, rules: [{ name: 'a', expression: { kind: 'bogus' } }] };
+    expectThrows(() => grammarFromJSON(document), /at rules\[0\]\.expression: unknown kind "bogus"/);
+    expectThrows(() => grammarFromJSON({ format: 'railroad-diagrams', version: 9, rules: [] }), /Unsupported grammar JSON version: 9/);
+    expectThrows(() => grammarFromJSON({ rules: [] }), /expected format "railroad-diagrams"/);
+});
+
+check('Rule names outside the identifier pattern are quoted and read back', () => {
+    const rules = ['$x', 'a-b', 'ok_1'].map(title => ({ title, expression: textBox('a', 'terminal') }));
+    const text = formatGrammar(rules);
+    expectEqual(text.split('\n').map(line => line.split(' = ')[0]), ['"$x"', '"a-b"', 'ok_1', '']);
+    expectEqual(parseGrammar(text).map(rule => rule.title), ['$x', 'a-b', 'ok_1']);
+});
+
+check('ABNF grammars print back as the same rules', () => {
+    const source = 'a = "x" / %s"Ab" / "[x]" / %x30-39 / %d13.10 / <some prose>\r\n';
+    const rules = parseGrammar(source, 'abnf');
+    const printed = formatGrammar(rules, 'abnf');
+    expectEqual(printed, source);
+    expectEqual(grammarToJSON(parseGrammar(printed, 'abnf')), grammarToJSON(rules));
+});
+
+check('Terminals print by their match kind, not by what their text looks like', () => {
+    const rules = parseEBNF('b ::= "[x]" | "#x41" | [a-c] | #x42');
+    expectEqual(formatGrammar(rules, 'ebnf'), 'b ::= "[x]" | "#x41" | [a-c] | #x42\n');
+    expectEqual(formatGrammar(rules, 'abnf'), 'b = "[x]" / "#x41" / %x61-63 / %x42\r\n');
+    expectThrows(() => formatGrammar(parseABNF('p = <prose>'), 'ebnf'), /Terminal cannot be written in EBNF: <prose>/);
+});
+
+check('Exported SVG carries its styles and leaves out debug attributes and the grid', () => {
+    const diagram = new Diagram(null, 16, true, true);
+    diagram.addRule('r', sequence(textBox('a', 'terminal'), optional(textBox('b', 'nonterminal'))));
+    const svg = diagram.toSVGString();
+    if (!svg.includes('viewBox="0 0 ') || !svg.includes('<style>.rail-track {')) {
+        throw new Error('Exported SVG has no viewBox or embedded stylesheet');
+    }
+    const leftOver = /data-debug|data-width|data-seq|data-id|debug-box|grid-pattern|tabindex/.exec(svg);
+    if (leftOver) throw new Error(`Exported SVG still has ${leftOver[0]}`);
+    if (!diagram.toSVGString({ includeGrid: true }).includes('id="grid-pattern"')) {
+        throw new Error('includeGrid does not keep the grid');
+    }
+});
+
+check('renderToText draws rules with box-drawing characters', () => {
+    const rules = [{ title: 'flag', expression: stack(textBox('-v', 'terminal'), textBox('--verbose', 'terminal')) }];
+    expectEqual(renderToText(rules).split('\n'), [
+        'flag',
+        '        ╭─────╮',
+        '●──┬────┤ -v  ├────┬──●',
+        '   │    ╰─────╯    │',
+        '   │ ╭───────────╮ │',
+        '   ╰─┤ --verbose ├─╯',
+        '     ╰───────────╯',
+        ''
+    ]);
+    const ascii = renderToText(rules, { charset: 'ascii', showTitles: false });
+    if (!/^[ -~\n]*$/.test(ascii)) throw new Error(`Expected ASCII only, got:\n${ascii}`);
+});
+
+check('renderToText wraps long sequences and rejects unknown character sets', () => {
+    const long = sequence(...'abcdefgh'.split('').map(text => textBox(text, 'terminal')));
+    const lines = renderToText([{ title: 'w', expression: long }], { maxWidth: 30, showTitles: false }).split('\n');
+    if (lines.some(line => line.length > 30)) throw new Error(`Expected lines of at most 30 characters, got:\n${lines.join('\n')}`);
+    expectThrows(() => renderToText([], { charset: 'ebcdic' }), /Unknown charset: ebcdic/);
+});
+
+check('Text output tells loops from bypasses', () => {
+    const render = (expression, charset) => renderToText([{ title: 'r', expression }], { charset, showTitles: false });
+    expectEqual(render(loop(textBox('a', 'terminal'))).split('\n')[0], '   ╭───◂───╮');
+    expectEqual(render(bypass(textBox('a', 'terminal'))).split('\n')[0], '   ╭───────╮');
+    expectEqual(render(loop(textBox('a', 'terminal')), 'ascii').split('\n')[0], '   /---<---\\');
+});
+
+check('Diagram rule changes re-render only the rules they touch', () => {
+    const diagram = new Diagram(null, 16, false, false);
+    const groups = () => diagram.svg.node().children.filter(child => child.attributes.get('class') === 'rule-group');
+    const titles = () => groups().map(group => group.children[0].textContent);
+    const renders = [];
+    diagram.on('render', event => renders.push(event.rules));
+
+    diagram.addRule('a', textBox('a', 'terminal'));
+    diagram.addRule('b', textBox('b', 'terminal'));
+    const [groupA] = groups();
+    diagram.insertRule(1, 'c', stack(textBox('c', 'terminal'), textBox('d', 'terminal')));
+    expectEqual(titles(), ['a', 'c', 'b']);
+    if (groups()[0] !== groupA) throw new Error('Rule a was re-rendered by an insertion below it');
+    // 1 unit of padding, the rules (2 + 6 + 2 units) and 2 units below the last one
+    expectEqual(Number(diagram.svg.attr('height')), 13 * 16);
+
+    const groupC = groups()[1];
+    diagram.updateRule('c', textBox('c', 'terminal'));
+    expectEqual(titles(), ['a', 'c', 'b']);
+    if (groups()[0] !== groupA || groups()[1] === groupC) throw new Error('updateRule re-rendered the wrong rules');
+    expectEqual(Number(diagram.svg.attr('height')), 9 * 16);
+
+    diagram.removeRule('a');
+    expectEqual(titles(), ['c', 'b']);
+
+    renders.length = 0;
+    diagram.batch(() => {
+        diagram.addRule('d', textBox('d', 'terminal'));
+        diagram.removeRule('b');
+    });
+    expectEqual(renders, [['c', 'd']]);
+    expectEqual(titles(), ['c', 'd']);
+
+    expectThrows(() => diagram.insertRule(5, 'e', textBox('e', 'terminal')), /Rule index out of range: 5/);
+    expectThrows(() => diagram.updateRule('x', textBox('x', 'terminal')), /Rule not found: x/);
+});
+
+check('Diagram sizes follow from the rule layouts alone, as lazy placeholders assume', () => {
+    // LazyDiagramRenderer reserves this size before drawing anything: 1 unit of padding and 2 of terminator rail
+    // on either side, 1 unit above the rules and 2 below
+    const rules = [
+        { title: 'a', expression: sequence(textBox('abc', 'terminal'), optional(textBox('d', 'nonterminal'))) },
+        { title: 'b', expression: stack(textBox('x', 'terminal'), textBox('y', 'terminal'), textBox('z', 'terminal')) }
+    ];
+    const diagram = new Diagram(null, 16, false, false);
+    diagram.batch(() => rules.forEach(rule => diagram.addRule(rule.title, rule.expression)));
+    const width = Math.max(...rules.map(rule => rule.expression.width)) + 6;
+    const height = rules.reduce((sum, rule) => sum + rule.expression.height, 0) + 3;
+    expectEqual([Number(diagram.svg.attr('width')), Number(diagram.svg.attr('height'))], [width * 16, height * 16]);
+});
+
+check('Text widths come from the installed metrics and are measured once per class and text', () => {
+    // Bundled Arial widths: narrow letters give narrower boxes
+    expectEqual([textBox('abcdefgh', 'terminal').width, textBox('iiiiiiii', 'terminal').width], [8, 6]);
+    try {
+        const measured = [];
+        setTextMetrics((text, className) => {
+            measured.push(`${className}:${text}`);
+            return text.length * 16;
+        });
+        expectEqual([textBox('abcdefgh', 'terminal').width, textBox('abcdefgh', 'terminal').width], [12, 12]);
+        textBox('abcdefgh', 'nonterminal');
+        expectEqual(measured, ['terminal:abcdefgh', 'nonterminal:abcdefgh']);
+
+        setTextMetrics({ widths: { i: 1000 }, defaultWidth: 500, fontSize: 16 });
+        expectEqual([textBox('iiii', 'terminal').width, textBox('abcd', 'terminal').width], [8, 6]);
+    } finally {
+        setTextMetrics(null);
+    }
+    expectEqual(textBox('iiiiiiii', 'terminal').width, 6);
+});
+
+check('The <railroad-diagram> stylesheet has the drawing rules of diagram.css', () => {
+    const fs = require('fs');
+    // Comments and whitespace aside
+    const normalize = css => css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').replace(/\s*([{};])\s*/g, '$1').trim();
+    const stylesheet = fs.readFileSync(`${__dirname}/diagram.css`, 'utf8');
+    const cssRules = stylesheet.slice(stylesheet.indexOf('/* Drawing rules:'), stylesheet.indexOf('/* End of the drawing rules */'));
+    const sharedRules = /const DIAGRAM_STYLE_RULES = `([^`]*)`/.exec(fs.readFileSync(`${__dirname}/diagram.js`, 'utf8'))[1];
+    expectEqual(normalize(sharedRules), normalize(cssRules));
+});
+
+check('Diagram events reach the handlers registered for them', () => {
+    const renders = [];
+    const diagram = new Diagram(null, 16, false, false, {
+        on: { render(event) { renders.push({ rules: event.rules, self: this === event.diagram }); } }
+    });
+    diagram.addRule('a', textBox('a', 'terminal'));
+    expectEqual(renders.pop(), { rules: ['a'], self: true });
+
+    // A failing handler is reported and does not keep the others from running
+    const reported = [];
+    const consoleError = console.error;
+    console.error = (...args) => reported.push(args[0]);
+    const failing = () => { throw new Error('handler failed'); };
+    try {
+        diagram.on('render', failing);
+        diagram.addRule('b', textBox('b', 'terminal'));
+    } finally {
+        console.error = consoleError;
+    }
+    expectEqual([renders.pop().rules, reported], [['a', 'b'], ['Error in diagram render handler:']]);
+
+    diagram.off('render', failing);
+    diagram.removeRule('a');
+    expectEqual(renders.pop().rules, ['b']);
+    expectThrows(() => diagram.on('click', () => {}), /Unknown diagram event: click/);
+});
+
+check('Rule previews default to the page rules and leave headless diagrams alone', () => {
+    const preview = new RulePreview();
+    expectEqual([preview.delay, preview.hideDelay, preview.scale, preview.maxDepth], [400, 200, 0.6, 3]);
+    // Outside a page nothing is rendered, so there is nothing to preview
+    expectEqual(preview.rules(), []);
+
+    const rules = [{ title: 'digit', expression: textBox('0', 'terminal') }];
+    expectEqual(new RulePreview({ rules: () => rules, delay: 0 }).rules(), rules);
+
+    const render = options => {
+        const diagram = new Diagram(null, 16, false, false, options);
+        diagram.addRule('number', oneOrMore(textBox('digit', 'nonterminal')));
+        return diagram.toSVGString();
+    };
+    expectEqual(render({ preview: true }), render({}));
+});
+
+check('Rules are described in words and nonterminals are the only focusable boxes', () => {
+    const a = textBox('a', 'terminal');
+    expectEqual(describeExpression(optional(a)), 'optionally "a"');
+    expectEqual(describeExpression(optional(sequence(a, textBox('b', 'nonterminal')))), 'optionally sequence of "a", then b');
+    expectEqual(describeExpression(repeat(a, 2, 4)), '"a" repeated 2 to 4 times');
+    expectEqual(describeExpression(repeat(a, 1)), '"a" repeated 1 time');
+    expectEqual(describeExpression(repeat(a, 1, Infinity)), '"a" repeated at least 1 time');
+    expectEqual(describeExpression(loop(textBox('item', 'nonterminal'), textBox(',', 'terminal'))),
+        'one or more of item separated by ","');
+    expectEqual(describeExpression(stack(a, sequence(textBox('b', 'terminal'), textBox('c', 'terminal')))),
+        'one of "a" or sequence of "b", then "c"');
+
+    const diagram = new Diagram(null, 16, false, false);
+    diagram.addRule('r', sequence(a, textBox('b', 'nonterminal')));
+    const find = (node, test) => test(node) ? [node] : node.children.flatMap(child => find(child, test));
+    const [figure] = find(diagram.svg.node(), node => node.attributes.get('class') === 'rule-group');
+    expectEqual([figure.attributes.get('role'), figure.children[0].textContent, figure.children[1].textContent],
+        ['figure', 'r', 'sequence of "a", then b']);
+    const [link] = find(figure, node => node.attributes.get('class') === 'rule-link');
+    expectEqual(['tabindex', 'role', 'aria-label'].map(name => link.attributes.get(name)), ['0', 'link', 'b']);
+    // Exported images have nothing to follow: the rule description speaks for every box
+    if (/tabindex|role="link"/.test(diagram.toSVGString())) throw new Error('Exported SVG keeps focusable links');
+});
+
+check('The zoom viewer is left out of headless diagrams and their export', () => {
+    const render = options => {
+        const diagram = new Diagram(null, 16, false, false, options);
+        diagram.addRule('r', sequence(...'abcdefghijklmnop'.split('').map(letter => textBox(letter, 'terminal'))));
+        return diagram;
+    };
+    const viewed = render({ viewer: { minScale: 0.5, minimap: true } });
+    expectEqual(viewed.viewer, null);
+    const svg = viewed.toSVGString();
+    expectEqual(svg, render({}).toSVGString());
+    if (/diagram-minimap|diagram-viewer|scale\(/.test(svg)) throw new Error('Exported SVG has viewer markup');
+});
+
+check('Headless SVG follows the light theme, switching to dark, unless given a theme', () => {
+    const rules = [{ title: 'r', expression: textBox('a', 'terminal') }];
+    const stylesheet = svg => /<style>([\s\S]*?)<\/style>/.exec(svg)[1];
+    const rule = (css, selector) => new RegExp(`${selector.replace(/\./g, '\\.')} \\{[^}]*\\}`).exec(css)[0];
+
+    const byDefault = renderToSVGString(rules);
+    const [light, dark] = stylesheet(byDefault).split('@media (prefers-color-scheme: dark)');
+    expectEqual(rule(light, '.rail-track'),
+        `.rail-track { fill: none; stroke: ${themes.light.colors.track}; stroke-width: 6px; stroke-linecap: butt; }`);
+    expectEqual(rule(dark, '.textbox.terminal'),
+        `.textbox.terminal { fill: ${themes.dark.boxes.terminal.fill}; stroke: ${themes.dark.colors.boxStroke}; }`);
+    if (/^<svg[^>]* style=/.test(byDefault)) throw new Error('Default SVG has a fixed background');
+
+    // A named or custom theme replaces the switch, and brings its background
+    const theme = { extends: 'dark', colors: { track: '#00ff00' }, boxes: { terminal: { fill: '#123456' } } };
+    const custom = renderToSVGString(rules, { theme });
+    if (stylesheet(custom).includes('@media') || !custom.includes(`style="background-color: ${themes.dark.colors.background}"`)) {
+        throw new Error('Custom theme is not applied on its own');
+    }
+    expectEqual(rule(stylesheet(custom), '.rail-track'),
+        '.rail-track { fill: none; stroke: #00ff00; stroke-width: 6px; stroke-linecap: butt; }');
+    expectEqual(rule(stylesheet(custom), '.textbox.terminal'),
+        `.textbox.terminal { fill: #123456; stroke: ${themes.dark.colors.boxStroke}; }`);
+    expectThrows(() => renderToSVGString(rules, { theme: 'sepia' }), /Unknown theme: sepia/);
+});
+
+check('Box shapes pad text boxes to even widths, and the built-in shapes stay as they are', () => {
+    const widths = () => ['a', 'abcdefghijkl'].map(text => textBox(text, 'terminal').width);
+    try {
+        expectEqual(widths(), [4, 8]);
+        setBoxShape('terminal', 'pill');
+        expectEqual(widths(), [6, 10]);
+        setBoxShape('terminal', { ...builtInBoxShapes.pill, padding: 1 });
+        expectEqual(widths(), [6, 10]);
+        setBoxShape('terminal', { ...builtInBoxShapes.pill, padding: 1.5 });
+        expectEqual(widths(), [8, 12]);
+        setBoxShape('terminal', null);
+        expectEqual(widths(), [4, 8]);
+    } finally {
+        setBoxShape('terminal', null);
+    }
+    expectThrows(() => { 'use strict'; builtInBoxShapes.pill.padding = 2; }, /read only|read-only/);
+    expectEqual(builtInBoxShapes.pill.padding, 0.5);
+    expectThrows(() => setBoxShape('terminal', 'star'), /Unknown box shape: star/);
+    expectThrows(() => setBoxShape('terminal', { padding: 1 }), /needs a draw function/);
+});
+
 // Summary
 console.log('📊 Test Summary');
 console.log('================');